@@ -3,10 +3,10 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const bodyParser = require('body-parser');
-const path = require('path'); // 添加 path 模块
 require('dotenv').config();
 
 const { testConnection } = require('./config/database');
+const { startTrashCleaner } = require('./utils/trashCleaner');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -14,16 +14,14 @@ const PORT = process.env.PORT || 3000;
 app.use(helmet()); // 安全中间件
 app.use(cors({
   origin: 'http://localhost:5173',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', "DELETE"],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  exposedHeaders: ['ETag', 'Content-Disposition'],
   credentials: true
 }));
 app.use(morgan('combined')); // 日志中间件
-app.use(bodyParser.json()); // JSON解析中间件
+app.use(bodyParser.json({ limit: '70mb' })); // JSON解析中间件（base64编码的二进制文件最大50MB，编码后约67MB）
 app.use(bodyParser.urlencoded({ extended: true })); // URL编码解析中间件
 
-// 配置静态资源路径，使上传的文件可以通过HTTP访问
-app.use('/remote', express.static(path.join(process.cwd(), 'remote')));
-
 // 路由配置
 const apiRoutes = require('./routes/api');
 const userRoutes = require('./routes/users');
@@ -32,6 +30,7 @@ const fileSystemRoutes = require('./routes/filesystem');
 const llmRoutes = require('./routes/llm');
 const uploadRoutes = require('./routes/upload');
 const taskRoutes = require('./routes/tasks');
+const adminRoutes = require('./routes/admin');
 
 app.use('/', apiRoutes);
 app.use('/users', userRoutes);
@@ -40,6 +39,7 @@ app.use('/filesystem', fileSystemRoutes);
 app.use('/llm', llmRoutes);
 app.use('/upload', uploadRoutes);
 app.use('/tasks', taskRoutes);
+app.use('/admin', adminRoutes);
 
 
 // 404错误处理
@@ -66,7 +66,12 @@ app.listen(PORT, async () => {
   console.log(`🌐 Access URL: http://localhost:${PORT}`);
   
   // 测试数据库连接
-  await testConnection();
+  const connected = await testConnection();
+
+  // 启动回收站自动清理任务
+  if (connected) {
+    startTrashCleaner();
+  }
 });
 
 module.exports = app;
\ No newline at end of file
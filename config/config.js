@@ -1,5 +1,11 @@
 require('dotenv').config();
 
+// 解析逗号分隔的列表
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
 module.exports = {
   // 服务器配置
   server: {
@@ -43,6 +49,100 @@ module.exports = {
     apiKey: process.env.LLM_API_KEY
   },
 
+  // 回收站配置
+  trash: {
+    // 回收站项目的保留天数，超过后自动彻底删除（0表示不自动清理）
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS ?? '30', 10),
+    // 自动清理任务的执行间隔（小时）
+    cleanupIntervalHours: parseInt(process.env.TRASH_CLEANUP_INTERVAL_HOURS, 10) || 24
+  },
+
+  // 文件版本历史配置
+  versions: {
+    // 每个文件最多保留的版本数（0表示不限制）
+    maxPerFile: parseInt(process.env.FILE_VERSION_LIMIT ?? '50', 10)
+  },
+
+  // 存储配额配置
+  quota: {
+    // 每个用户的默认配额（MB），笔记内容和上传文件合并计算（0表示不限制）
+    defaultMb: parseInt(process.env.USER_QUOTA_MB ?? '1024', 10)
+  },
+
+  // 分片上传配置
+  uploads: {
+    // 分片上传的单个文件大小上限（MB）
+    maxFileMb: parseInt(process.env.UPLOAD_MAX_FILE_MB, 10) || 2048,
+    // 上传会话在最后一次收到分片后保留的小时数，超过后未完成的上传会被清理
+    sessionExpireHours: parseInt(process.env.UPLOAD_SESSION_EXPIRE_HOURS, 10) || 24
+  },
+
+  // 上传内容策略：允许/禁止的MIME类型（逗号分隔，支持 image/* 通配，配置后替换默认列表），可执行文件总是禁止
+  contentPolicy: {
+    // /upload 上传的文件，默认禁止网页和脚本
+    upload: {
+      allow: parseList(process.env.UPLOAD_ALLOWED_TYPES),
+      deny: parseList(process.env.UPLOAD_DENIED_TYPES)
+    },
+    // 写入文件树的文件（创建和更新文件内容）
+    filesystem: {
+      allow: parseList(process.env.FILESYSTEM_ALLOWED_TYPES),
+      deny: parseList(process.env.FILESYSTEM_DENIED_TYPES)
+    }
+  },
+
+  // 上传文件扫描配置
+  scanner: {
+    // 扫描器：none（不扫描）、clamav（ClamAV守护进程）、eicar（只识别EICAR测试字符串，用于测试）
+    driver: process.env.UPLOAD_SCANNER || 'none',
+    clamav: {
+      // clamd的本地Unix socket，设置了CLAMAV_HOST时改用TCP连接
+      socket: process.env.CLAMAV_SOCKET || '/var/run/clamav/clamd.ctl',
+      host: process.env.CLAMAV_HOST,
+      port: parseInt(process.env.CLAMAV_PORT, 10) || 3310,
+      timeoutMs: parseInt(process.env.CLAMAV_TIMEOUT_MS, 10) || 60000
+    }
+  },
+
+  // 上传文件下载链接配置
+  downloads: {
+    // 下载链接的签名密钥（未设置时使用访问令牌密钥）
+    signingSecret: process.env.DOWNLOAD_URL_SECRET || process.env.JWT_ACCESS_SECRET || 'default_download_secret_key',
+    // 签名链接的默认有效期（秒）
+    urlExpiresSeconds: parseInt(process.env.DOWNLOAD_URL_EXPIRES_SECONDS, 10) || 3600,
+    // 签名链接允许的最长有效期（秒）
+    maxUrlExpiresSeconds: parseInt(process.env.DOWNLOAD_URL_MAX_EXPIRES_SECONDS, 10) || 7 * 24 * 3600
+  },
+
+  // 文件夹脑图/工作流配置
+  workflows: {
+    // 单个脑图的节点数上限
+    maxNodes: parseInt(process.env.WORKFLOW_MAX_NODES, 10) || 5000,
+    // 单个脑图的连线数上限
+    maxEdges: parseInt(process.env.WORKFLOW_MAX_EDGES, 10) || 10000,
+    // 单个脑图序列化后的大小上限（KB）
+    maxSizeKb: parseInt(process.env.WORKFLOW_MAX_SIZE_KB, 10) || 5120,
+    // 每个文件夹最多保留的脑图快照数（0表示不限制）
+    maxSnapshots: parseInt(process.env.WORKFLOW_SNAPSHOT_LIMIT ?? '100', 10)
+  },
+
+  // 文件内容存储配置
+  storage: {
+    // 新写入内容使用的存储驱动：filesystem（本地磁盘）、database（MySQL）、s3（S3兼容服务，如MinIO）
+    driver: process.env.STORAGE_DRIVER || 'filesystem',
+    // 本地磁盘驱动的根目录（相对路径基于启动目录）
+    localRoot: process.env.STORAGE_LOCAL_ROOT || 'storage',
+    s3: {
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // MinIO等自建服务通常只支持路径风格的URL
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+    }
+  },
+
   // 日志配置
   logging: {
     level: process.env.LOG_LEVEL || 'info'
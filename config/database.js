@@ -39,6 +39,15 @@ const query = async (sql, params = []) => {
   }
 };
 
+// 执行查询：传入事务连接时在该连接上执行，否则使用连接池
+const execute = async (connection, sql, params = []) => {
+  if (!connection) {
+    return query(sql, params);
+  }
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
 // 执行事务
 const transaction = async (callback) => {
   const connection = await pool.getConnection();
@@ -68,6 +77,7 @@ const closePool = async () => {
 module.exports = {
   pool,
   query,
+  execute,
   transaction,
   testConnection,
   closePool
@@ -0,0 +1,90 @@
+// 管理员控制器 - 处理需要管理员权限的操作
+
+const { successResponse, errorResponse } = require('../utils/helpers');
+const QuotaModel = require('../models/quotaModel');
+const IntegrityModel = require('../models/integrityModel');
+
+class AdminController {
+  /**
+   * 获取指定用户的存储使用情况和配额
+   * GET /admin/users/:userId/quota
+   */
+  static async getUserQuota(req, res) {
+    try {
+      const usage = await QuotaModel.getUsage(req.params.userId);
+      res.json(successResponse(usage, '获取用户配额成功'));
+    } catch (error) {
+      res.status(500).json(errorResponse('获取用户配额失败', error.message));
+    }
+  }
+
+  /**
+   * 为指定用户单独设置配额
+   * PUT /admin/users/:userId/quota
+   * body: { quotaBytes }，null 表示不限制
+   */
+  static async setUserQuota(req, res) {
+    try {
+      const { userId } = req.params;
+      const { quotaBytes } = req.body;
+
+      if (quotaBytes === undefined) {
+        return res.status(400).json(errorResponse('配额不能为空'));
+      }
+      if (quotaBytes !== null && (!Number.isSafeInteger(quotaBytes) || quotaBytes < 0)) {
+        return res.status(400).json(errorResponse('配额必须是非负整数（字节）或null'));
+      }
+
+      console.log('📏 Setting user quota:', { userId, quotaBytes, adminId: req.user.userId });
+
+      await QuotaModel.setQuota(userId, quotaBytes, req.user.userId);
+      const usage = await QuotaModel.getUsage(userId);
+
+      res.json(successResponse(usage, '用户配额更新成功'));
+    } catch (error) {
+      if (error.message.includes('用户不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('更新用户配额失败', error.message));
+    }
+  }
+
+  /**
+   * 删除指定用户的单独配额，恢复为默认配额
+   * DELETE /admin/users/:userId/quota
+   */
+  static async resetUserQuota(req, res) {
+    try {
+      const { userId } = req.params;
+      await QuotaModel.resetQuota(userId);
+      const usage = await QuotaModel.getUsage(userId);
+
+      res.json(successResponse(usage, '已恢复默认配额'));
+    } catch (error) {
+      res.status(500).json(errorResponse('恢复默认配额失败', error.message));
+    }
+  }
+
+  /**
+   * 检查存储一致性（fsck）
+   * POST /admin/fsck
+   * body: { verifyHashes = true, repair = false }
+   */
+  static async checkStorageIntegrity(req, res) {
+    try {
+      const verifyHashes = req.body.verifyHashes !== false;
+      const repair = req.body.repair === true;
+
+      console.log('🩺 Checking storage integrity:', { verifyHashes, repair, adminId: req.user.userId });
+
+      const report = await IntegrityModel.check({ verifyHashes, repair });
+      const message = report.summary.issues === 0 ? '存储一致性检查通过' : `发现 ${report.summary.issues} 个问题`;
+
+      res.json(successResponse(report, message));
+    } catch (error) {
+      res.status(500).json(errorResponse('存储一致性检查失败', error.message));
+    }
+  }
+}
+
+module.exports = AdminController;
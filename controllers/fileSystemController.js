@@ -1,5 +1,107 @@
-const { successResponse, errorResponse } = require('../utils/helpers');
+const archiver = require('archiver');
+const multer = require('multer');
+const { formatResponse, successResponse, errorResponse, calculatePagination, toETag, parseIfMatch } = require('../utils/helpers');
+const { pipeline } = require('stream');
 const FileSystemModel = require('../models/fileSystemModel');
+const WorkflowModel = require('../models/workflowModel');
+const { collectImportEntries } = require('../utils/archiveImport');
+const { ALLOWED_MIME_TYPES, getMimeTypeByExtension } = require('../middleware/fileSystemValidation');
+const { checkContentPolicy } = require('../utils/contentPolicy');
+const { validateWorkflow } = require('../utils/workflowValidator');
+const { applyOperations } = require('../utils/workflowPatch');
+const { EXPORT_FORMATS } = require('../utils/workflowExport');
+const { IMPORT_FORMATS, detectImportFormat, parseWorkflowFile, mergeWorkflows } = require('../utils/workflowImport');
+
+// 导入时的同名处理策略
+const IMPORT_CONFLICT_POLICIES = ['skip', 'overwrite', 'rename'];
+
+// 导入使用内存存储，解析后直接写入文件树，不落地到remote目录
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB
+    files: 1000
+  }
+}).array('files');
+
+// 导入脑图的大纲文件，解析后写入文件夹的脑图
+const workflowImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 1
+  }
+}).single('file');
+
+const WORKFLOW_IMPORT_MODES = ['replace', 'merge'];
+
+// 目录上传时相对路径可以重复传paths字段，也可以传JSON数组
+const parseImportPaths = (paths) => {
+  if (!paths) {
+    return [];
+  }
+  if (Array.isArray(paths)) {
+    return paths;
+  }
+  try {
+    const parsed = JSON.parse(paths);
+    return Array.isArray(parsed) ? parsed : [paths];
+  } catch (error) {
+    return [paths];
+  }
+};
+
+// 标准base64字符集（允许换行等空白，解码前去掉）
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * 从请求中取出文件内容：multipart上传的文件、base64编码的二进制内容或普通文本
+ * @returns {Buffer|string|undefined} 文件内容
+ */
+const readRequestContent = (req) => {
+  if (req.file) {
+    return req.file.buffer;
+  }
+
+  const { content, encoding } = req.body;
+  if (encoding === 'base64') {
+    const normalized = typeof content === 'string' ? content.replace(/\s/g, '') : null;
+    if (normalized === null || normalized.length % 4 !== 0 || !BASE64_PATTERN.test(normalized)) {
+      throw new Error('base64内容格式不正确');
+    }
+    return Buffer.from(normalized, 'base64');
+  }
+  return content;
+};
+
+// 未指定MIME类型时按扩展名推断，其次使用上传时声明的类型，二进制内容都无法识别时使用application/octet-stream
+const resolveMimeType = (req, name, content) => {
+  if (req.body.mimeType) {
+    return req.body.mimeType;
+  }
+  if (!Buffer.isBuffer(content)) {
+    return 'text/plain';
+  }
+  const declared = req.file && ALLOWED_MIME_TYPES.includes(req.file.mimetype) ? req.file.mimetype : null;
+  return getMimeTypeByExtension(name) || declared || 'application/octet-stream';
+};
+
+// 向压缩包追加一项并等待其写入完成，避免大文件夹导出时把所有内容堆积在内存中
+const appendToArchive = (archive, data, options) => {
+  return new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.removeListener('error', onError);
+      resolve();
+    };
+    const onError = (error) => {
+      archive.removeListener('entry', onEntry);
+      reject(error);
+    };
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(data, options);
+  });
+};
 
 class FileSystemController {
   /**
@@ -9,11 +111,14 @@ class FileSystemController {
   static async getFileTree(req, res) {
     try {
       const userId = req.user.userId; // 从JWT中间件获取
-      const { parentId } = req.query;
+      const { parentId, depth } = req.query;
+      
+      // 不传depth时返回完整的树，保持原有的返回格式
+      const maxDepth = depth !== undefined ? Math.max(parseInt(depth) || 1, 1) : null;
       
       console.log('📁 Getting file tree for user:', userId);
       
-      let fileTree = await FileSystemModel.getUserFileTree(userId, parentId || null);
+      let fileTree = await FileSystemModel.getUserFileTree(userId, parentId || null, maxDepth);
       
       // 如果是根目录查询且没有任何文件或文件夹，创建默认文件夹
       if (!parentId && fileTree.length === 0) {
@@ -30,7 +135,7 @@ class FileSystemController {
           }
         }
         // 重新获取文件树
-        fileTree = await FileSystemModel.getUserFileTree(userId, parentId || null);
+        fileTree = await FileSystemModel.getUserFileTree(userId, parentId || null, maxDepth);
       }
       
       res.json(successResponse(fileTree, '获取文件树成功'));
@@ -40,6 +145,46 @@ class FileSystemController {
     }
   }
 
+  /**
+   * 分页获取文件夹的子节点（懒加载文件树）
+   * GET /api/filesystem/children/:parentId?depth=1&limit=50&cursor=&sort=name&order=asc
+   */
+  static async getChildren(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { parentId } = req.params;
+      const { depth = 1, limit = 50, cursor, sort = 'name', order = 'asc' } = req.query;
+      
+      if (!['name', 'createdAt', 'updatedAt', 'size'].includes(sort)) {
+        return res.status(400).json(errorResponse('无效的排序字段'));
+      }
+      
+      if (!['asc', 'desc'].includes(order)) {
+        return res.status(400).json(errorResponse('无效的排序方向'));
+      }
+      
+      // 最多展开5层，每个文件夹最多返回200个子节点
+      const result = await FileSystemModel.getChildren(userId, parentId || null, {
+        depth: Math.min(Math.max(parseInt(depth) || 1, 1), 5),
+        limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200),
+        cursor: cursor || null,
+        sort,
+        order
+      });
+      
+      res.json(successResponse(result, '获取子节点成功'));
+    } catch (error) {
+      console.error('❌ Error getting children:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      if (error.message.includes('不是文件夹') || error.message.includes('游标')) {
+        return res.status(400).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('获取子节点失败', error.message));
+    }
+  }
+
   /**
    * 创建文件夹
    * POST /api/filesystem/folder
@@ -75,11 +220,12 @@ class FileSystemController {
   /**
    * 创建文件
    * POST /api/filesystem/file
+   * 二进制文件可以传 { content: <base64>, encoding: 'base64' }，或以multipart上传file字段
    */
   static async createFile(req, res) {
     try {
       const userId = req.user.userId;
-      const { name, content = '', parentId, mimeType = 'text/plain' } = req.body;
+      const { name, parentId } = req.body;
       
       if (!name || name.trim() === '') {
         return res.status(400).json(errorResponse('文件名称不能为空'));
@@ -90,6 +236,19 @@ class FileSystemController {
         return res.status(400).json(errorResponse('文件名称包含非法字符'));
       }
       
+      const content = readRequestContent(req) ?? '';
+      
+      // 二进制内容以文件头识别的类型为准
+      const policy = checkContentPolicy('filesystem', {
+        name: name.trim(),
+        declaredMimeType: resolveMimeType(req, name.trim(), content),
+        content
+      });
+      if (policy.error) {
+        return res.status(415).json(errorResponse(policy.error, 'UNSUPPORTED_FILE_TYPE'));
+      }
+      const mimeType = policy.mimeType;
+      
       console.log('📄 Creating file:', { userId, name, parentId, mimeType });
       
       const file = await FileSystemModel.createFile(
@@ -103,6 +262,12 @@ class FileSystemController {
       res.status(201).json(successResponse(file, '文件创建成功'));
     } catch (error) {
       console.error('❌ Error creating file:', error);
+      if (error.message.includes('base64')) {
+        return res.status(400).json(errorResponse(error.message));
+      }
+      if (error.message.includes('存储空间不足')) {
+        return res.status(413).json(errorResponse(error.message, 'QUOTA_EXCEEDED'));
+      }
       if (error.message.includes('已存在同名')) {
         return res.status(409).json(errorResponse(error.message));
       }
@@ -169,6 +334,121 @@ class FileSystemController {
     }
   }
 
+  /**
+   * 获取回收站列表
+   * GET /api/filesystem/trash
+   */
+  static async getTrash(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { page = 1, limit = 20 } = req.query;
+      
+      const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+      const currentPage = Math.max(parseInt(page) || 1, 1);
+      
+      console.log('🗑️ Getting trash:', { userId, page: currentPage, limit: pageSize });
+      
+      const { total, items } = await FileSystemModel.listTrash(
+        userId,
+        (currentPage - 1) * pageSize,
+        pageSize
+      );
+      
+      const pagination = calculatePagination(currentPage, pageSize, total);
+      
+      res.json(successResponse(items, '获取回收站成功', { pagination }));
+    } catch (error) {
+      console.error('❌ Error getting trash:', error);
+      res.status(500).json(errorResponse('获取回收站失败', error.message));
+    }
+  }
+
+  /**
+   * 获取回收站项目详情（被删除的子树）
+   * GET /api/filesystem/trash/:nodeId
+   */
+  static async getTrashItem(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { nodeId } = req.params;
+      
+      const item = await FileSystemModel.getTrashItem(userId, nodeId);
+      
+      res.json(successResponse(item, '获取回收站项目成功'));
+    } catch (error) {
+      console.error('❌ Error getting trash item:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('获取回收站项目失败', error.message));
+    }
+  }
+
+  /**
+   * 从回收站恢复文件或文件夹
+   * POST /api/filesystem/trash/:nodeId/restore
+   */
+  static async restoreTrashItem(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { nodeId } = req.params;
+      
+      console.log('♻️ Restoring node:', { userId, nodeId });
+      
+      const restored = await FileSystemModel.restoreTrashItem(userId, nodeId);
+      
+      res.json(successResponse(restored, '恢复成功'));
+    } catch (error) {
+      console.error('❌ Error restoring node:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('恢复失败', error.message));
+    }
+  }
+
+  /**
+   * 从回收站彻底删除
+   * DELETE /api/filesystem/trash/:nodeId
+   */
+  static async purgeTrashItem(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { nodeId } = req.params;
+      
+      console.log('🔥 Purging node:', { userId, nodeId });
+      
+      const result = await FileSystemModel.purgeTrashItem(userId, nodeId);
+      
+      res.json(successResponse(result, '彻底删除成功'));
+    } catch (error) {
+      console.error('❌ Error purging node:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('彻底删除失败', error.message));
+    }
+  }
+
+  /**
+   * 清空回收站
+   * DELETE /api/filesystem/trash
+   */
+  static async emptyTrash(req, res) {
+    try {
+      const userId = req.user.userId;
+      
+      console.log('🔥 Emptying trash:', { userId });
+      
+      const result = await FileSystemModel.emptyTrash(userId);
+      
+      res.json(successResponse(result, '回收站已清空'));
+    } catch (error) {
+      console.error('❌ Error emptying trash:', error);
+      res.status(500).json(errorResponse('清空回收站失败', error.message));
+    }
+  }
+
   /**
    * 获取文件内容
    * GET /api/filesystem/file/:fileId
@@ -182,6 +462,11 @@ class FileSystemController {
       
       const file = await FileSystemModel.getFileContent(userId, fileId);
       
+      // 使用文件哈希作为ETag，客户端保存时通过If-Match回传以检测并发修改
+      if (file.file_hash) {
+        res.set('ETag', toETag(file.file_hash));
+      }
+      
       // 设置压缩响应头
       const acceptEncoding = req.headers['accept-encoding'] || '';
       if (acceptEncoding.includes('gzip')) {
@@ -208,27 +493,122 @@ class FileSystemController {
     }
   }
 
+  /**
+   * 下载文件的原始内容（支持Range请求，用于图片、PDF预览和音视频拖动）
+   * GET /api/filesystem/file/:fileId/raw?download=1
+   */
+  static async downloadFile(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { fileId } = req.params;
+      
+      const file = await FileSystemModel.getFileInfo(userId, fileId);
+      const size = Number(file.size) || 0;
+      const mimeType = file.mime_type || 'application/octet-stream';
+      const disposition = req.query.download ? 'attachment' : 'inline';
+      
+      res.set({
+        'Content-Type': mimeType.startsWith('text/') ? `${mimeType}; charset=utf-8` : mimeType,
+        'Content-Disposition': `${disposition}; filename="download"; filename*=UTF-8''${encodeURIComponent(file.name)}`,
+        'Accept-Ranges': 'bytes',
+        // 用户上传的HTML等内容不能在当前域名下执行脚本
+        'Content-Security-Policy': 'sandbox',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      if (file.file_hash) {
+        res.set('ETag', toETag(file.file_hash));
+        if (parseIfMatch(req.headers['if-none-match']).includes(file.file_hash)) {
+          return res.status(304).end();
+        }
+      }
+      
+      // 只支持单个范围，多个范围时返回完整内容
+      let range = {};
+      if (req.headers.range && size > 0) {
+        const ranges = req.range(size);
+        if (ranges === -1) {
+          res.set('Content-Range', `bytes */${size}`);
+          return res.status(416).json(errorResponse('请求的范围无效'));
+        }
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+          range = { start: ranges[0].start, end: ranges[0].end };
+        }
+      }
+      
+      const stream = await FileSystemModel.openFileStream(file, range);
+      
+      if (range.start !== undefined) {
+        res.status(206).set({
+          'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+          'Content-Length': range.end - range.start + 1
+        });
+      } else {
+        res.status(200).set('Content-Length', size);
+      }
+      
+      pipeline(stream, res, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.error('❌ Error streaming file:', error);
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error downloading file:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('下载文件失败', error.message));
+    }
+  }
+
   /**
    * 更新文件内容
    * PUT /api/filesystem/file/:fileId
+   * 二进制文件同样支持base64编码或multipart上传
    */
   static async updateFileContent(req, res) {
     try {
       const userId = req.user.userId;
       const { fileId } = req.params;
-      const { content } = req.body;
+      const { expectedHash } = req.body;
+      const content = readRequestContent(req);
       
       if (content === undefined) {
         return res.status(400).json(errorResponse('文件内容不能为空'));
       }
       
-      console.log('💾 Updating file content:', { userId, fileId });
+      // 新内容需要与文件的扩展名和类型相符
+      const fileInfo = await FileSystemModel.getFileInfo(userId, fileId);
+      const policy = checkContentPolicy('filesystem', {
+        name: fileInfo.name,
+        declaredMimeType: fileInfo.mime_type,
+        content
+      });
+      if (policy.error) {
+        return res.status(415).json(errorResponse(policy.error, 'UNSUPPORTED_FILE_TYPE'));
+      }
+      
+      // If-Match请求头优先，其次是请求体中的expectedHash
+      const expectedHashes = req.headers['if-match']
+        ? parseIfMatch(req.headers['if-match'])
+        : (expectedHash ? [expectedHash] : []);
+      
+      console.log('💾 Updating file content:', { userId, fileId, expectedHashes });
       
-      const updatedFile = await FileSystemModel.updateFileContent(userId, fileId, content);
+      const updatedFile = await FileSystemModel.updateFileContent(userId, fileId, content, { expectedHashes });
       
+      res.set('ETag', toETag(updatedFile.fileHash));
       res.json(successResponse(updatedFile, '文件内容更新成功'));
     } catch (error) {
       console.error('❌ Error updating file content:', error);
+      if (error.message.includes('base64')) {
+        return res.status(400).json(errorResponse(error.message));
+      }
+      if (error.message.includes('存储空间不足')) {
+        return res.status(413).json(errorResponse(error.message, 'QUOTA_EXCEEDED'));
+      }
+      if (error.message.includes('文件已被修改')) {
+        return FileSystemController.sendVersionConflict(req, res, error.message);
+      }
       if (error.message.includes('不存在')) {
         return res.status(404).json(errorResponse(error.message));
       }
@@ -236,6 +616,138 @@ class FileSystemController {
     }
   }
 
+  /**
+   * 返回412并附带服务器上的当前版本，供编辑器提示合并
+   */
+  static async sendVersionConflict(req, res, message) {
+    try {
+      const current = await FileSystemModel.getFileContent(req.user.userId, req.params.fileId);
+      if (current.file_hash) {
+        res.set('ETag', toETag(current.file_hash));
+      }
+      res.status(412).json(formatResponse('error', message, {
+        id: current.id,
+        name: current.name,
+        content: current.content,
+        fileHash: current.file_hash,
+        size: current.size,
+        updatedAt: current.updated_at
+      }, { code: 'PRECONDITION_FAILED' }));
+    } catch (error) {
+      res.status(412).json(errorResponse(message, 'PRECONDITION_FAILED'));
+    }
+  }
+
+  /**
+   * 获取文件的版本历史
+   * GET /api/filesystem/file/:fileId/versions
+   */
+  static async getFileVersions(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { fileId } = req.params;
+      
+      console.log('🕘 Getting file versions:', { userId, fileId });
+      
+      const versions = await FileSystemModel.getFileVersions(userId, fileId);
+      
+      res.json(successResponse(versions, '获取版本历史成功'));
+    } catch (error) {
+      console.error('❌ Error getting file versions:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('获取版本历史失败', error.message));
+    }
+  }
+
+  /**
+   * 获取文件的指定版本内容
+   * GET /api/filesystem/file/:fileId/versions/:versionNo
+   */
+  static async getFileVersion(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { fileId } = req.params;
+      const versionNo = parseInt(req.params.versionNo);
+      
+      if (!versionNo || versionNo < 1) {
+        return res.status(400).json(errorResponse('版本号格式不正确'));
+      }
+      
+      const version = await FileSystemModel.getFileVersion(userId, fileId, versionNo);
+      
+      res.json(successResponse(version, '获取版本内容成功'));
+    } catch (error) {
+      console.error('❌ Error getting file version:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('获取版本内容失败', error.message));
+    }
+  }
+
+  /**
+   * 比较文件的两个版本
+   * GET /api/filesystem/file/:fileId/diff?from=1&to=3
+   */
+  static async diffFileVersions(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { fileId } = req.params;
+      const from = parseInt(req.query.from);
+      const to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+      
+      if (!from || from < 1 || (to !== null && (!to || to < 1))) {
+        return res.status(400).json(errorResponse('版本号格式不正确'));
+      }
+      
+      const diff = await FileSystemModel.diffFileVersions(userId, fileId, from, to);
+      
+      res.json(successResponse(diff, '版本比较成功'));
+    } catch (error) {
+      console.error('❌ Error diffing file versions:', error);
+      if (error.message.includes('不支持版本比较')) {
+        return res.status(400).json(errorResponse(error.message));
+      }
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('版本比较失败', error.message));
+    }
+  }
+
+  /**
+   * 将文件恢复到指定版本
+   * POST /api/filesystem/file/:fileId/versions/:versionNo/restore
+   */
+  static async restoreFileVersion(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { fileId } = req.params;
+      const versionNo = parseInt(req.params.versionNo);
+      
+      if (!versionNo || versionNo < 1) {
+        return res.status(400).json(errorResponse('版本号格式不正确'));
+      }
+      
+      console.log('⏪ Restoring file version:', { userId, fileId, versionNo });
+      
+      const updatedFile = await FileSystemModel.restoreFileVersion(userId, fileId, versionNo);
+      
+      res.json(successResponse(updatedFile, '版本恢复成功'));
+    } catch (error) {
+      console.error('❌ Error restoring file version:', error);
+      if (error.message.includes('存储空间不足')) {
+        return res.status(413).json(errorResponse(error.message, 'QUOTA_EXCEEDED'));
+      }
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('版本恢复失败', error.message));
+    }
+  }
+
   /**
    * 移动文件或文件夹
    * PUT /api/filesystem/move/:nodeId
@@ -246,17 +758,222 @@ class FileSystemController {
       const { nodeId } = req.params;
       const { newParentId } = req.body;
       
+      if (newParentId !== undefined && newParentId !== null && typeof newParentId !== 'string') {
+        return res.status(400).json(errorResponse('目标文件夹ID格式不正确'));
+      }
+      
       console.log('📦 Moving node:', { userId, nodeId, newParentId });
       
-      // 这里可以实现移动逻辑，类似重命名但是改变parent_id和path
-      // 为了简化，暂时返回未实现的响应
-      res.status(501).json(errorResponse('移动功能暂未实现'));
+      const movedNode = await FileSystemModel.moveNode(userId, nodeId, newParentId || null);
+      
+      res.json(successResponse(movedNode, '移动成功'));
     } catch (error) {
       console.error('❌ Error moving node:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      if (error.message.includes('已存在同名')) {
+        return res.status(409).json(errorResponse(error.message));
+      }
+      if (error.message.includes('不能将文件夹移动') || error.message.includes('不是文件夹')) {
+        return res.status(400).json(errorResponse(error.message));
+      }
       res.status(500).json(errorResponse('移动失败', error.message));
     }
   }
 
+  /**
+   * 复制文件或文件夹
+   * POST /api/filesystem/copy/:nodeId
+   */
+  static async copyNode(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { nodeId } = req.params;
+      const { targetParentId } = req.body;
+      
+      if (targetParentId !== undefined && targetParentId !== null && typeof targetParentId !== 'string') {
+        return res.status(400).json(errorResponse('目标文件夹ID格式不正确'));
+      }
+      
+      console.log('📑 Copying node:', { userId, nodeId, targetParentId });
+      
+      const copiedNode = await FileSystemModel.copyNode(userId, nodeId, targetParentId || null);
+      
+      res.status(201).json(successResponse(copiedNode, '复制成功'));
+    } catch (error) {
+      console.error('❌ Error copying node:', error);
+      if (error.message.includes('存储空间不足')) {
+        return res.status(413).json(errorResponse(error.message, 'QUOTA_EXCEEDED'));
+      }
+      if (error.message.includes('源文件内容不存在')) {
+        return res.status(500).json(errorResponse('复制失败', error.message));
+      }
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      if (error.message.includes('不能将文件夹复制') || error.message.includes('不是文件夹')) {
+        return res.status(400).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('复制失败', error.message));
+    }
+  }
+
+  /**
+   * 导入ZIP压缩包或目录中的文件到文件树
+   * POST /api/filesystem/import
+   * multipart字段：files（可多个）、targetParentId、onConflict（skip/overwrite/rename）、
+   * paths（与files一一对应的相对路径，目录上传时使用）
+   */
+  static async importFiles(req, res) {
+    importUpload(req, res, async (err) => {
+      if (err) {
+        if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json(errorResponse('上传文件大小超过限制(100MB)'));
+        }
+        return res.status(400).json(errorResponse(err.message));
+      }
+
+      try {
+        const userId = req.user.userId;
+        const { targetParentId, onConflict = 'skip' } = req.body;
+
+        if (!req.files || req.files.length === 0) {
+          return res.status(400).json(errorResponse('未上传文件'));
+        }
+        if (!IMPORT_CONFLICT_POLICIES.includes(onConflict)) {
+          return res.status(400).json(errorResponse('无效的同名处理策略'));
+        }
+
+        console.log('📥 Importing files:', { userId, targetParentId, onConflict, files: req.files.length });
+
+        const { entries, rejected, workflows } = collectImportEntries(req.files, parseImportPaths(req.body.paths));
+        const report = await FileSystemModel.importEntries(userId, targetParentId || null, entries, {
+          onConflict,
+          workflows
+        });
+        const items = [...rejected, ...report];
+
+        const summary = items.reduce((counts, item) => {
+          counts[item.status] = (counts[item.status] || 0) + 1;
+          return counts;
+        }, {});
+
+        res.json(successResponse({ summary, items }, '导入完成'));
+      } catch (error) {
+        console.error('❌ Error importing files:', error);
+        if (error.message.includes('不存在')) {
+          return res.status(404).json(errorResponse(error.message));
+        }
+        res.status(500).json(errorResponse('导入失败', error.message));
+      }
+    });
+  }
+
+  /**
+   * 将文件夹导出为ZIP压缩包
+   * GET /api/filesystem/export/:folderId
+   */
+  static async exportFolder(req, res) {
+    const userId = req.user.userId;
+    const { folderId } = req.params;
+    let folder;
+    let nodes;
+
+    try {
+      console.log('📦 Exporting folder:', { userId, folderId });
+      ({ folder, nodes } = await FileSystemModel.getExportNodes(userId, folderId));
+    } catch (error) {
+      console.error('❌ Error exporting folder:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      if (error.message.includes('不是文件夹')) {
+        return res.status(400).json(errorResponse(error.message));
+      }
+      return res.status(500).json(errorResponse('导出失败', error.message));
+    }
+
+    // 开始写入响应后无法再返回JSON错误，出错时直接中断连接
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('warning', (warning) => console.warn('⚠️ Archive warning:', warning.message));
+    archive.on('error', (error) => {
+      console.error('❌ Error creating archive:', error);
+      res.destroy(error);
+    });
+
+    const zipName = `${folder.name}.zip`;
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="export.zip"; filename*=UTF-8''${encodeURIComponent(zipName)}`
+    });
+    archive.pipe(res);
+
+    try {
+      const manifestNodes = [];
+
+      for (const node of nodes) {
+        // 以导出文件夹为根，按file_nodes.path还原目录结构
+        const relativePath = node.id === folder.id
+          ? folder.name
+          : `${folder.name}${node.path.slice(folder.path.length)}`;
+
+        const entry = {
+          id: node.id,
+          parentId: node.id === folder.id ? null : node.parent_id,
+          name: node.name,
+          type: node.type,
+          path: relativePath,
+          size: node.size,
+          mimeType: node.mime_type,
+          fileHash: node.file_hash,
+          createdAt: node.created_at,
+          updatedAt: node.updated_at
+        };
+
+        if (node.type === 'folder') {
+          await appendToArchive(archive, null, { name: `${relativePath}/`, date: node.updated_at || new Date() });
+          if (node.nodes !== undefined) {
+            entry.workflow = {
+              nodes: FileSystemModel.parseJsonColumn(node.nodes),
+              edges: FileSystemModel.parseJsonColumn(node.edges)
+            };
+          }
+        } else {
+          try {
+            const content = await FileSystemModel.readFileBuffer(node.file_path, node.file_hash);
+            await appendToArchive(archive, content, {
+              name: relativePath,
+              date: node.updated_at || new Date()
+            });
+          } catch (readError) {
+            // 内容缺失的文件只记录在清单中，不中断整个导出
+            console.warn('⚠️ Warning: Could not export file:', node.id, readError.message);
+            entry.missing = true;
+            entry.error = readError.message;
+          }
+        }
+
+        manifestNodes.push(entry);
+      }
+
+      const manifest = {
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        root: { id: folder.id, name: folder.name, path: folder.path },
+        nodes: manifestNodes
+      };
+      await appendToArchive(archive, JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+
+      await archive.finalize();
+      console.log('✅ Folder exported:', { folderId, nodes: nodes.length });
+    } catch (error) {
+      console.error('❌ Error exporting folder:', error);
+      archive.abort();
+      res.destroy(error);
+    }
+  }
+
   /**
    * 搜索文件和文件夹
    * GET /api/filesystem/search
@@ -264,23 +981,53 @@ class FileSystemController {
   static async searchNodes(req, res) {
     try {
       const userId = req.user.userId;
-      const { query, type } = req.query;
+      const { query, type = 'all', page = 1, limit = 20 } = req.query;
       
       if (!query || query.trim() === '') {
         return res.status(400).json(errorResponse('搜索关键词不能为空'));
       }
       
-      console.log('🔍 Searching nodes:', { userId, query, type });
+      console.log('🔍 Searching nodes:', { userId, query, type, page, limit });
+      
+      // 每页最多返回50条结果
+      const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+      const currentPage = Math.max(parseInt(page) || 1, 1);
+      const offset = (currentPage - 1) * pageSize;
+      
+      const { total, items } = await FileSystemModel.searchNodes(userId, query, {
+        type,
+        offset,
+        limit: pageSize
+      });
       
-      // 这里可以实现搜索逻辑
-      // 为了简化，暂时返回未实现的响应
-      res.status(501).json(errorResponse('搜索功能暂未实现'));
+      const pagination = calculatePagination(currentPage, pageSize, total);
+      
+      res.json(successResponse(items, '搜索成功', { pagination }));
     } catch (error) {
       console.error('❌ Error searching nodes:', error);
       res.status(500).json(errorResponse('搜索失败', error.message));
     }
   }
 
+  /**
+   * 重建搜索索引
+   * POST /api/filesystem/search/reindex
+   */
+  static async rebuildSearchIndex(req, res) {
+    try {
+      const userId = req.user.userId;
+      
+      console.log('🔍 Rebuilding search index:', { userId });
+      
+      const result = await FileSystemModel.rebuildSearchIndex(userId);
+      
+      res.json(successResponse(result, '搜索索引重建成功'));
+    } catch (error) {
+      console.error('❌ Error rebuilding search index:', error);
+      res.status(500).json(errorResponse('重建搜索索引失败', error.message));
+    }
+  }
+
   /**
    * 获取文件夹统计信息
    * GET /api/filesystem/stats/:folderId?
@@ -289,98 +1036,332 @@ class FileSystemController {
     try {
       const userId = req.user.userId;
       const { folderId } = req.params;
+      const { limit } = req.query;
       
       console.log('📊 Getting folder stats:', { userId, folderId });
       
-      // 这里可以实现统计逻辑（文件数量、总大小等）
-      // 为了简化，暂时返回未实现的响应
-      res.status(501).json(errorResponse('统计功能暂未实现'));
+      const stats = await FileSystemModel.getFolderStats(userId, folderId || null, limit);
+      
+      res.json(successResponse(stats, '获取统计信息成功'));
     } catch (error) {
       console.error('❌ Error getting folder stats:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      if (error.message.includes('不是文件夹')) {
+        return res.status(400).json(errorResponse(error.message));
+      }
       res.status(500).json(errorResponse('获取统计信息失败', error.message));
     }
   }
 
   /**
- * 保存工作流/脑图数据
- * POST /filesystem/workflow/:dirId
- */
-static async saveWorkflow(req, res) {
-  try {
-    const { dirId } = req.params;
-    const { nodes, edges } = req.body;
-    const userId = req.user.userId;
+   * 保存工作流/脑图数据（同时记录快照）
+   * POST /filesystem/workflow/:dirId
+   */
+  static async saveWorkflow(req, res) {
+    try {
+      const { dirId } = req.params;
+      const { nodes, edges, baseRevision } = req.body;
+      const userId = req.user.userId;
+
+      if (baseRevision !== undefined && (!Number.isInteger(baseRevision) || baseRevision < 0)) {
+        return res.status(400).json(errorResponse('baseRevision必须是非负整数'));
+      }
+
+      const errors = validateWorkflow({ nodes, edges });
+      if (errors.length > 0) {
+        return res.status(400).json(errorResponse('脑图数据不合法', { code: 'INVALID_WORKFLOW', errors }));
+      }
+
+      // 提供了baseRevision时，只有在该版本之后没有其他保存才会覆盖
+      const snapshot = await WorkflowModel.saveWorkflow(userId, dirId, { nodes, edges }, {
+        expectedRevision: baseRevision ?? null
+      });
+
+      return res.status(200).json(successResponse('脑图保存成功', { dirId, ...snapshot }));
+    } catch (error) {
+      console.error('保存脑图失败:', error);
+      if (error.message.includes('已被修改')) {
+        return FileSystemController.sendWorkflowConflict(req, res, error.message);
+      }
+      return FileSystemController.sendWorkflowError(res, error, '保存脑图失败');
+    }
+  }
+
+  /**
+   * 按顺序应用一组增量操作（全部成功才保存）
+   * PATCH /filesystem/workflow/:dirId
+   * body: { baseRevision, operations: [{ op: 'addNode', node }, { op: 'updateNode', id, changes }, ...] }
+   */
+  static async patchWorkflow(req, res) {
+    try {
+      const { dirId } = req.params;
+      const { baseRevision, operations } = req.body;
+      const userId = req.user.userId;
+
+      if (!Number.isInteger(baseRevision) || baseRevision < 0) {
+        return res.status(400).json(errorResponse('baseRevision必须是非负整数'));
+      }
+
+      const current = await WorkflowModel.getWorkflow(userId, dirId);
+      if (current.revision !== baseRevision) {
+        return FileSystemController.sendWorkflowConflict(req, res, '脑图已被修改，请获取最新版本后重试');
+      }
 
-    // 验证目录是否存在且属于当前用户
-    const directory = await FileSystemModel.getNodeById(dirId, userId);
-    if (!directory) {
-      return res.status(404).json(errorResponse('目录不存在'));
+      const { workflow, errors } = applyOperations(current, operations);
+      if (errors.length > 0) {
+        return res.status(400).json(errorResponse('脑图操作不合法', { code: 'INVALID_WORKFLOW_OPERATION', errors }));
+      }
+
+      const validationErrors = validateWorkflow(workflow);
+      if (validationErrors.length > 0) {
+        return res.status(400).json(errorResponse('脑图数据不合法', { code: 'INVALID_WORKFLOW', errors: validationErrors }));
+      }
+
+      console.log('🧩 Patching workflow:', { userId, dirId, baseRevision, operations: operations.length });
+
+      // 读取之后如有其他保存，由保存时的版本检查拒绝
+      const snapshot = await WorkflowModel.saveWorkflow(userId, dirId, workflow, { expectedRevision: baseRevision });
+
+      res.json(successResponse({ dirId, ...snapshot }, '脑图更新成功'));
+    } catch (error) {
+      console.error('更新脑图失败:', error);
+      if (error.message.includes('已被修改')) {
+        return FileSystemController.sendWorkflowConflict(req, res, error.message);
+      }
+      return FileSystemController.sendWorkflowError(res, error, '更新脑图失败');
     }
-    
-    if (directory.type !== 'folder') {
-      return res.status(400).json(errorResponse('指定的ID不是目录'));
+  }
+
+  /**
+   * 获取工作流/脑图数据
+   * GET /filesystem/workflow/:dirId
+   */
+  static async getWorkflow(req, res) {
+    try {
+      const { dirId } = req.params;
+      const userId = req.user.userId;
+
+      // 未保存过或无法解析时返回空数组
+      const workflow = await WorkflowModel.getWorkflow(userId, dirId);
+
+      return res.status(200).json(successResponse('获取脑图成功', workflow));
+    } catch (error) {
+      console.error('获取脑图失败:', error);
+      return FileSystemController.sendWorkflowError(res, error, '获取脑图失败');
     }
+  }
 
-    // 更新目录的nodes和edges字段
-    await FileSystemModel.updateNodeById(dirId, userId, {
-      nodes: JSON.stringify(nodes),
-      edges: JSON.stringify(edges)
-    });
+  /**
+   * 获取脑图的快照历史
+   * GET /filesystem/workflow/:dirId/snapshots
+   */
+  static async getWorkflowSnapshots(req, res) {
+    try {
+      const { dirId } = req.params;
+      const userId = req.user.userId;
 
-    return res.status(200).json(successResponse('脑图保存成功', { dirId }));
-  } catch (error) {
-    console.error('保存脑图失败:', error);
-    return res.status(500).json(errorResponse('保存脑图失败: ' + error.message));
+      const snapshots = await WorkflowModel.listSnapshots(userId, dirId);
+
+      res.json(successResponse(snapshots, '获取脑图历史成功'));
+    } catch (error) {
+      console.error('获取脑图历史失败:', error);
+      return FileSystemController.sendWorkflowError(res, error, '获取脑图历史失败');
+    }
   }
-}
 
-/**
- * 获取工作流/脑图数据
- * GET /filesystem/workflow/:dirId
- */
-static async getWorkflow(req, res) {
-  try {
-    const { dirId } = req.params;
-    const userId = req.user.userId;
+  /**
+   * 获取脑图的指定快照
+   * GET /filesystem/workflow/:dirId/snapshots/:revision
+   */
+  static async getWorkflowSnapshot(req, res) {
+    try {
+      const { dirId } = req.params;
+      const userId = req.user.userId;
+      const revision = parseInt(req.params.revision);
 
-    // 验证目录是否存在且属于当前用户
-    const directory = await FileSystemModel.getNodeById(dirId, userId);
-    if (!directory) {
-      return res.status(404).json(errorResponse('目录不存在'));
+      if (!revision || revision < 1) {
+        return res.status(400).json(errorResponse('快照版本号格式不正确'));
+      }
+
+      const snapshot = await WorkflowModel.getSnapshot(userId, dirId, revision);
+
+      res.json(successResponse(snapshot, '获取脑图快照成功'));
+    } catch (error) {
+      console.error('获取脑图快照失败:', error);
+      return FileSystemController.sendWorkflowError(res, error, '获取脑图快照失败');
     }
-    
-    if (directory.type !== 'folder') {
-      return res.status(400).json(errorResponse('指定的ID不是目录'));
+  }
+
+  /**
+   * 比较脑图的两个快照
+   * GET /filesystem/workflow/:dirId/diff?from=1&to=3
+   */
+  static async diffWorkflowSnapshots(req, res) {
+    try {
+      const { dirId } = req.params;
+      const userId = req.user.userId;
+      const from = parseInt(req.query.from);
+      const to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+
+      if (!from || from < 1 || (to !== null && (!to || to < 1))) {
+        return res.status(400).json(errorResponse('快照版本号格式不正确'));
+      }
+
+      const diff = await WorkflowModel.diffSnapshots(userId, dirId, from, to);
+
+      res.json(successResponse(diff, '脑图比较成功'));
+    } catch (error) {
+      console.error('比较脑图快照失败:', error);
+      return FileSystemController.sendWorkflowError(res, error, '比较脑图快照失败');
     }
+  }
 
-    // 安全地解析JSON或返回空数组
-    let nodes = [];
-    let edges = [];
-    
-    if (directory.nodes) {
-      try {
-        // 如果已经是对象，直接使用；如果是字符串，尝试解析
-        nodes = typeof directory.nodes === 'object' ? directory.nodes : JSON.parse(directory.nodes);
-      } catch (e) {
-        console.warn('解析nodes失败，使用空数组:', e);
+  /**
+   * 将脑图恢复到指定快照
+   * POST /filesystem/workflow/:dirId/snapshots/:revision/restore
+   */
+  static async restoreWorkflowSnapshot(req, res) {
+    try {
+      const { dirId } = req.params;
+      const userId = req.user.userId;
+      const revision = parseInt(req.params.revision);
+
+      if (!revision || revision < 1) {
+        return res.status(400).json(errorResponse('快照版本号格式不正确'));
       }
+
+      const restored = await WorkflowModel.restoreSnapshot(userId, dirId, revision);
+
+      res.json(successResponse(restored, '脑图恢复成功'));
+    } catch (error) {
+      console.error('恢复脑图快照失败:', error);
+      return FileSystemController.sendWorkflowError(res, error, '恢复脑图快照失败');
     }
-    
-    if (directory.edges) {
+  }
+
+  /**
+   * 导出脑图
+   * GET /filesystem/workflow/:dirId/export?format=opml
+   */
+  static async exportWorkflow(req, res) {
+    try {
+      const { dirId } = req.params;
+      const userId = req.user.userId;
+      const format = String(req.query.format || '').toLowerCase();
+
+      if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json(errorResponse(`不支持的导出格式，可选: ${Object.keys(EXPORT_FORMATS).join('/')}`));
+      }
+
+      const { content, contentType, fileName } = await WorkflowModel.exportWorkflow(userId, dirId, format);
+
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="workflow${EXPORT_FORMATS[format].extension}"; filename*=UTF-8''${encodeURIComponent(fileName)}`
+      });
+      res.send(content);
+    } catch (error) {
+      console.error('导出脑图失败:', error);
+      return FileSystemController.sendWorkflowError(res, error, '导出脑图失败');
+    }
+  }
+
+  /**
+   * 从OPML、FreeMind、XMind或Markdown大纲导入脑图
+   * POST /filesystem/workflow/:dirId/import
+   * multipart字段：file、mode（replace替换/merge合并到已有脑图）、format（不传时按扩展名判断）
+   */
+  static async importWorkflow(req, res) {
+    workflowImportUpload(req, res, async (err) => {
+      if (err) {
+        if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json(errorResponse('上传文件大小超过限制(10MB)'));
+        }
+        return res.status(400).json(errorResponse(err.message));
+      }
+
       try {
-        // 如果已经是对象，直接使用；如果是字符串，尝试解析
-        edges = typeof directory.edges === 'object' ? directory.edges : JSON.parse(directory.edges);
-      } catch (e) {
-        console.warn('解析edges失败，使用空数组:', e);
+        const { dirId } = req.params;
+        const userId = req.user.userId;
+        const { mode = 'replace' } = req.body;
+
+        if (!req.file) {
+          return res.status(400).json(errorResponse('未上传文件'));
+        }
+        if (!WORKFLOW_IMPORT_MODES.includes(mode)) {
+          return res.status(400).json(errorResponse('无效的导入方式，可选: replace/merge'));
+        }
+
+        // multer按latin1解析文件名，需要转回UTF-8
+        const fileName = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+        const format = req.body.format ? String(req.body.format).toLowerCase() : detectImportFormat(fileName);
+        if (!IMPORT_FORMATS.includes(format)) {
+          return res.status(400).json(errorResponse(`无法识别的导入格式，可选: ${IMPORT_FORMATS.join('/')}`));
+        }
+
+        console.log('📥 Importing workflow:', { userId, dirId, fileName, format, mode });
+
+        const imported = parseWorkflowFile(req.file.buffer, format);
+        const current = await WorkflowModel.getWorkflow(userId, dirId);
+        const workflow = mode === 'merge' ? mergeWorkflows(current, imported) : imported;
+
+        const errors = validateWorkflow(workflow);
+        if (errors.length > 0) {
+          return res.status(400).json(errorResponse('脑图数据不合法', { code: 'INVALID_WORKFLOW', errors }));
+        }
+
+        // 读取之后如有其他保存，合并的结果已过时，拒绝保存
+        const snapshot = await WorkflowModel.saveWorkflow(userId, dirId, workflow, {
+          expectedRevision: current.revision
+        });
+
+        res.json(successResponse({
+          dirId,
+          ...snapshot,
+          importedNodes: imported.nodes.length,
+          importedEdges: imported.edges.length,
+          nodes: workflow.nodes,
+          edges: workflow.edges
+        }, '脑图导入成功'));
+      } catch (error) {
+        console.error('导入脑图失败:', error);
+        if (error.message.includes('文件格式不正确')) {
+          return res.status(400).json(errorResponse(error.message));
+        }
+        if (error.message.includes('已被修改')) {
+          return FileSystemController.sendWorkflowConflict(req, res, error.message);
+        }
+        return FileSystemController.sendWorkflowError(res, error, '导入脑图失败');
       }
+    });
+  }
+
+  /**
+   * 返回409并附带服务器上的当前脑图和版本号，供编辑器合并后重试
+   */
+  static async sendWorkflowConflict(req, res, message) {
+    try {
+      const current = await WorkflowModel.getWorkflow(req.user.userId, req.params.dirId);
+      res.status(409).json(formatResponse('error', message, current, { code: 'WORKFLOW_CONFLICT' }));
+    } catch (error) {
+      res.status(409).json(errorResponse(message, 'WORKFLOW_CONFLICT'));
     }
+  }
 
-    return res.status(200).json(successResponse('获取脑图成功', { nodes, edges }));
-  } catch (error) {
-    console.error('获取脑图失败:', error);
-    return res.status(500).json(errorResponse('获取脑图失败: ' + error.message));
+  /**
+   * 脑图接口的错误响应：目录或快照不存在返回404，不是目录返回400
+   */
+  static sendWorkflowError(res, error, message) {
+    if (error.message.includes('不存在')) {
+      return res.status(404).json(errorResponse(error.message));
+    }
+    if (error.message.includes('不是目录')) {
+      return res.status(400).json(errorResponse(error.message));
+    }
+    return res.status(500).json(errorResponse(message, error.message));
   }
 }
-}
 
 module.exports = FileSystemController;
\ No newline at end of file
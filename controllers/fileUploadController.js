@@ -1,14 +1,20 @@
 const fs = require('fs');
-const path = require('path');
 const multer = require('multer');
-const { successResponse, errorResponse } = require('../utils/helpers');
-const { v4: uuidv4 } = require('uuid');
+const { pipeline } = require('stream');
+const { successResponse, errorResponse, calculatePagination, toETag, parseIfMatch } = require('../utils/helpers');
+const QuotaModel = require('../models/quotaModel');
+const FileUploadModel = require('../models/fileUploadModel');
+const FileSystemModel = require('../models/fileSystemModel');
+const UploadSessionModel = require('../models/uploadSessionModel');
+const config = require('../config/config');
+const { signPath, checkSignature } = require('../utils/signedUrl');
+const { SNIFF_BYTES, checkContentPolicy } = require('../utils/contentPolicy');
+const { checkNodeName } = require('../middleware/fileSystemValidation');
 
 // 配置multer存储
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const userId = req.user.userId;
-    const uploadDir = path.join(process.cwd(), 'remote', userId.toString());
+    const uploadDir = FileUploadModel.getUploadDir(req.user.userId);
 
     // 确保目录存在
     if (!fs.existsSync(uploadDir)) {
@@ -19,40 +25,43 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     // 生成唯一文件名：时间戳_UUID_原文件名
-    const timestamp = Date.now();
-    const uuid = uuidv4().substring(0, 8);
     const originalName = Buffer.from(file.originalname, 'latin1').toString('utf8');
-    const fileName = `${timestamp}_${uuid}_${originalName}`;
-    cb(null, fileName);
+    cb(null, FileUploadModel.buildFileName(originalName));
   }
 });
 
-// 文件过滤器
+// 文件过滤器：写入磁盘前先按文件名和声明的类型检查内容策略，文件头在保存后检查
 const fileFilter = (req, file, cb) => {
-  // 允许的文件类型
-  const allowedMimeTypes = [
-    'text/plain',
-    'text/markdown',
-    'application/json',
-    'text/csv',
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'application/xml',
-    'text/xml',
-    'application/x-yaml',
-    'text/yaml'
-  ];
-
-  if (allowedMimeTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error(`不支持的文件类型: ${file.mimetype}`), false);
+  const { error } = checkContentPolicy('upload', {
+    name: Buffer.from(file.originalname, 'latin1').toString('utf8'),
+    declaredMimeType: file.mimetype
+  });
+  if (error) {
+    req.contentPolicyError = error;
+    return cb(null, false);
   }
+  cb(null, true);
+};
+
+// 读取文件开头用于识别类型
+const readFileHead = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// 按文件头检查已保存的上传文件，不符合内容策略时删除文件
+const checkSavedUpload = (filePath, name, declaredMimeType) => {
+  const result = checkContentPolicy('upload', { name, declaredMimeType, content: readFileHead(filePath) });
+  if (result.error) {
+    fs.rmSync(filePath, { force: true });
+  }
+  return result;
 };
 
 // 创建multer实例
@@ -64,16 +73,155 @@ const upload = multer({
   }
 });
 
+// 记录上传文件并扫描，addToTree 为 true 时扫描通过后加入文件树的 parentId 文件夹（null表示根目录）
+// 文件夹不存在或加入文件树失败时删除已保存的文件并抛出错误
+const recordUpload = async (userId, { addToTree, parentId, originalName, fileName, filePath, size, mimeType, fileHash }) => {
+  if (addToTree && parentId) {
+    const parent = await FileSystemModel.getNodeById(parentId, userId);
+    if (!parent || parent.type !== 'folder') {
+      fs.rmSync(filePath, { force: true });
+      throw new Error('父文件夹不存在');
+    }
+  }
+
+  const upload = await FileUploadModel.createUpload({
+    userId,
+    originalName,
+    fileName,
+    filePath,
+    size,
+    mimeType,
+    fileHash,
+    addToTree,
+    parentId
+  });
+
+  // 扫描通过时由模型加入文件树，隔离中的文件等重新扫描通过后再加入
+  const scan = await FileUploadModel.scanUpload(upload.id);
+  if (scan.linkError) {
+    await FileUploadModel.deleteUpload(userId, upload.id);
+    throw scan.linkError;
+  }
+  upload.scanStatus = scan.status;
+  upload.scanResult = scan.result;
+  upload.nodeId = scan.node ? scan.node.id : null;
+
+  return { upload, node: scan.node };
+};
+
+// 扫描结果对应的响应：发现威胁时返回422，扫描器不可用时返回202（文件保持隔离，稍后自动重新扫描）
+const SCAN_RESPONSES = {
+  clean: { status: 200, message: '文件上传成功' },
+  error: { status: 202, message: '文件已上传，安全扫描暂时不可用，扫描通过前无法下载' }
+};
+
+// 发现威胁时的错误响应，其他情况返回null
+const infectedResponse = (res, upload) => {
+  if (upload.scanStatus !== 'infected') {
+    return null;
+  }
+  return res.status(422).json(errorResponse(`文件未通过安全扫描: ${upload.scanResult}`, 'MALWARE_DETECTED'));
+};
+
+// 上传文件的访问链接：本人下载地址、带签名的临时链接，以及公开的上传文件的公开链接
+const buildUploadLinks = (req, upload, expiresInSeconds) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  const signed = signPath(`${req.baseUrl}/download/${upload.id}`, expiresInSeconds);
+
+  return {
+    url: `${req.protocol}://${req.get('host')}${signed.path}`,
+    urlExpiresAt: signed.expiresAt,
+    downloadUrl: `${baseUrl}/files/${upload.id}/download`,
+    publicUrl: upload.isPublic ? `${baseUrl}/public/${upload.id}` : null
+  };
+};
+
+// 输出上传文件内容（支持单个Range请求），隔离中的文件不能下载
+const sendUpload = (req, res, upload) => {
+  if (upload.scanStatus !== 'clean') {
+    const message = upload.scanStatus === 'infected' ? '文件未通过安全扫描' : '文件正在等待安全扫描，暂不可下载';
+    return res.status(423).json(errorResponse(message, 'FILE_QUARANTINED'));
+  }
+
+  const size = fs.statSync(upload.filePath).size;
+  const mimeType = upload.mimeType || 'application/octet-stream';
+  const disposition = req.query.download ? 'attachment' : 'inline';
+
+  res.set({
+    'Content-Type': mimeType.startsWith('text/') ? `${mimeType}; charset=utf-8` : mimeType,
+    'Content-Disposition': `${disposition}; filename="download"; filename*=UTF-8''${encodeURIComponent(upload.originalName)}`,
+    'Accept-Ranges': 'bytes',
+    // 用户上传的HTML等内容不能在当前域名下执行脚本
+    'Content-Security-Policy': 'sandbox',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (upload.fileHash) {
+    res.set('ETag', toETag(upload.fileHash));
+    if (parseIfMatch(req.headers['if-none-match']).includes(upload.fileHash)) {
+      return res.status(304).end();
+    }
+  }
+
+  let range = {};
+  if (req.headers.range && size > 0) {
+    const ranges = req.range(size);
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).json(errorResponse('请求的范围无效'));
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = { start: ranges[0].start, end: ranges[0].end };
+    }
+  }
+
+  if (range.start !== undefined) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    res.status(200).set('Content-Length', size);
+  }
+
+  pipeline(fs.createReadStream(upload.filePath, range), res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('❌ Error streaming upload:', error);
+    }
+  });
+};
+
+// 加入文件树失败时的错误响应，其他错误返回null
+const linkErrorResponse = (res, error) => {
+  if (error.message.includes('不存在')) {
+    return res.status(404).json(errorResponse(error.message));
+  }
+  if (error.message.includes('不合法')) {
+    return res.status(400).json(errorResponse(error.message));
+  }
+  return null;
+};
+
 class FileUploadController {
 
   /**
    * 文件上传接口（支持XMLHttpRequest进度监听）
    * POST /api/upload
+   * 可选字段 parentId：同时把文件加入文件树的该文件夹下（传 root 表示根目录）
    */
   static async uploadFile(req, res) {
     const uploadSingle = upload.single('file');
 
-    uploadSingle(req, res, (err) => {
+    // 先按请求体大小预判配额，避免把注定超额的文件写入磁盘
+    try {
+      await QuotaModel.assertWithinQuota(req.user.userId, parseInt(req.headers['content-length'], 10) || 0);
+    } catch (error) {
+      if (error.message.includes('存储空间不足')) {
+        return res.status(413).json(errorResponse(error.message, 'QUOTA_EXCEEDED'));
+      }
+      return res.status(500).json(errorResponse('文件上传失败', error.message));
+    }
+
+    uploadSingle(req, res, async (err) => {
       if (err) {
         if (err instanceof multer.MulterError) {
           if (err.code === 'LIMIT_FILE_SIZE') {
@@ -84,6 +232,10 @@ class FileUploadController {
       }
 
       try {
+        if (req.contentPolicyError) {
+          return res.status(415).json(errorResponse(req.contentPolicyError, 'UNSUPPORTED_FILE_TYPE'));
+        }
+
         // 文件信息在 req.file 中
         const file = req.file;
         if (!file) {
@@ -91,20 +243,63 @@ class FileUploadController {
         }
 
         const userId = req.user.userId;
-        const baseUrl = `${req.protocol}://${req.get('host')}`;
+        const originalName = Buffer.from(file.originalname, 'latin1').toString('utf8');
+
+        // 以文件头识别的类型为准，不信任客户端声明的类型
+        const policy = checkSavedUpload(file.path, originalName, file.mimetype);
+        if (policy.error) {
+          return res.status(415).json(errorResponse(policy.error, 'UNSUPPORTED_FILE_TYPE'));
+        }
+
+        // 请求体大小可能缺失或不准确，文件落盘后再按实际占用确认一次
+        const usage = await QuotaModel.getUsage(userId);
+        if (usage.limitBytes !== null && usage.usedBytes > usage.limitBytes) {
+          fs.rmSync(file.path, { force: true });
+          return res.status(413).json(errorResponse('存储空间不足，已超出配额', 'QUOTA_EXCEEDED'));
+        }
+
+        const { parentId } = req.body;
+        let recorded;
+        try {
+          recorded = await recordUpload(userId, {
+            addToTree: Boolean(parentId),
+            parentId: parentId === 'root' ? null : parentId,
+            originalName,
+            fileName: file.filename,
+            filePath: file.path,
+            size: file.size,
+            mimeType: policy.mimeType,
+            fileHash: await FileUploadModel.hashFile(file.path)
+          });
+        } catch (recordError) {
+          if (linkErrorResponse(res, recordError)) {
+            return;
+          }
+          throw recordError;
+        }
+        const { upload, node } = recorded;
+        if (infectedResponse(res, upload)) {
+          return;
+        }
+
         const fileInfo = {
-          id: uuidv4(),
+          id: upload.id,
           originalName: file.originalname,
           fileName: file.filename,
           filePath: file.path,
           size: file.size,
-          mimetype: file.mimetype,
+          mimetype: upload.mimeType,
+          fileHash: upload.fileHash,
+          nodeId: upload.nodeId,
+          node,
+          scanStatus: upload.scanStatus,
           uploadTime: new Date().toISOString(),
-          url: `${baseUrl}/remote/${userId}/${file.filename}`,
+          ...buildUploadLinks(req, upload)
         };
 
-        res.status(200).json({
-          message: '文件上传成功',
+        const { status, message } = SCAN_RESPONSES[upload.scanStatus];
+        res.status(status).json({
+          message,
           fileInfo
         });
       } catch (err) {
@@ -115,6 +310,453 @@ class FileUploadController {
       }
     });
   }
+
+  /**
+   * 创建分片上传会话
+   * POST /api/upload/sessions
+   * body: { fileName, totalSize, mimeType, parentId?, fileHash? }
+   * parentId：完成后同时加入文件树的该文件夹下（传 root 表示根目录）；fileHash：整个文件的SHA256，完成时校验
+   */
+  static async createUploadSession(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { fileName, totalSize, mimeType, parentId, fileHash } = req.body;
+
+      const nameError = checkNodeName(typeof fileName === 'string' ? fileName : '');
+      if (nameError) {
+        return res.status(400).json(errorResponse(`文件名称不合法: ${nameError}`));
+      }
+      const maxBytes = config.uploads.maxFileMb * 1024 * 1024;
+      if (!Number.isSafeInteger(totalSize) || totalSize <= 0) {
+        return res.status(400).json(errorResponse('totalSize必须是正整数'));
+      }
+      if (totalSize > maxBytes) {
+        return res.status(413).json(errorResponse(`文件大小超过限制(${config.uploads.maxFileMb}MB)`));
+      }
+      const policy = checkContentPolicy('upload', { name: fileName, declaredMimeType: mimeType });
+      if (policy.error) {
+        return res.status(415).json(errorResponse(policy.error, 'UNSUPPORTED_FILE_TYPE'));
+      }
+      if (fileHash !== undefined && fileHash !== null && !/^[a-f0-9]{64}$/i.test(fileHash)) {
+        return res.status(400).json(errorResponse('fileHash必须是SHA256十六进制字符串'));
+      }
+
+      // 指定了文件夹时先确认文件夹存在，避免上传完成后才失败
+      if (parentId && parentId !== 'root') {
+        const parent = await FileSystemModel.getNodeById(parentId, userId);
+        if (!parent || parent.type !== 'folder') {
+          return res.status(404).json(errorResponse('父文件夹不存在'));
+        }
+      }
+
+      await QuotaModel.assertWithinQuota(userId, totalSize);
+
+      const session = await UploadSessionModel.createSession(userId, {
+        fileName,
+        mimeType: policy.mimeType,
+        totalSize,
+        addToTree: Boolean(parentId),
+        parentId: parentId && parentId !== 'root' ? parentId : null,
+        fileHash: fileHash ? fileHash.toLowerCase() : null
+      });
+
+      res.status(201).json(successResponse(session, '上传会话创建成功'));
+    } catch (error) {
+      console.error('❌ Error creating upload session:', error);
+      if (error.message.includes('存储空间不足')) {
+        return res.status(413).json(errorResponse(error.message, 'QUOTA_EXCEEDED'));
+      }
+      res.status(500).json(errorResponse('创建上传会话失败', error.message));
+    }
+  }
+
+  /**
+   * 查询分片上传会话（断点续传时从返回的 offset 继续上传）
+   * GET /api/upload/sessions/:sessionId
+   */
+  static async getUploadSession(req, res) {
+    try {
+      const session = await UploadSessionModel.getSession(req.user.userId, req.params.sessionId);
+      res.json(successResponse(session, '获取上传会话成功'));
+    } catch (error) {
+      console.error('❌ Error getting upload session:', error);
+      if (error.message.includes('不存在') || error.message.includes('已过期')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('获取上传会话失败', error.message));
+    }
+  }
+
+  /**
+   * 上传一个分片，请求体为分片的原始字节
+   * PUT /api/upload/sessions/:sessionId/chunk
+   * 请求头：Upload-Offset（分片起始位置，必须等于已接收的字节数）、X-Chunk-SHA256（分片内容的SHA256）
+   */
+  static async uploadChunk(req, res) {
+    const userId = req.user.userId;
+    const { sessionId } = req.params;
+
+    try {
+      const offset = Number(req.get('Upload-Offset'));
+      if (!Number.isSafeInteger(offset) || offset < 0) {
+        return res.status(400).json(errorResponse('Upload-Offset必须是非负整数'));
+      }
+      const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+      const session = await UploadSessionModel.appendChunk(userId, sessionId, offset, data, req.get('X-Chunk-SHA256'));
+
+      res.json(successResponse({
+        ...session,
+        complete: session.offset === session.totalSize
+      }, '分片上传成功'));
+    } catch (error) {
+      console.error('❌ Error uploading chunk:', error);
+      if (error.message.includes('偏移量')) {
+        // 返回服务器实际已接收的字节数，客户端从该位置继续
+        const session = await UploadSessionModel.getSession(userId, sessionId).catch(() => null);
+        return res.status(409).json(errorResponse(error.message, {
+          code: 'UPLOAD_OFFSET_MISMATCH',
+          offset: session ? session.offset : null
+        }));
+      }
+      if (error.message.includes('不存在') || error.message.includes('已过期')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      if (error.message.includes('分片')) {
+        return res.status(400).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('分片上传失败', error.message));
+    }
+  }
+
+  /**
+   * 完成分片上传：校验并合并为完整文件，记录上传（创建会话时指定了文件夹的同时加入文件树）
+   * POST /api/upload/sessions/:sessionId/complete
+   */
+  static async completeUploadSession(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { session, fileName, filePath, size, fileHash } = await UploadSessionModel.completeSession(
+        userId,
+        req.params.sessionId
+      );
+
+      const policy = checkSavedUpload(filePath, session.fileName, session.mimeType);
+      if (policy.error) {
+        return res.status(415).json(errorResponse(policy.error, 'UNSUPPORTED_FILE_TYPE'));
+      }
+
+      // 上传期间可能有其他内容写入，合并完成后按实际占用确认一次配额
+      const usage = await QuotaModel.getUsage(userId);
+      if (usage.limitBytes !== null && usage.usedBytes > usage.limitBytes) {
+        fs.rmSync(filePath, { force: true });
+        return res.status(413).json(errorResponse('存储空间不足，已超出配额', 'QUOTA_EXCEEDED'));
+      }
+
+      let recorded;
+      try {
+        recorded = await recordUpload(userId, {
+          addToTree: session.addToTree,
+          parentId: session.parentId,
+          originalName: session.fileName,
+          fileName,
+          filePath,
+          size,
+          mimeType: policy.mimeType,
+          fileHash
+        });
+      } catch (recordError) {
+        if (linkErrorResponse(res, recordError)) {
+          return;
+        }
+        throw recordError;
+      }
+      const { upload, node } = recorded;
+      if (infectedResponse(res, upload)) {
+        return;
+      }
+
+      const { status, message } = SCAN_RESPONSES[upload.scanStatus];
+      res.status(status).json(successResponse({
+        id: upload.id,
+        originalName: upload.originalName,
+        fileName,
+        size,
+        mimetype: upload.mimeType,
+        fileHash,
+        nodeId: upload.nodeId,
+        node,
+        scanStatus: upload.scanStatus,
+        uploadTime: new Date().toISOString(),
+        ...buildUploadLinks(req, upload)
+      }, message));
+    } catch (error) {
+      console.error('❌ Error completing upload session:', error);
+      if (error.message.includes('上传会话不存在') || error.message.includes('已过期')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      if (error.message.includes('尚未完成') || error.message.includes('校验失败') || error.message.includes('已损坏')) {
+        return res.status(409).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('完成上传失败', error.message));
+    }
+  }
+
+  /**
+   * 取消分片上传并删除已接收的内容
+   * DELETE /api/upload/sessions/:sessionId
+   */
+  static async abortUploadSession(req, res) {
+    try {
+      const result = await UploadSessionModel.abortSession(req.user.userId, req.params.sessionId);
+      res.json(successResponse(result, '上传已取消'));
+    } catch (error) {
+      console.error('❌ Error aborting upload session:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('取消上传失败', error.message));
+    }
+  }
+
+  /**
+   * 获取当前用户的上传文件列表
+   * GET /api/upload/files?page=1&limit=20
+   */
+  static async listUploads(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { page = 1, limit = 20 } = req.query;
+
+      const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+      const currentPage = Math.max(parseInt(page) || 1, 1);
+
+      const { total, items } = await FileUploadModel.listUploads(
+        userId,
+        (currentPage - 1) * pageSize,
+        pageSize
+      );
+
+      const uploads = items.map(item => ({
+        ...item,
+        ...buildUploadLinks(req, item)
+      }));
+      const pagination = calculatePagination(currentPage, pageSize, total);
+
+      res.json(successResponse(uploads, '获取上传文件成功', { pagination }));
+    } catch (error) {
+      console.error('❌ Error listing uploads:', error);
+      res.status(500).json(errorResponse('获取上传文件失败', error.message));
+    }
+  }
+
+  /**
+   * 下载自己的上传文件
+   * GET /api/upload/files/:uploadId/download
+   */
+  static async downloadUpload(req, res) {
+    try {
+      const upload = await FileUploadModel.getUpload(req.user.userId, req.params.uploadId);
+      sendUpload(req, res, upload);
+    } catch (error) {
+      console.error('❌ Error downloading upload:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('下载文件失败', error.message));
+    }
+  }
+
+  /**
+   * 重新扫描处于隔离状态的上传文件（已有扫描结果的文件直接返回结果）
+   * POST /api/upload/files/:uploadId/scan
+   */
+  static async scanUpload(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { uploadId } = req.params;
+      const upload = await FileUploadModel.getUpload(userId, uploadId);
+
+      if (upload.scanStatus === 'pending' || upload.scanStatus === 'error') {
+        console.log('🔍 Rescanning upload:', { userId, uploadId });
+        const scan = await FileUploadModel.scanUpload(uploadId);
+        upload.scanStatus = scan.status;
+        upload.scanResult = scan.result;
+        if (scan.node) {
+          upload.nodeId = scan.node.id;
+        }
+      }
+
+      res.json(successResponse({
+        id: upload.id,
+        nodeId: upload.nodeId,
+        scanStatus: upload.scanStatus,
+        scanResult: upload.scanResult
+      }, '获取扫描结果成功'));
+    } catch (error) {
+      console.error('❌ Error scanning upload:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('扫描上传文件失败', error.message));
+    }
+  }
+
+  /**
+   * 生成上传文件的签名下载链接（无需登录，到期后失效）
+   * POST /api/upload/files/:uploadId/url
+   * body: { expiresIn }（秒，默认使用配置的有效期）
+   */
+  static async createDownloadUrl(req, res) {
+    try {
+      const { expiresIn } = req.body;
+      const { maxUrlExpiresSeconds } = config.downloads;
+
+      if (expiresIn !== undefined && expiresIn !== null &&
+        (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > maxUrlExpiresSeconds)) {
+        return res.status(400).json(errorResponse(`expiresIn必须是1到${maxUrlExpiresSeconds}之间的整数`));
+      }
+
+      const upload = await FileUploadModel.getUpload(req.user.userId, req.params.uploadId);
+      const links = buildUploadLinks(req, upload, expiresIn || undefined);
+
+      res.json(successResponse(links, '下载链接生成成功'));
+    } catch (error) {
+      console.error('❌ Error creating download url:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('生成下载链接失败', error.message));
+    }
+  }
+
+  /**
+   * 开启或关闭上传文件的公开链接
+   * PUT /api/upload/files/:uploadId/public
+   * body: { isPublic }
+   */
+  static async setUploadPublic(req, res) {
+    try {
+      const { isPublic } = req.body;
+      if (typeof isPublic !== 'boolean') {
+        return res.status(400).json(errorResponse('isPublic必须是布尔值'));
+      }
+
+      console.log('🔗 Setting upload public link:', { userId: req.user.userId, uploadId: req.params.uploadId, isPublic });
+
+      const result = await FileUploadModel.setPublic(req.user.userId, req.params.uploadId, isPublic);
+
+      res.json(successResponse({
+        ...result,
+        ...buildUploadLinks(req, result)
+      }, isPublic ? '已开启公开链接' : '已关闭公开链接'));
+    } catch (error) {
+      console.error('❌ Error setting upload public link:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('设置公开链接失败', error.message));
+    }
+  }
+
+  /**
+   * 通过签名链接下载上传文件（无需登录）
+   * GET /api/upload/download/:uploadId?expires=&signature=
+   */
+  static async downloadSignedUpload(req, res) {
+    try {
+      const { uploadId } = req.params;
+      const signatureError = checkSignature(
+        `${req.baseUrl}/download/${uploadId}`,
+        req.query.expires,
+        req.query.signature
+      );
+      if (signatureError) {
+        return res.status(403).json(errorResponse(signatureError));
+      }
+
+      const upload = await FileUploadModel.getUploadById(uploadId);
+      sendUpload(req, res, upload);
+    } catch (error) {
+      console.error('❌ Error downloading signed upload:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('下载文件失败', error.message));
+    }
+  }
+
+  /**
+   * 通过公开链接下载上传文件（无需登录，只有开启了公开链接的文件可以访问）
+   * GET /api/upload/public/:uploadId
+   */
+  static async downloadPublicUpload(req, res) {
+    try {
+      const upload = await FileUploadModel.getUploadById(req.params.uploadId, { publicOnly: true });
+      sendUpload(req, res, upload);
+    } catch (error) {
+      console.error('❌ Error downloading public upload:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('下载文件失败', error.message));
+    }
+  }
+
+  /**
+   * 删除上传文件
+   * DELETE /api/upload/files/:uploadId
+   */
+  static async deleteUpload(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { uploadId } = req.params;
+
+      console.log('🗑️ Deleting upload:', { userId, uploadId });
+
+      const result = await FileUploadModel.deleteUpload(userId, uploadId);
+
+      res.json(successResponse(result, '上传文件删除成功'));
+    } catch (error) {
+      console.error('❌ Error deleting upload:', error);
+      if (error.message.includes('不存在')) {
+        return res.status(404).json(errorResponse(error.message));
+      }
+      if (error.message.includes('已关联到文件树')) {
+        return res.status(409).json(errorResponse(error.message));
+      }
+      res.status(500).json(errorResponse('删除上传文件失败', error.message));
+    }
+  }
+
+  /**
+   * 回收上传文件：清理文件已不存在的记录，可选删除过期的未关联上传和没有记录的文件
+   * POST /api/upload/gc
+   * body: { olderThanDays, includeUntracked }
+   */
+  static async collectGarbage(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { olderThanDays, includeUntracked = false } = req.body;
+
+      if (olderThanDays !== undefined && olderThanDays !== null &&
+        (!Number.isInteger(olderThanDays) || olderThanDays < 1)) {
+        return res.status(400).json(errorResponse('olderThanDays必须是正整数'));
+      }
+
+      console.log('🧹 Collecting upload garbage:', { userId, olderThanDays, includeUntracked });
+
+      const result = await FileUploadModel.collectGarbage(userId, {
+        olderThanDays: olderThanDays || null,
+        includeUntracked: includeUntracked === true
+      });
+
+      res.json(successResponse(result, '上传文件回收完成'));
+    } catch (error) {
+      console.error('❌ Error collecting upload garbage:', error);
+      res.status(500).json(errorResponse('上传文件回收失败', error.message));
+    }
+  }
 }
 
 module.exports = FileUploadController;
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 const { successResponse, errorResponse } = require('../utils/helpers');
 const UserModel = require('../models/userModel');
+const QuotaModel = require('../models/quotaModel');
 
 class UserController {
   // 根据ID获取用户
@@ -21,6 +22,16 @@ class UserController {
     }
   }
   
+  // 获取当前用户的存储使用情况和配额
+  static async getStorageUsage(req, res) {
+    try {
+      const usage = await QuotaModel.getUsage(req.user.userId);
+      res.json(successResponse(usage, '获取存储使用情况成功'));
+    } catch (error) {
+      res.status(500).json(errorResponse('获取存储使用情况失败', error.message));
+    }
+  }
+  
   // 创建新用户
   static async createUser(req, res) {
     try {
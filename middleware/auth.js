@@ -39,6 +39,29 @@ const jwtAuth = (req, res, next) => {
   }
 };
 
+// 校验当前用户是否为管理员（以数据库中user.role为准，每次请求重新查询），需在jwtAuth之后使用
+const requireAdmin = async (req, res, next) => {
+  try {
+    const UserModel = require('../models/userModel');
+
+    if (!req.user?.userId || !(await UserModel.isAdmin(req.user.userId))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '需要管理员权限'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Error checking admin role:', error);
+    res.status(500).json({
+      status: 'error',
+      message: '权限验证失败'
+    });
+  }
+};
+
 module.exports = {
-  jwtAuth
+  jwtAuth,
+  requireAdmin
 };
\ No newline at end of file
@@ -2,72 +2,116 @@
  * 文件系统专用验证中间件
  */
 
-// 验证文件/文件夹名称
-const validateNodeName = (req, res, next) => {
-  const { name, newName } = req.body;
-  const nameToValidate = name || newName;
-  
-  if (!nameToValidate) {
-    return res.status(400).json({
-      status: 'error',
-      message: '名称不能为空'
-    });
+const multer = require('multer');
+
+// 文本内容的大小上限
+const MAX_TEXT_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+// 二进制内容（base64或multipart上传）的大小上限
+const MAX_BINARY_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+
+// Windows系统保留名称
+const RESERVED_NAMES = [
+  'CON', 'PRN', 'AUX', 'NUL',
+  'COM1', 'COM2', 'COM3', 'COM4', 'COM5', 'COM6', 'COM7', 'COM8', 'COM9',
+  'LPT1', 'LPT2', 'LPT3', 'LPT4', 'LPT5', 'LPT6', 'LPT7', 'LPT8', 'LPT9'
+];
+
+/**
+ * 检查文件/文件夹名称是否合法
+ * @param {string} name - 名称
+ * @returns {string|null} 不合法时返回错误信息，合法时返回null
+ */
+const checkNodeName = (name) => {
+  if (!name) {
+    return '名称不能为空';
   }
   
   // 检查名称长度
-  if (nameToValidate.length > 255) {
-    return res.status(400).json({
-      status: 'error',
-      message: '名称长度不能超过255个字符'
-    });
+  if (name.length > 255) {
+    return '名称长度不能超过255个字符';
   }
   
   // 检查非法字符
   const invalidChars = /[<>:"/\\|?*\x00-\x1f]/;
-  if (invalidChars.test(nameToValidate)) {
-    return res.status(400).json({
-      status: 'error',
-      message: '名称包含非法字符'
-    });
+  if (invalidChars.test(name)) {
+    return '名称包含非法字符';
   }
   
   // 检查保留名称（Windows系统保留名称）
-  const reservedNames = [
-    'CON', 'PRN', 'AUX', 'NUL',
-    'COM1', 'COM2', 'COM3', 'COM4', 'COM5', 'COM6', 'COM7', 'COM8', 'COM9',
-    'LPT1', 'LPT2', 'LPT3', 'LPT4', 'LPT5', 'LPT6', 'LPT7', 'LPT8', 'LPT9'
-  ];
-  
-  if (reservedNames.includes(nameToValidate.toUpperCase())) {
-    return res.status(400).json({
-      status: 'error',
-      message: '不能使用系统保留名称'
-    });
+  if (RESERVED_NAMES.includes(name.toUpperCase())) {
+    return '不能使用系统保留名称';
   }
   
   // 检查名称不能以点开头或结尾
-  if (nameToValidate.startsWith('.') || nameToValidate.endsWith('.')) {
+  if (name.startsWith('.') || name.endsWith('.')) {
+    return '名称不能以点开头或结尾';
+  }
+  
+  return null;
+};
+
+// multipart方式上传的文件内容，保存在内存中交给控制器写入文件树
+const fileContentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_BINARY_FILE_SIZE,
+    files: 1
+  }
+}).single('file');
+
+// 解析multipart方式提交的文件内容（非multipart请求直接放行），未传name时使用上传的文件名
+const parseFileContentUpload = (req, res, next) => {
+  fileContentUpload(req, res, (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        status: 'error',
+        message: tooLarge ? '文件内容过大，最大支持50MB' : `文件上传失败: ${err.message}`
+      });
+    }
+
+    if (req.file && !req.body.name && req.method === 'POST') {
+      // multer按latin1解析文件名，需要转回UTF-8
+      req.body.name = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+    }
+
+    next();
+  });
+};
+
+// 验证文件/文件夹名称
+const validateNodeName = (req, res, next) => {
+  const { name, newName } = req.body;
+  const nameToValidate = name || newName;
+  
+  const nameError = checkNodeName(nameToValidate);
+  if (nameError) {
     return res.status(400).json({
       status: 'error',
-      message: '名称不能以点开头或结尾'
+      message: nameError
     });
   }
   
   next();
 };
 
-// 验证文件内容大小
+// 验证文件内容大小（multipart上传的大小由multer限制）
 const validateFileSize = (req, res, next) => {
-  const { content } = req.body;
+  const { content, encoding } = req.body;
   
   if (content && typeof content === 'string') {
-    const sizeInBytes = Buffer.byteLength(content, 'utf8');
-    const maxSize = 10 * 1024 * 1024; // 10MB
+    const isBase64 = encoding === 'base64';
+    // base64每4个字符对应3个字节
+    const sizeInBytes = isBase64
+      ? Math.floor(content.length * 3 / 4)
+      : Buffer.byteLength(content, 'utf8');
+    const maxSize = isBase64 ? MAX_BINARY_FILE_SIZE : MAX_TEXT_FILE_SIZE;
     
     if (sizeInBytes > maxSize) {
       return res.status(413).json({
         status: 'error',
-        message: '文件内容过大，最大支持10MB'
+        message: `文件内容过大，最大支持${maxSize / 1024 / 1024}MB`
       });
     }
   }
@@ -75,24 +119,104 @@ const validateFileSize = (req, res, next) => {
   next();
 };
 
+// 文本笔记允许的MIME类型
+const TEXT_MIME_TYPES = [
+  'text/plain',
+  'text/html',
+  'text/css',
+  'text/javascript',
+  'application/json',
+  'application/xml',
+  'text/markdown',
+  'text/csv',
+  'application/sql'
+];
+
+// 允许存入文件树的二进制MIME类型（内容需要使用base64编码或multipart上传）
+const BINARY_MIME_TYPES = [
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'audio/mpeg',
+  'audio/wav',
+  'audio/ogg',
+  'video/mp4',
+  'video/webm',
+  'application/zip',
+  'application/gzip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/octet-stream'
+];
+
+// 笔记文件允许的MIME类型
+const ALLOWED_MIME_TYPES = [...TEXT_MIME_TYPES, ...BINARY_MIME_TYPES];
+
+// 文件扩展名与MIME类型的对应关系（仅包含允许的类型）
+const EXTENSION_MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.text': 'text/plain',
+  '.log': 'text/plain',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.csv': 'text/csv',
+  '.sql': 'application/sql',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+/**
+ * 根据文件扩展名推断MIME类型
+ * @param {string} fileName - 文件名
+ * @returns {string|null} MIME类型，不在允许列表中时返回null
+ */
+const getMimeTypeByExtension = (fileName) => {
+  const dotIndex = fileName.lastIndexOf('.');
+  if (dotIndex === -1) {
+    return null;
+  }
+  return EXTENSION_MIME_TYPES[fileName.slice(dotIndex).toLowerCase()] || null;
+};
+
+/**
+ * 判断MIME类型是否为二进制内容（二进制文件不建立全文索引，也不支持版本比较）
+ * @param {string|null} mimeType - MIME类型
+ * @returns {boolean} 是否为二进制
+ */
+const isBinaryMimeType = (mimeType) => {
+  return BINARY_MIME_TYPES.includes(mimeType);
+};
+
 // 验证MIME类型
 const validateMimeType = (req, res, next) => {
   const { mimeType } = req.body;
   
   if (mimeType) {
-    const allowedMimeTypes = [
-      'text/plain',
-      'text/html',
-      'text/css',
-      'text/javascript',
-      'application/json',
-      'application/xml',
-      'text/markdown',
-      'text/csv',
-      'application/sql'
-    ];
-    
-    if (!allowedMimeTypes.includes(mimeType)) {
+    if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
       return res.status(400).json({
         status: 'error',
         message: '不支持的文件类型'
@@ -132,6 +256,13 @@ const validateSearchParams = (req, res, next) => {
 };
 
 module.exports = {
+  ALLOWED_MIME_TYPES,
+  MAX_TEXT_FILE_SIZE,
+  MAX_BINARY_FILE_SIZE,
+  checkNodeName,
+  getMimeTypeByExtension,
+  isBinaryMimeType,
+  parseFileContentUpload,
   validateNodeName,
   validateFileSize,
   validateMimeType,
@@ -0,0 +1,343 @@
+const { query, execute, transaction } = require('../config/database');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline, Transform } = require('stream');
+const { getStorageDriver, getDefaultStorageType } = require('../utils/storageDrivers');
+const { isCompressedContent } = require('../utils/fileTypeSniffer');
+
+// 没有数据库记录的blob对象超过该时间才会被回收，避免误删正在写入的内容
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// blob对象键的格式：blobs/<hash前2位>/<hash第3-4位>/<hash>.dat
+const BLOB_KEY_PATTERN = /^blobs\/[0-9a-f]{2}\/[0-9a-f]{2}\/([0-9a-f]{64})\.dat$/;
+
+/**
+ * 按内容哈希存储的文件内容（内容相同的文件、副本和版本快照共用一个blob）
+ *
+ * file_blobs.ref_count 记录引用该blob的 file_nodes 和 file_versions 行数，
+ * 引用行的 file_path 指向blob的存储位置。引用计数与引用行在同一事务中增减，
+ * 计数归零的blob由垃圾回收统一删除。blob的实际内容由 storage_type 对应的存储驱动保存，
+ * compression 为 gzip 时对象内容经过gzip压缩，已压缩的格式（图片、压缩包等）原样保存。
+ */
+class FileBlobModel {
+  /**
+   * 获取blob在存储驱动中的对象键（按哈希前四位分两级目录，避免单个目录文件过多）
+   * @param {string} hash - 内容哈希
+   * @returns {string} 对象键
+   */
+  static getBlobKey(hash) {
+    return `blobs/${hash.slice(0, 2)}/${hash.slice(2, 4)}/${hash}.dat`;
+  }
+
+  /**
+   * 判断存储路径是否指向该哈希的blob（旧格式的 <fileId>.dat 返回false）
+   * @param {string} filePath - 存储路径
+   * @param {string} hash - 内容哈希
+   * @returns {boolean} 是否为blob路径
+   */
+  static isBlobPath(filePath, hash) {
+    if (!filePath || !hash) {
+      return false;
+    }
+    return filePath.replace(/\\/g, '/').endsWith(this.getBlobKey(hash));
+  }
+
+  /**
+   * 计算内容的SHA256哈希值（按原始字节计算，字符串按UTF-8编码）
+   * @param {Buffer|string} content - 内容
+   * @returns {string} 哈希值
+   */
+  static calculateHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * 保存内容并增加一次引用（新内容写入当前配置的存储驱动，已有内容沿用原来的存储）
+   * @param {Buffer|string} content - 内容
+   * @param {Object|null} connection - 事务连接（引用计数随事务提交或回滚）
+   * @returns {Promise<{hash: string, size: number, filePath: string, storageType: string}>} blob信息
+   */
+  static async store(content, connection = null) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const hash = this.calculateHash(data);
+    const key = this.getBlobKey(hash);
+
+    // 先增加引用计数（会锁住该行），再确保内容存在，避免与垃圾回收同时删除同一个blob
+    await execute(
+      connection,
+      `INSERT INTO file_blobs (hash, size, storage_type, compression, ref_count) VALUES (?, ?, ?, ?, 1)
+       ON DUPLICATE KEY UPDATE ref_count = ref_count + 1`,
+      [hash, data.length, getDefaultStorageType(), isCompressedContent(data) ? 'none' : 'gzip']
+    );
+    const rows = await execute(connection, 'SELECT storage_type, compression FROM file_blobs WHERE hash = ?', [hash]);
+    const { storage_type: storageType, compression } = rows[0];
+    const driver = getStorageDriver(storageType);
+
+    if (!await driver.stat(key)) {
+      await driver.put(key, compression === 'gzip' ? zlib.gzipSync(data, { level: 6 }) : data);
+    }
+
+    return { hash, size: data.length, filePath: driver.locate(key), storageType };
+  }
+
+  /**
+   * 为已存在的blob增加一次引用（复制文件时使用）
+   * @param {string} hash - 内容哈希
+   * @param {Object|null} connection - 事务连接
+   */
+  static async addRef(hash, connection = null) {
+    const result = await execute(
+      connection,
+      'UPDATE file_blobs SET ref_count = ref_count + 1 WHERE hash = ?',
+      [hash]
+    );
+    if (result.affectedRows === 0) {
+      throw new Error(`文件内容不存在: ${hash}`);
+    }
+  }
+
+  /**
+   * 释放引用行对blob的引用
+   * @param {Array<{file_hash: string, file_path: string}>} refs - 被删除或替换的引用行
+   * @param {Object|null} connection - 事务连接
+   * @returns {Promise<Array<string>>} 旧格式的存储路径，需要调用方在提交后删除
+   */
+  static async releaseRefs(refs, connection = null) {
+    const counts = new Map();
+    const legacyPaths = [];
+
+    for (const ref of refs) {
+      if (this.isBlobPath(ref.file_path, ref.file_hash)) {
+        counts.set(ref.file_hash, (counts.get(ref.file_hash) || 0) + 1);
+      } else if (ref.file_path) {
+        legacyPaths.push(ref.file_path);
+      }
+    }
+
+    for (const [hash, count] of counts) {
+      await execute(
+        connection,
+        'UPDATE file_blobs SET ref_count = GREATEST(ref_count - ?, 0) WHERE hash = ?',
+        [count, hash]
+      );
+    }
+
+    return legacyPaths;
+  }
+
+  /**
+   * 获取blob记录
+   * @param {string} hash - 内容哈希
+   * @returns {Promise<Object>} { hash, size, storageType, compression, refCount }
+   */
+  static async getBlob(hash) {
+    const rows = await query(
+      'SELECT hash, size, storage_type, compression, ref_count FROM file_blobs WHERE hash = ?',
+      [hash]
+    );
+    if (rows.length === 0) {
+      throw new Error('文件内容不存在');
+    }
+    return {
+      hash: rows[0].hash,
+      size: Number(rows[0].size) || 0,
+      storageType: rows[0].storage_type,
+      compression: rows[0].compression,
+      refCount: rows[0].ref_count
+    };
+  }
+
+  /**
+   * 读取blob的原始内容
+   * @param {string} hash - 内容哈希
+   * @returns {Promise<Buffer>} 内容
+   */
+  static async readBuffer(hash) {
+    const blob = await this.getBlob(hash);
+    const data = await getStorageDriver(blob.storageType).get(this.getBlobKey(hash));
+    return blob.compression === 'gzip' ? zlib.gunzipSync(data) : data;
+  }
+
+  /**
+   * 读取blob的文本内容
+   * @param {string} hash - 内容哈希
+   * @returns {Promise<string>} 内容
+   */
+  static async read(hash) {
+    return (await this.readBuffer(hash)).toString('utf8');
+  }
+
+  /**
+   * 以流的方式读取blob的原始内容
+   * 未压缩的blob直接按范围读取对象，gzip压缩的blob边解压边截取
+   * @param {string} hash - 内容哈希
+   * @param {Object} range - 字节范围 { start, end }（包含end），为空时读取全部
+   * @returns {Promise<Readable>} 可读流
+   */
+  static async openStream(hash, { start, end } = {}) {
+    const blob = await this.getBlob(hash);
+    const driver = getStorageDriver(blob.storageType);
+    const key = this.getBlobKey(hash);
+
+    if (blob.compression !== 'gzip') {
+      return driver.stream(key, start === undefined && end === undefined ? {} : { start, end });
+    }
+
+    const from = start || 0;
+    const to = end === undefined ? Infinity : end;
+    let offset = 0;
+    const slice = new Transform({
+      transform(chunk, encoding, callback) {
+        const chunkStart = offset;
+        offset += chunk.length;
+        if (offset > from && chunkStart <= to) {
+          this.push(chunk.subarray(Math.max(from - chunkStart, 0), Math.min(to - chunkStart + 1, chunk.length)));
+        }
+        callback();
+      }
+    });
+
+    return pipeline(await driver.stream(key), zlib.createGunzip(), slice, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.warn('⚠️ Warning: Could not stream blob:', hash, error.message);
+      }
+    });
+  }
+
+  /**
+   * 按 file_nodes 和 file_versions 的实际引用重新计算引用计数
+   * @returns {Promise<number>} 计数被修正的blob数量
+   */
+  static async recountReferences() {
+    const result = await query(
+      `UPDATE file_blobs b
+       LEFT JOIN (
+         SELECT file_hash, COUNT(*) AS refs FROM (
+           SELECT file_hash FROM file_nodes WHERE type = 'file' AND file_hash IS NOT NULL
+           UNION ALL
+           SELECT file_hash FROM file_versions
+         ) r GROUP BY file_hash
+       ) c ON c.file_hash = b.hash
+       SET b.ref_count = COALESCE(c.refs, 0)
+       WHERE b.ref_count <> COALESCE(c.refs, 0)`
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * 垃圾回收：删除引用计数为0的blob，以及存储中没有数据库记录的blob对象
+   * @param {Object} options - 回收选项
+   * @param {boolean} options.recount - 回收前是否先重新计算引用计数
+   * @returns {Promise<Object>} 回收结果
+   */
+  static async collectGarbage({ recount = false } = {}) {
+    const recounted = recount ? await this.recountReferences() : 0;
+
+    const candidates = await query('SELECT hash FROM file_blobs WHERE ref_count <= 0');
+    let removedBlobs = 0;
+    let freedBytes = 0;
+
+    for (const { hash } of candidates) {
+      // 逐个在事务中锁定并删除，期间新的引用会等待该事务结束后重新写入内容
+      const removed = await transaction(async (connection) => {
+        const locked = await execute(
+          connection,
+          'SELECT storage_type FROM file_blobs WHERE hash = ? AND ref_count <= 0 FOR UPDATE',
+          [hash]
+        );
+        if (locked.length === 0) {
+          return null;
+        }
+
+        const driver = getStorageDriver(locked[0].storage_type);
+        const key = this.getBlobKey(hash);
+        const stat = await driver.stat(key);
+        await driver.delete(key);
+        await execute(connection, 'DELETE FROM file_blobs WHERE hash = ?', [hash]);
+        return stat ? stat.size : 0;
+      });
+
+      if (removed !== null) {
+        removedBlobs++;
+        freedBytes += removed;
+      }
+    }
+
+    const orphanFiles = await this.removeOrphanObjects();
+
+    return { recounted, removedBlobs, freedBytes, orphanFiles };
+  }
+
+  /**
+   * 列出存储中没有对应数据库记录的blob对象
+   * @param {string} storageType - 存储类型
+   * @returns {Promise<Array<{key: string, size: number, modifiedAt: Date}>>} 孤立对象
+   */
+  static async findOrphanObjects(storageType) {
+    const objects = await getStorageDriver(storageType).list('blobs/');
+    const hashes = objects
+      .map(object => (object.key.match(BLOB_KEY_PATTERN) || [])[1])
+      .filter(Boolean);
+
+    const known = new Set();
+    // 分批查询，避免IN列表过长
+    for (let index = 0; index < hashes.length; index += 500) {
+      const batch = hashes.slice(index, index + 500);
+      const rows = await query(
+        `SELECT hash FROM file_blobs WHERE storage_type = ? AND hash IN (${batch.map(() => '?').join(', ')})`,
+        [storageType, ...batch]
+      );
+      rows.forEach(row => known.add(row.hash));
+    }
+
+    return objects.filter(object => {
+      const match = object.key.match(BLOB_KEY_PATTERN);
+      return !match || !known.has(match[1]);
+    });
+  }
+
+  // 私有方法：删除没有数据库记录的blob对象（事务回滚或进程中断留下的）
+  static async removeOrphanObjects() {
+    const rows = await query('SELECT DISTINCT storage_type FROM file_blobs');
+    const storageTypes = new Set([getDefaultStorageType(), ...rows.map(row => row.storage_type)]);
+    const now = Date.now();
+    let removed = 0;
+
+    for (const storageType of storageTypes) {
+      try {
+        const driver = getStorageDriver(storageType);
+        const orphans = (await this.findOrphanObjects(storageType))
+          .filter(object => now - new Date(object.modifiedAt).getTime() > ORPHAN_GRACE_MS);
+
+        for (const object of orphans) {
+          const match = object.key.match(BLOB_KEY_PATTERN);
+          const deleted = await transaction(async (connection) => {
+            if (match) {
+              // 加锁读取：尚未提交的新引用会让这里等待其提交，之后能看到记录而不会误删
+              const locked = await execute(
+                connection,
+                'SELECT storage_type FROM file_blobs WHERE hash = ? FOR UPDATE',
+                [match[1]]
+              );
+              if (locked.length > 0 && locked[0].storage_type === storageType) {
+                return false;
+              }
+            }
+            await driver.delete(object.key);
+            return true;
+          });
+
+          if (deleted) {
+            removed++;
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ Warning: Could not sweep orphan blobs in ${storageType} storage:`, error.message);
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = FileBlobModel;
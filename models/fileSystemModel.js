@@ -1,65 +1,66 @@
-const { pool, query } = require('../config/database');
+const { pool, query, execute, transaction } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto');
 const zlib = require('zlib');
+const { Readable } = require('stream');
+const SearchIndexModel = require('./searchIndexModel');
+const FileVersionModel = require('./fileVersionModel');
+const FileBlobModel = require('./fileBlobModel');
+const FileUploadModel = require('./fileUploadModel');
+const QuotaModel = require('./quotaModel');
+const {
+  MAX_TEXT_FILE_SIZE,
+  MAX_BINARY_FILE_SIZE,
+  checkNodeName,
+  getMimeTypeByExtension,
+  isBinaryMimeType
+} = require('../middleware/fileSystemValidation');
+
+// 子节点列表支持的排序字段
+const CHILDREN_SORT_COLUMNS = {
+  name: 'name',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  size: 'size'
+};
+
 class FileSystemModel {
   /**
-   * 计算文件内容的SHA256哈希值
-   * @param {string} content - 文件内容
+   * 计算文件内容的SHA256哈希值（按原始字节计算）
+   * @param {Buffer|string} content - 文件内容
    * @returns {string} 哈希值
    */
   static calculateFileHash(content) {
-    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+    return crypto.createHash('sha256').update(content).digest('hex');
   }
 
   /**
-   * 获取文件存储路径
-   * @param {string} userId - 用户ID
-   * @param {string} fileId - 文件ID
-   * @returns {string} 文件存储路径
+   * 保存文件内容（按内容哈希去重存储，并增加一次引用）
+   * @param {Buffer|string} content - 文件内容
+   * @param {Object|null} connection - 事务连接，引用计数随事务提交
+   * @returns {Object} { filePath, fileHash, size, storageType }
    */
-  static getFilePath(userId, fileId) {
-    const storageDir = path.join(process.cwd(), 'storage', 'files', userId);
-    return path.join(storageDir, `${fileId}.dat`);
+  static async saveFileContent(content, connection = null) {
+    const { hash, size, filePath, storageType } = await FileBlobModel.store(content, connection);
+    return { filePath, fileHash: hash, size, storageType };
   }
 
   /**
-   * 确保存储目录存在
-   * @param {string} userId - 用户ID
+   * 读取文件内容（blob从其所在的存储驱动读取，上传文件和旧格式文件从本地磁盘读取）
+   * @param {string} filePath - 存储路径（file_path）
+   * @param {string|null} fileHash - 内容哈希（file_hash）
+   * @returns {string} 文件内容
    */
-  static ensureStorageDir(userId) {
-    const storageDir = path.join(process.cwd(), 'storage', 'files', userId);
-    if (!fs.existsSync(storageDir)) {
-      fs.mkdirSync(storageDir, { recursive: true });
+  static async readFileContent(filePath, fileHash = null) {
+    if (FileBlobModel.isBlobPath(filePath, fileHash)) {
+      return FileBlobModel.read(fileHash);
     }
-  }
-
-  /**
-   * 保存文件内容到文件系统
-   * @param {string} userId - 用户ID
-   * @param {string} fileId - 文件ID
-   * @param {string} content - 文件内容
-   * @returns {string} 文件存储路径
-   */
-  static async saveFileContent(userId, fileId, content) {
-    this.ensureStorageDir(userId);
-    const filePath = this.getFilePath(userId, fileId);
-
-    // 使用gzip压缩存储
-    const compressed = zlib.gzipSync(content, { level: 6 });
-    fs.writeFileSync(filePath, compressed);
 
-    return filePath;
-  }
+    if (FileUploadModel.isUploadPath(filePath)) {
+      return (await this.readFileBuffer(filePath, fileHash)).toString('utf8');
+    }
 
-  /**
-   * 从文件系统读取文件内容
-   * @param {string} filePath - 文件路径
-   * @returns {string} 文件内容
-   */
-  static async readFileContent(filePath) {
     if (!fs.existsSync(filePath)) {
       throw new Error('文件不存在');
     }
@@ -98,51 +99,106 @@ class FileSystemModel {
       throw new Error(`文件内容解析失败: ${error.message}`);
     }
   }
+
+  /**
+   * 读取文件的原始字节（上传文件原样保存在上传目录中，旧格式文件都是文本）
+   * @param {string} filePath - 存储路径（file_path）
+   * @param {string|null} fileHash - 内容哈希（file_hash）
+   * @returns {Promise<Buffer>} 文件内容
+   */
+  static async readFileBuffer(filePath, fileHash = null) {
+    if (FileBlobModel.isBlobPath(filePath, fileHash)) {
+      return FileBlobModel.readBuffer(fileHash);
+    }
+    if (FileUploadModel.isUploadPath(filePath)) {
+      if (!fs.existsSync(filePath)) {
+        throw new Error('文件不存在');
+      }
+      return fs.readFileSync(filePath);
+    }
+    return Buffer.from(await this.readFileContent(filePath, fileHash), 'utf8');
+  }
+
+  // 私有方法：二进制文件的内容必须是Buffer（base64解码或multipart上传），避免按UTF-8写入损坏内容
+  static assertContentEncoding(content, mimeType) {
+    if (isBinaryMimeType(mimeType) && !Buffer.isBuffer(content)) {
+      throw new Error('二进制文件内容需要使用base64编码或multipart上传');
+    }
+  }
+
+  // 私有方法：获取用于全文索引的内容，二进制文件不索引内容
+  static getIndexableContent(content, mimeType) {
+    if (isBinaryMimeType(mimeType)) {
+      return null;
+    }
+    return Buffer.isBuffer(content) ? content.toString('utf8') : content;
+  }
+  // 私有方法：将数据库记录转换为文件树节点（key/title/isLeaf 格式）
+  static toTreeNode(node) {
+    return {
+      key: node.id,
+      title: node.name,
+      isLeaf: node.type === 'file',
+      type: node.type,
+      path: node.path,
+      size: node.size,
+      mimeType: node.mime_type,
+      createdAt: node.created_at,
+      updatedAt: node.updated_at
+    };
+  }
+
   /**
-   * 获取用户的文件树结构
+   * 获取用户的文件树结构（一次查询取出所有节点，再按parent_id分组组装）
    * @param {string} userId - 用户ID
    * @param {string} parentId - 父节点ID，null表示根目录，主要用于搜索时使用
+   * @param {number|null} maxDepth - 最大展开层数，null表示完整的树；
+   *   超出层数的文件夹不返回children，前端可通过子节点接口懒加载
    * @returns {Array} 文件树数据
    */
-  static async getUserFileTree(userId, parentId = null) {
+  static async getUserFileTree(userId, parentId = null, maxDepth = null) {
     try {
       console.log('📁 Getting file tree for user:', userId, 'parent:', parentId);
 
-      const sql = `
-        SELECT id, name, type, path, size, mime_type, created_at, updated_at,
-               CASE WHEN type = 'file' THEN 1 ELSE 0 END as isLeaf
-        FROM file_nodes 
-        WHERE user_id = ? AND parent_id ${parentId ? '= ?' : 'IS NULL'} AND is_deleted = 0
-        ORDER BY type ASC, name ASC
-      `;
-
-      const params = parentId ? [userId, parentId] : [userId];
-      const results = await query(sql, params);
+      const scope = this.buildSubtreeScope(userId, parentId);
+      const results = await query(
+        `${scope.cte}
+         SELECT n.id, n.parent_id, n.name, n.type, n.path, n.size, n.mime_type, n.created_at, n.updated_at
+         FROM ${scope.from}
+         WHERE ${scope.where}
+         ORDER BY n.type ASC, n.name ASC`,
+        [...scope.cteParams, ...scope.whereParams]
+      );
 
-      // 递归获取子节点
-      const treeData = [];
+      // 按父节点分组，组内保持查询的排序
+      const childrenMap = new Map();
       for (const node of results) {
-        const treeNode = {
-          key: node.id,
-          title: node.name,
-          isLeaf: node.type === 'file',
-          type: node.type,
-          path: node.path,
-          size: node.size,
-          mimeType: node.mime_type,
-          createdAt: node.created_at,
-          updatedAt: node.updated_at
-        };
-
-        // 如果是文件夹，递归获取子节点
-        if (node.type === 'folder') {
-          treeNode.children = await this.getUserFileTree(userId, node.id);
+        const key = node.parent_id || null;
+        if (!childrenMap.has(key)) {
+          childrenMap.set(key, []);
         }
-
-        treeData.push(treeNode);
+        childrenMap.get(key).push(node);
       }
 
-      console.log(`✅ Found ${treeData.length} nodes`);
+      const buildLevel = (levelParentId, depth) => {
+        return (childrenMap.get(levelParentId) || []).map(node => {
+          const treeNode = this.toTreeNode(node);
+
+          if (node.type === 'folder') {
+            if (maxDepth === null || depth < maxDepth) {
+              treeNode.children = buildLevel(node.id, depth + 1);
+            } else {
+              treeNode.childCount = (childrenMap.get(node.id) || []).length;
+            }
+          }
+
+          return treeNode;
+        });
+      };
+
+      const treeData = buildLevel(parentId || null, 1);
+
+      console.log(`✅ Found ${results.length} nodes`);
       return treeData;
     } catch (error) {
       console.error('❌ Error getting file tree:', error);
@@ -150,6 +206,158 @@ class FileSystemModel {
     }
   }
 
+  // 私有方法：编码分页游标
+  static encodeCursor(node, sortColumn) {
+    const value = node[sortColumn] instanceof Date ? node[sortColumn].toISOString() : node[sortColumn];
+    return Buffer.from(JSON.stringify([node.type, value, node.id])).toString('base64url');
+  }
+
+  // 私有方法：解码分页游标
+  static decodeCursor(cursor, sortColumn) {
+    try {
+      const [type, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!['file', 'folder'].includes(type) || typeof id !== 'string') {
+        throw new Error();
+      }
+      const isDate = sortColumn === 'created_at' || sortColumn === 'updated_at';
+      return { type, value: isDate && value !== null ? new Date(value) : value, id };
+    } catch (error) {
+      throw new Error('分页游标格式不正确');
+    }
+  }
+
+  /**
+   * 分页获取文件夹的直接子节点，可按层数向下展开
+   * @param {string} userId - 用户ID
+   * @param {string|null} parentId - 父文件夹ID，null表示根目录
+   * @param {Object} options - 查询选项
+   * @param {number} options.depth - 展开层数（1表示只返回直接子节点）
+   * @param {number} options.limit - 每个文件夹最多返回的子节点数量
+   * @param {string} options.cursor - 上一页返回的游标（仅作用于第一层）
+   * @param {string} options.sort - 排序字段（name/createdAt/updatedAt/size）
+   * @param {string} options.order - 排序方向（asc/desc）
+   * @returns {Object} { items, hasMore, nextCursor }
+   */
+  static async getChildren(userId, parentId = null, {
+    depth = 1,
+    limit = 50,
+    cursor = null,
+    sort = 'name',
+    order = 'asc'
+  } = {}) {
+    try {
+      console.log('📁 Getting children:', { userId, parentId, depth, limit, sort, order });
+
+      if (parentId) {
+        const parentResult = await query(
+          'SELECT type FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0',
+          [parentId, userId]
+        );
+        if (parentResult.length === 0) {
+          throw new Error('文件夹不存在');
+        }
+        if (parentResult[0].type !== 'folder') {
+          throw new Error('指定的ID不是文件夹');
+        }
+      }
+
+      const sortColumn = CHILDREN_SORT_COLUMNS[sort] || 'name';
+      const direction = order === 'desc' ? 'DESC' : 'ASC';
+      const comparator = direction === 'DESC' ? '<' : '>';
+      const pageSize = Math.max(1, parseInt(limit) || 50);
+      const columns = 'id, parent_id, name, type, path, size, mime_type, created_at, updated_at';
+      const orderBy = `type ASC, ${sortColumn} ${direction}, id ${direction}`;
+
+      // 第一层：按游标分页，多取一条用于判断是否还有下一页
+      let cursorClause = '';
+      let cursorParams = [];
+      if (cursor) {
+        const decoded = this.decodeCursor(cursor, sortColumn);
+        cursorClause = `AND (type > ? OR (type = ? AND (${sortColumn} ${comparator} ? 
+          OR (${sortColumn} = ? AND id ${comparator} ?))))`;
+        cursorParams = [decoded.type, decoded.type, decoded.value, decoded.value, decoded.id];
+      }
+
+      const firstLevel = await query(
+        `SELECT ${columns} FROM file_nodes
+         WHERE user_id = ? AND parent_id ${parentId ? '= ?' : 'IS NULL'} AND is_deleted = 0
+         ${cursorClause}
+         ORDER BY ${orderBy}
+         LIMIT ${pageSize + 1}`,
+        [userId, ...(parentId ? [parentId] : []), ...cursorParams]
+      );
+
+      const hasMore = firstLevel.length > pageSize;
+      const pageNodes = firstLevel.slice(0, pageSize);
+      const items = pageNodes.map(node => this.toTreeNode(node));
+
+      // 逐层展开：每层一次查询，用窗口函数限制每个文件夹返回的子节点数量
+      let currentLevel = items.filter(item => item.type === 'folder');
+      for (let level = 1; level < depth && currentLevel.length > 0; level++) {
+        const folderIds = currentLevel.map(item => item.key);
+        const placeholders = folderIds.map(() => '?').join(',');
+        const rows = await query(
+          `SELECT * FROM (
+             SELECT ${columns},
+                    ROW_NUMBER() OVER (PARTITION BY parent_id ORDER BY ${orderBy}) AS row_num
+             FROM file_nodes
+             WHERE user_id = ? AND parent_id IN (${placeholders}) AND is_deleted = 0
+           ) ranked
+           WHERE row_num <= ${pageSize + 1}
+           ORDER BY parent_id, row_num`,
+          [userId, ...folderIds]
+        );
+
+        const grouped = new Map();
+        for (const row of rows) {
+          if (!grouped.has(row.parent_id)) {
+            grouped.set(row.parent_id, []);
+          }
+          grouped.get(row.parent_id).push(row);
+        }
+
+        const nextLevel = [];
+        for (const folder of currentLevel) {
+          const children = grouped.get(folder.key) || [];
+          const visibleChildren = children.slice(0, pageSize);
+          folder.children = visibleChildren.map(node => this.toTreeNode(node));
+          folder.hasMore = children.length > pageSize;
+          folder.nextCursor = folder.hasMore
+            ? this.encodeCursor(visibleChildren[visibleChildren.length - 1], sortColumn)
+            : null;
+          nextLevel.push(...folder.children.filter(child => child.type === 'folder'));
+        }
+        currentLevel = nextLevel;
+      }
+
+      // 未展开的文件夹返回子节点数量，便于前端判断是否可以展开
+      if (currentLevel.length > 0) {
+        const folderIds = currentLevel.map(item => item.key);
+        const placeholders = folderIds.map(() => '?').join(',');
+        const counts = await query(
+          `SELECT parent_id, COUNT(*) AS child_count FROM file_nodes
+           WHERE user_id = ? AND parent_id IN (${placeholders}) AND is_deleted = 0
+           GROUP BY parent_id`,
+          [userId, ...folderIds]
+        );
+        const countMap = new Map(counts.map(row => [row.parent_id, Number(row.child_count)]));
+        for (const folder of currentLevel) {
+          folder.childCount = countMap.get(folder.key) || 0;
+        }
+      }
+
+      return {
+        parentId,
+        items,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(pageNodes[pageNodes.length - 1], sortColumn) : null
+      };
+    } catch (error) {
+      console.error('❌ Error getting children:', error);
+      throw error;
+    }
+  }
+
   /**
    * 创建文件夹
    * @param {string} userId - 用户ID
@@ -195,6 +403,10 @@ class FileSystemModel {
 
       await query(insertQuery, [folderId, userId, parentId, name, path]);
 
+      await this.updateSearchIndex(() => SearchIndexModel.indexNode({
+        id: folderId, userId, type: 'folder', name, path
+      }));
+
       console.log('✅ Folder created successfully:', folderId);
       return {
         id: folderId,
@@ -214,7 +426,7 @@ class FileSystemModel {
    * 创建文件
    * @param {string} userId - 用户ID
    * @param {string} name - 文件名称
-   * @param {string} content - 文件内容
+   * @param {Buffer|string} content - 文件内容（二进制文件必须是Buffer）
    * @param {string} parentId - 父文件夹ID
    * @param {string} mimeType - 文件类型
    * @returns {Object} 创建的文件信息
@@ -223,6 +435,8 @@ class FileSystemModel {
     try {
       console.log('📄 Creating file:', { userId, name, parentId, mimeType });
 
+      this.assertContentEncoding(content, mimeType);
+
       // 检查同级目录下是否已存在同名文件
       const existsQuery = `
         SELECT id FROM file_nodes 
@@ -249,19 +463,29 @@ class FileSystemModel {
         nodePath = `${parentResult[0].path}/${name}`;
       }
 
+      await QuotaModel.assertWithinQuota(userId, Buffer.byteLength(content));
+
       const fileId = uuidv4();
-      const size = Buffer.byteLength(content, 'utf8');
-      const fileHash = this.calculateFileHash(content);
 
-      // 保存文件内容到文件系统
-      const filePath = await this.saveFileContent(userId, fileId, content);
+      // 内容引用与节点记录在同一事务中写入
+      const { size, fileHash } = await transaction(async (connection) => {
+        const stored = await this.saveFileContent(content, connection);
 
-      const insertQuery = `
-        INSERT INTO file_nodes (id, user_id, parent_id, name, type, path, size, file_path, file_hash, mime_type)
-        VALUES (?, ?, ?, ?, 'file', ?, ?, ?, ?, ?)
-      `;
+        const insertQuery = `
+          INSERT INTO file_nodes (id, user_id, parent_id, name, type, path, size, storage_type, file_path, file_hash, mime_type)
+          VALUES (?, ?, ?, ?, 'file', ?, ?, ?, ?, ?, ?)
+        `;
 
-      await query(insertQuery, [fileId, userId, parentId, name, nodePath, size, filePath, fileHash, mimeType]);
+        await execute(connection, insertQuery, [fileId, userId, parentId, name, nodePath, stored.size,
+          stored.storageType, stored.filePath, stored.fileHash, mimeType]);
+        return stored;
+      });
+
+      await this.updateSearchIndex(() => SearchIndexModel.indexNode({
+        id: fileId, userId, type: 'file', name, path: nodePath, content: this.getIndexableContent(content, mimeType)
+      }));
+
+      await this.recordFileVersion(userId, fileId, content, fileHash);
 
       console.log('✅ File created successfully:', fileId);
       return {
@@ -270,6 +494,7 @@ class FileSystemModel {
         type: 'file',
         path: nodePath,
         size,
+        fileHash,
         mimeType,
         parentId,
         createdAt: new Date()
@@ -280,6 +505,72 @@ class FileSystemModel {
     }
   }
 
+  /**
+   * 将上传目录中的文件作为文件节点加入文件树（内容不复制，节点直接引用上传的文件）
+   * @param {string} userId - 用户ID
+   * @param {string|null} parentId - 父文件夹ID，null表示根目录
+   * @param {Object} upload - 上传文件信息 { name, filePath, size, fileHash, mimeType }
+   * @returns {Object} 创建的文件信息（同名时自动追加序号）
+   */
+  static async linkUploadedFile(userId, parentId, { name, filePath, size, fileHash, mimeType }) {
+    try {
+      console.log('📎 Linking uploaded file:', { userId, name, parentId, mimeType });
+
+      const nameError = checkNodeName(name);
+      if (nameError) {
+        throw new Error(`文件名称不合法: ${nameError}`);
+      }
+
+      let nodePath = null;
+      if (parentId) {
+        const parentResult = await query(
+          `SELECT path, type FROM file_nodes 
+           WHERE id = ? AND user_id = ? AND is_deleted = 0`,
+          [parentId, userId]
+        );
+        if (parentResult.length === 0 || parentResult[0].type !== 'folder') {
+          throw new Error('父文件夹不存在');
+        }
+        nodePath = parentResult[0].path;
+      }
+
+      const uniqueName = await this.resolveUniqueName(userId, parentId, name, 'file');
+      nodePath = nodePath ? `${nodePath}/${uniqueName}` : uniqueName;
+      const fileId = uuidv4();
+
+      await query(
+        `INSERT INTO file_nodes (id, user_id, parent_id, name, type, path, size, storage_type, file_path, file_hash, mime_type)
+         VALUES (?, ?, ?, ?, 'file', ?, ?, 'filesystem', ?, ?, ?)`,
+        [fileId, userId, parentId, uniqueName, nodePath, size, filePath, fileHash, mimeType]
+      );
+
+      // 文本文件的内容一并建立索引
+      let content = null;
+      if (!isBinaryMimeType(mimeType) && size <= MAX_TEXT_FILE_SIZE) {
+        content = fs.readFileSync(filePath, 'utf8');
+      }
+      await this.updateSearchIndex(() => SearchIndexModel.indexNode({
+        id: fileId, userId, type: 'file', name: uniqueName, path: nodePath, content
+      }));
+
+      console.log('✅ Uploaded file linked:', fileId);
+      return {
+        id: fileId,
+        name: uniqueName,
+        type: 'file',
+        path: nodePath,
+        size,
+        fileHash,
+        mimeType,
+        parentId,
+        createdAt: new Date()
+      };
+    } catch (error) {
+      console.error('❌ Error linking uploaded file:', error);
+      throw error;
+    }
+  }
+
   /**
    * 重命名文件或文件夹
    * @param {string} userId - 用户ID
@@ -293,7 +584,7 @@ class FileSystemModel {
 
       // 获取当前节点信息
       const currentNode = await query(
-        'SELECT name, path, parent_id FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0',
+        'SELECT name, path, parent_id, type FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0',
         [nodeId, userId]
       );
 
@@ -335,6 +626,8 @@ class FileSystemModel {
         await this.updateChildrenPaths(userId, nodeId, oldPath, newPath);
       }
 
+      await this.updateSearchIndex(() => SearchIndexModel.syncSubtreeMeta(userId, newPath));
+
       console.log('✅ Node renamed successfully');
       return {
         id: nodeId,
@@ -391,7 +684,7 @@ class FileSystemModel {
 
       // 首先尝试新格式（file_path字段）
       const result = await query(
-        `SELECT id, name, file_path, size, mime_type, path, created_at, updated_at 
+        `SELECT id, name, file_path, file_hash, size, mime_type, path, created_at, updated_at 
          FROM file_nodes 
          WHERE id = ? AND user_id = ? AND type = 'file' AND is_deleted = 0`,
         [fileId, userId]
@@ -403,12 +696,23 @@ class FileSystemModel {
 
       const fileInfo = result[0];
 
+      // 二进制文件不在JSON中返回内容，通过 /file/:fileId/raw 下载
+      if (isBinaryMimeType(fileInfo.mime_type)) {
+        console.log('✅ Binary file info retrieved');
+        return {
+          ...fileInfo,
+          isBinary: true,
+          content: null
+        };
+      }
+
       // 从文件系统读取内容
-      const content = await this.readFileContent(fileInfo.file_path);
+      const content = await this.readFileContent(fileInfo.file_path, fileInfo.file_hash);
 
       console.log('✅ File content retrieved');
       return {
         ...fileInfo,
+        isBinary: false,
         content
       };
     } catch (error) {
@@ -417,20 +721,68 @@ class FileSystemModel {
     }
   }
 
+  /**
+   * 获取下载文件所需的信息（不读取内容）
+   * @param {string} userId - 用户ID
+   * @param {string} fileId - 文件ID
+   * @returns {Object} 文件信息
+   */
+  static async getFileInfo(userId, fileId) {
+    const result = await query(
+      `SELECT id, name, size, mime_type, file_path, file_hash, updated_at 
+       FROM file_nodes 
+       WHERE id = ? AND user_id = ? AND type = 'file' AND is_deleted = 0`,
+      [fileId, userId]
+    );
+
+    if (result.length === 0) {
+      throw new Error('文件不存在');
+    }
+    return result[0];
+  }
+
+  /**
+   * 以流的方式读取文件的原始内容
+   * @param {Object} fileInfo - getFileInfo返回的文件信息
+   * @param {Object} range - 字节范围 { start, end }（包含end），为空时读取全部
+   * @returns {Promise<Readable>} 可读流
+   */
+  static async openFileStream(fileInfo, range = {}) {
+    if (FileBlobModel.isBlobPath(fileInfo.file_path, fileInfo.file_hash)) {
+      return FileBlobModel.openStream(fileInfo.file_hash, range);
+    }
+
+    if (FileUploadModel.isUploadPath(fileInfo.file_path)) {
+      if (!fs.existsSync(fileInfo.file_path)) {
+        throw new Error('文件不存在');
+      }
+      return fs.createReadStream(fileInfo.file_path, range);
+    }
+
+    // 旧格式文件都是较小的文本，读入内存后截取
+    const data = await this.readFileBuffer(fileInfo.file_path, fileInfo.file_hash);
+    const start = range.start || 0;
+    const end = range.end === undefined ? data.length - 1 : range.end;
+    return Readable.from([data.subarray(start, end + 1)]);
+  }
+
   /**
    * 更新文件内容
    * @param {string} userId - 用户ID
    * @param {string} fileId - 文件ID
-   * @param {string} content - 新内容
+   * @param {Buffer|string} content - 新内容（二进制文件必须是Buffer）
+   * @param {Object} options - 更新选项
+   * @param {Array<string>} options.expectedHashes - 客户端期望的当前哈希（If-Match），
+   *   为空时不做并发检查，包含 '*' 时只要求文件存在
    * @returns {Object} 更新后的文件信息
    */
-  static async updateFileContent(userId, fileId, content) {
+  static async updateFileContent(userId, fileId, content, { expectedHashes = [] } = {}) {
     try {
       console.log('💾 Updating file content:', { userId, fileId });
 
       // 首先检查文件是否存在
       const fileResult = await query(
-        `SELECT file_path FROM file_nodes 
+        `SELECT file_path, file_hash, size, mime_type FROM file_nodes 
          WHERE id = ? AND user_id = ? AND type = 'file' AND is_deleted = 0`,
         [fileId, userId]
       );
@@ -439,142 +791,1413 @@ class FileSystemModel {
         throw new Error('文件不存在');
       }
 
-      const size = Buffer.byteLength(content, 'utf8');
-      const fileHash = this.calculateFileHash(content);
+      const mimeType = fileResult[0].mime_type;
+      this.assertContentEncoding(content, mimeType);
 
-      // 更新文件系统中的内容
-      await this.saveFileContent(userId, fileId, content);
-
-      // 更新数据库记录
-      const result = await query(
-        `UPDATE file_nodes 
-         SET size = ?, file_hash = ?, updated_at = CURRENT_TIMESTAMP 
-         WHERE id = ? AND user_id = ? AND type = 'file' AND is_deleted = 0`,
-        [size, fileHash, fileId, userId]
+      // 只有内容变大的部分计入配额
+      await QuotaModel.assertWithinQuota(
+        userId,
+        Buffer.byteLength(content) - (Number(fileResult[0].size) || 0)
       );
 
-      if (result.affectedRows === 0) {
-        throw new Error('文件更新失败');
-      }
+      // 历史文件还没有版本记录时，先把当前内容保存为基线版本，避免覆盖后丢失
+      await this.ensureBaselineVersion(userId, fileId, fileResult[0]);
 
-      console.log('✅ File content updated');
-      return { id: fileId, size, updatedAt: new Date() };
-    } catch (error) {
-      console.error('❌ Error updating file content:', error);
-      throw error;
-    }
-  }
+      const { size, fileHash, legacyPaths } = await transaction(async (connection) => {
+        // 锁定文件记录，保证哈希比较和写入之间不会有其他请求插入
+        const lockedResult = await execute(
+          connection,
+          `SELECT file_hash, file_path FROM file_nodes 
+           WHERE id = ? AND user_id = ? AND type = 'file' AND is_deleted = 0 FOR UPDATE`,
+          [fileId, userId]
+        );
 
-  // 私有方法：递归更新子节点路径
-  static async updateChildrenPaths(userId, parentId, oldParentPath, newParentPath) {
-    try {
-      const children = await query(
-        'SELECT id, path, type FROM file_nodes WHERE parent_id = ? AND user_id = ? AND is_deleted = 0',
-        [parentId, userId]
-      );
+        if (lockedResult.length === 0) {
+          throw new Error('文件不存在');
+        }
 
-      for (const child of children) {
-        const newChildPath = child.path.replace(oldParentPath, newParentPath);
+        // 没有哈希记录的历史文件无法比较，直接放行
+        const currentHash = lockedResult[0].file_hash;
+        if (
+          currentHash &&
+          expectedHashes.length > 0 &&
+          !expectedHashes.includes('*') &&
+          !expectedHashes.includes(currentHash)
+        ) {
+          throw new Error('文件已被修改，请合并最新内容后重试');
+        }
 
-        await query(
-          'UPDATE file_nodes SET path = ? WHERE id = ? AND user_id = ?',
-          [newChildPath, child.id, userId]
+        // 引用新内容，释放旧内容
+        const stored = await this.saveFileContent(content, connection);
+
+        // 更新数据库记录
+        const result = await execute(
+          connection,
+          `UPDATE file_nodes 
+           SET size = ?, file_hash = ?, file_path = ?, storage_type = ?, updated_at = CURRENT_TIMESTAMP 
+           WHERE id = ? AND user_id = ? AND type = 'file' AND is_deleted = 0`,
+          [stored.size, stored.fileHash, stored.filePath, stored.storageType, fileId, userId]
         );
 
-        // 如果子节点是文件夹，递归更新其子节点
-        if (child.type === 'folder') {
-          await this.updateChildrenPaths(userId, child.id, child.path, newChildPath);
+        if (result.affectedRows === 0) {
+          throw new Error('文件更新失败');
         }
-      }
+
+        const releasedPaths = await FileBlobModel.releaseRefs([lockedResult[0]], connection);
+        // 上传文件随节点一起被替换，同时删除上传记录，避免记录指向已删除的文件
+        if (FileUploadModel.isUploadPath(lockedResult[0].file_path)) {
+          await FileUploadModel.deleteNodeUploads([fileId], connection);
+        }
+        return { ...stored, legacyPaths: releasedPaths };
+      });
+
+      // 旧格式的独立存储文件已不再被引用
+      this.deleteStorageFiles(legacyPaths);
+
+      await this.updateSearchIndex(() => SearchIndexModel.updateContent(fileId, this.getIndexableContent(content, mimeType)));
+
+      const version = await this.recordFileVersion(userId, fileId, content, fileHash);
+
+      console.log('✅ File content updated');
+      return {
+        id: fileId,
+        size,
+        fileHash,
+        versionNo: version ? version.versionNo : null,
+        updatedAt: new Date()
+      };
     } catch (error) {
-      console.error('❌ Error updating children paths:', error);
+      console.error('❌ Error updating file content:', error);
       throw error;
     }
   }
 
   /**
-   * 迁移旧格式文件（从content字段迁移到文件系统）
+   * 移动文件或文件夹到新的父目录
    * @param {string} userId - 用户ID
-   * @param {string} fileId - 文件ID
+   * @param {string} nodeId - 节点ID
+   * @param {string|null} newParentId - 目标父文件夹ID，null表示移动到根目录
+   * @returns {Object} 移动后的节点信息
    */
-  static async migrateLegacyFile(userId, fileId) {
+  static async moveNode(userId, nodeId, newParentId = null) {
     try {
-      // 查询旧格式文件（包含content字段）
-      const legacyResult = await query(
-        `SELECT content FROM file_nodes 
-         WHERE id = ? AND user_id = ? AND type = 'file' AND is_deleted = 0`,
-        [fileId, userId]
-      );
+      console.log('📦 Moving node:', { userId, nodeId, newParentId });
 
-      if (legacyResult.length === 0 || !legacyResult[0].content) {
-        throw new Error('旧格式文件不存在或内容为空');
-      }
+      return await transaction(async (connection) => {
+        const currentNode = await execute(
+          connection,
+          'SELECT id, name, path, parent_id, type FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0 FOR UPDATE',
+          [nodeId, userId]
+        );
 
-      const content = legacyResult[0].content;
-      const fileHash = this.calculateFileHash(content);
-      const filePath = this.getFilePath(userId, fileId);
+        if (currentNode.length === 0) {
+          throw new Error('文件或文件夹不存在');
+        }
 
-      // 保存内容到文件系统
-      await this.saveFileContent(userId, fileId, content);
+        const node = currentNode[0];
+
+        // 目标父目录未变化，无需移动
+        if ((node.parent_id || null) === newParentId) {
+          return {
+            id: nodeId,
+            name: node.name,
+            path: node.path,
+            type: node.type,
+            parentId: newParentId
+          };
+        }
 
-      // 更新数据库记录，添加file_path和file_hash，移除content
-      await query(
-        `UPDATE file_nodes 
-         SET file_path = ?, file_hash = ?, content = NULL 
-         WHERE id = ? AND user_id = ?`,
-        [filePath, fileHash, fileId, userId]
-      );
+        let parentPath = null;
+        if (newParentId) {
+          if (newParentId === nodeId) {
+            throw new Error('不能将文件夹移动到其自身或子文件夹中');
+          }
 
-      console.log('✅ Legacy file migrated successfully:', fileId);
+          const parentResult = await execute(
+            connection,
+            'SELECT id, path, type FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0',
+            [newParentId, userId]
+          );
+          if (parentResult.length === 0) {
+            throw new Error('目标文件夹不存在');
+          }
+          if (parentResult[0].type !== 'folder') {
+            throw new Error('目标节点不是文件夹');
+          }
+
+          // 沿parent_id向上查找，目标目录的祖先中不能包含被移动的节点
+          if (node.type === 'folder' && await this.isSelfOrDescendant(connection, userId, nodeId, newParentId)) {
+            throw new Error('不能将文件夹移动到其自身或子文件夹中');
+          }
+
+          parentPath = parentResult[0].path;
+        }
+
+        // 检查目标目录下是否已存在同名文件
+        const existsQuery = `
+          SELECT id FROM file_nodes 
+          WHERE user_id = ? AND parent_id ${newParentId ? '= ?' : 'IS NULL'} 
+          AND name = ? AND id != ? AND is_deleted = 0
+        `;
+        const existsParams = newParentId
+          ? [userId, newParentId, node.name, nodeId]
+          : [userId, node.name, nodeId];
+        const existing = await execute(connection, existsQuery, existsParams);
+
+        if (existing.length > 0) {
+          throw new Error('目标目录下已存在同名文件或文件夹');
+        }
+
+        const oldPath = node.path;
+        const newPath = parentPath ? `${parentPath}/${node.name}` : node.name;
+
+        await execute(
+          connection,
+          'UPDATE file_nodes SET parent_id = ?, path = ?, updated_at = NOW() WHERE id = ? AND user_id = ?',
+          [newParentId, newPath, nodeId, userId]
+        );
+
+        // 如果是文件夹，需要更新整个子树的路径
+        if (node.type === 'folder') {
+          await this.updateChildrenPaths(userId, nodeId, oldPath, newPath, connection);
+        }
+
+        await this.updateSearchIndex(() => SearchIndexModel.syncSubtreeMeta(userId, newPath, connection));
+
+        console.log('✅ Node moved successfully');
+        return {
+          id: nodeId,
+          name: node.name,
+          path: newPath,
+          type: node.type,
+          parentId: newParentId
+        };
+      });
     } catch (error) {
-      console.error('❌ Error migrating legacy file:', error);
+      console.error('❌ Error moving node:', error);
       throw error;
     }
   }
 
-  // 私有方法：递归软删除节点
-  static async softDeleteNodeRecursive(userId, nodeId) {
-    try {
-      // 先软删除所有子节点
-      const children = await query(
-        'SELECT id FROM file_nodes WHERE parent_id = ? AND user_id = ? AND is_deleted = 0',
-        [nodeId, userId]
-      );
+  // 私有方法：沿parent_id向上查找，判断targetId是否为nodeId本身或其后代
+  static async isSelfOrDescendant(connection, userId, nodeId, targetId) {
+    const visited = new Set();
+    let currentId = targetId;
 
-      for (const child of children) {
-        await this.softDeleteNodeRecursive(userId, child.id);
+    while (currentId) {
+      if (currentId === nodeId) {
+        return true;
+      }
+      // 防止脏数据中的环导致死循环
+      if (visited.has(currentId)) {
+        break;
       }
+      visited.add(currentId);
 
-      // 获取当前节点信息，如果是文件则删除文件系统中的文件
-      const nodeInfo = await query(
-        'SELECT type, file_path FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0',
-        [nodeId, userId]
+      const rows = await execute(
+        connection,
+        'SELECT parent_id FROM file_nodes WHERE id = ? AND user_id = ?',
+        [currentId, userId]
       );
+      currentId = rows.length > 0 ? rows[0].parent_id : null;
+    }
 
-      if (nodeInfo.length > 0 && nodeInfo[0].type === 'file' && nodeInfo[0].file_path) {
-        try {
-          // 删除文件系统中的文件
-          if (fs.existsSync(nodeInfo[0].file_path)) {
-            fs.unlinkSync(nodeInfo[0].file_path);
-            console.log('🗑️ Physical file deleted:', nodeInfo[0].file_path);
-          }
-        } catch (fileError) {
-          console.warn('⚠️ Warning: Could not delete physical file:', fileError.message);
-          // 继续执行数据库删除，即使物理文件删除失败
-        }
-      }
+    return false;
+  }
 
-      // 软删除当前节点
-      await query(
-        'UPDATE file_nodes SET is_deleted = 1 WHERE id = ? AND user_id = ?',
+  /**
+   * 复制文件或文件夹（深拷贝整个子树）到目标目录
+   * 生成新的ID和路径，复制文件内容和文件夹上的工作流数据，同名时自动追加序号
+   * @param {string} userId - 用户ID
+   * @param {string} nodeId - 要复制的节点ID
+   * @param {string|null} targetParentId - 目标父文件夹ID，null表示根目录
+   * @returns {Object} 复制后的根节点信息
+   */
+  static async copyNode(userId, nodeId, targetParentId = null) {
+    try {
+      console.log('📑 Copying node:', { userId, nodeId, targetParentId });
+
+      const copied = await transaction(async (connection) => {
+        const sourceResult = await execute(
+          connection,
+          'SELECT id, name, type FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0',
+          [nodeId, userId]
+        );
+        if (sourceResult.length === 0) {
+          throw new Error('文件或文件夹不存在');
+        }
+        const source = sourceResult[0];
+
+        let targetPath = null;
+        if (targetParentId) {
+          const targetResult = await execute(
+            connection,
+            'SELECT id, path, type FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0',
+            [targetParentId, userId]
+          );
+          if (targetResult.length === 0) {
+            throw new Error('目标文件夹不存在');
+          }
+          if (targetResult[0].type !== 'folder') {
+            throw new Error('目标节点不是文件夹');
+          }
+          if (source.type === 'folder' && await this.isSelfOrDescendant(connection, userId, nodeId, targetParentId)) {
+            throw new Error('不能将文件夹复制到其自身或子文件夹中');
+          }
+          targetPath = targetResult[0].path;
+        }
+
+        // 按层级顺序取出整个子树，保证父节点先于子节点插入
+        const nodes = await execute(
+          connection,
+          `WITH RECURSIVE subtree AS (
+             SELECT id, 0 AS depth FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0
+             UNION ALL
+             SELECT c.id, t.depth + 1 FROM file_nodes c
+             JOIN subtree t ON c.parent_id = t.id
+             WHERE c.user_id = ? AND c.is_deleted = 0
+           )
+           SELECT n.* FROM file_nodes n JOIN subtree t ON t.id = n.id
+           ORDER BY t.depth ASC, n.name ASC`,
+          [nodeId, userId, userId]
+        );
+
+        const copiedBytes = nodes.reduce((total, node) => total + (node.type === 'file' ? Number(node.size) || 0 : 0), 0);
+        await QuotaModel.assertWithinQuota(userId, copiedBytes);
+
+        const rootName = await this.resolveUniqueName(userId, targetParentId, source.name, source.type, connection);
+        const copies = new Map();
+
+        for (const node of nodes) {
+          const isRoot = node.id === nodeId;
+          const parentCopy = isRoot ? null : copies.get(node.parent_id);
+          const newId = uuidv4();
+          const name = isRoot ? rootName : node.name;
+          const parentId = isRoot ? targetParentId : parentCopy.id;
+          const parentPath = isRoot ? targetPath : parentCopy.path;
+          const nodePath = parentPath ? `${parentPath}/${name}` : name;
+
+          // 副本与源文件共用同一个内容blob，只增加引用计数
+          let filePath = null;
+          let fileHash = node.file_hash;
+          let storageType = node.storage_type;
+          if (node.type === 'file' && node.file_path) {
+            if (FileBlobModel.isBlobPath(node.file_path, node.file_hash)) {
+              await FileBlobModel.addRef(node.file_hash, connection);
+              filePath = node.file_path;
+            } else {
+              // 旧格式文件和上传文件在复制时转存为blob，副本与原文件互不影响
+              if (!fs.existsSync(node.file_path)) {
+                throw new Error(`源文件内容不存在: ${node.path}`);
+              }
+              const stored = await this.saveFileContent(await this.readFileBuffer(node.file_path), connection);
+              filePath = stored.filePath;
+              fileHash = stored.fileHash;
+              storageType = stored.storageType;
+            }
+          }
+
+          const columns = ['id', 'user_id', 'parent_id', 'name', 'type', 'path', 'size', 'mime_type',
+            'storage_type', 'file_path', 'file_hash'];
+          const values = [newId, userId, parentId, name, node.type, nodePath, node.size, node.mime_type,
+            storageType, filePath, fileHash];
+
+          // 文件夹上保存的工作流数据一并复制
+          if (node.type === 'folder' && node.nodes !== undefined) {
+            columns.push('nodes', 'edges');
+            values.push(this.serializeJsonColumn(node.nodes), this.serializeJsonColumn(node.edges));
+          }
+
+          await execute(
+            connection,
+            `INSERT INTO file_nodes (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            values
+          );
+
+          copies.set(node.id, { id: newId, path: nodePath });
+        }
+
+        const rootCopy = copies.get(nodeId);
+        return {
+          id: rootCopy.id,
+          name: rootName,
+          type: source.type,
+          path: rootCopy.path,
+          parentId: targetParentId,
+          copiedCount: nodes.length
+        };
+      });
+
+      await this.updateSearchIndex(() => this.reindexSubtree(userId, copied.id));
+
+      console.log('✅ Node copied successfully:', copied.id);
+      return copied;
+    } catch (error) {
+      console.error('❌ Error copying node:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取导出文件夹所需的节点列表（包含文件夹本身，按路径排序）
+   * @param {string} userId - 用户ID
+   * @param {string} folderId - 文件夹ID
+   * @returns {Object} { folder, nodes }
+   */
+  static async getExportNodes(userId, folderId) {
+    try {
+      const folder = await this.getNodeById(folderId, userId);
+      if (!folder) {
+        throw new Error('文件夹不存在');
+      }
+      if (folder.type !== 'folder') {
+        throw new Error('指定的ID不是文件夹');
+      }
+
+      const nodes = await query(
+        `WITH RECURSIVE subtree AS (
+           SELECT id FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0
+           UNION ALL
+           SELECT c.id FROM file_nodes c
+           JOIN subtree t ON c.parent_id = t.id
+           WHERE c.user_id = ? AND c.is_deleted = 0
+         )
+         SELECT n.* FROM file_nodes n JOIN subtree t ON t.id = n.id
+         ORDER BY n.path ASC`,
+        [folderId, userId, userId]
+      );
+
+      return { folder, nodes };
+    } catch (error) {
+      console.error('❌ Error getting export nodes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 将导入条目展开到目标文件夹下
+   * @param {string} userId - 用户ID
+   * @param {string|null} targetParentId - 目标文件夹ID，null表示根目录
+   * @param {Array<Object>} entries - 导入条目 [{ path, segments, type, data }]
+   * @param {Object} options - 导入选项
+   * @param {string} options.onConflict - 同名处理策略（skip/overwrite/rename）
+   * @param {Object} options.workflows - 按相对路径索引的文件夹脑图数据（来自导出清单）
+   * @returns {Array<Object>} 每个条目的处理结果
+   */
+  static async importEntries(userId, targetParentId, entries, { onConflict = 'skip', workflows = {} } = {}) {
+    try {
+      console.log('📥 Importing entries:', { userId, targetParentId, count: entries.length, onConflict });
+
+      if (targetParentId) {
+        const target = await this.getNodeById(targetParentId, userId);
+        if (!target || target.type !== 'folder') {
+          throw new Error('目标文件夹不存在');
+        }
+      }
+
+      const report = [];
+      // 相对路径 -> 文件夹ID，空字符串表示导入目标本身
+      const folderIds = new Map([['', targetParentId]]);
+
+      const findSibling = async (parentId, name) => {
+        const result = await query(
+          `SELECT id, type FROM file_nodes 
+           WHERE user_id = ? AND parent_id ${parentId ? '= ?' : 'IS NULL'} AND name = ? AND is_deleted = 0`,
+          parentId ? [userId, parentId, name] : [userId, name]
+        );
+        return result[0] || null;
+      };
+
+      // 逐级创建（或复用已存在的）文件夹，返回最深一级的文件夹ID
+      const ensureFolder = async (segments) => {
+        let parentId = targetParentId;
+        let relativePath = '';
+
+        for (const segment of segments) {
+          relativePath = relativePath ? `${relativePath}/${segment}` : segment;
+          if (folderIds.has(relativePath)) {
+            parentId = folderIds.get(relativePath);
+            continue;
+          }
+
+          const nameError = checkNodeName(segment);
+          if (nameError) {
+            throw new Error(`文件夹名称不合法: ${nameError}`);
+          }
+
+          const existing = await findSibling(parentId, segment);
+          if (existing && existing.type === 'folder') {
+            parentId = existing.id;
+          } else {
+            if (existing && onConflict !== 'rename') {
+              throw new Error(`已存在同名文件，无法创建文件夹: ${relativePath}`);
+            }
+            const name = existing
+              ? await this.resolveUniqueName(userId, parentId, segment, 'folder')
+              : segment;
+            const folder = await this.createFolder(userId, name, parentId);
+
+            const workflow = workflows[relativePath];
+            if (workflow) {
+              await this.updateNodeById(folder.id, userId, {
+                nodes: this.serializeJsonColumn(workflow.nodes || []),
+                edges: this.serializeJsonColumn(workflow.edges || [])
+              });
+            }
+
+            report.push({
+              path: relativePath,
+              type: 'folder',
+              status: name === segment ? 'created' : 'renamed',
+              id: folder.id,
+              name
+            });
+            parentId = folder.id;
+          }
+
+          folderIds.set(relativePath, parentId);
+        }
+
+        return parentId;
+      };
+
+      for (const entry of entries) {
+        try {
+          if (entry.type === 'folder') {
+            await ensureFolder(entry.segments);
+            continue;
+          }
+
+          const name = entry.segments[entry.segments.length - 1];
+          const nameError = checkNodeName(name);
+          if (nameError) {
+            report.push({ path: entry.path, type: 'file', status: 'rejected', reason: nameError });
+            continue;
+          }
+
+          const mimeType = getMimeTypeByExtension(name);
+          if (!mimeType) {
+            report.push({ path: entry.path, type: 'file', status: 'rejected', reason: '不支持的文件类型' });
+            continue;
+          }
+
+          // 二进制文件按原始字节保存，大小限制与validateFileSize保持一致
+          const isBinary = isBinaryMimeType(mimeType);
+          const maxSize = isBinary ? MAX_BINARY_FILE_SIZE : MAX_TEXT_FILE_SIZE;
+          if (entry.data.length > maxSize) {
+            report.push({
+              path: entry.path,
+              type: 'file',
+              status: 'rejected',
+              reason: `文件内容过大，最大支持${maxSize / 1024 / 1024}MB`
+            });
+            continue;
+          }
+
+          if (!isBinary && entry.data.includes(0)) {
+            report.push({ path: entry.path, type: 'file', status: 'rejected', reason: '不是文本文件' });
+            continue;
+          }
+
+          const content = isBinary ? entry.data : entry.data.toString('utf8');
+          const parentId = await ensureFolder(entry.segments.slice(0, -1));
+          const existing = await findSibling(parentId, name);
+
+          if (!existing) {
+            const file = await this.createFile(userId, name, content, parentId, mimeType);
+            report.push({ path: entry.path, type: 'file', status: 'created', id: file.id, name });
+          } else if (onConflict === 'overwrite' && existing.type === 'file') {
+            await this.updateFileContent(userId, existing.id, content);
+            report.push({ path: entry.path, type: 'file', status: 'overwritten', id: existing.id, name });
+          } else if (onConflict === 'rename') {
+            const uniqueName = await this.resolveUniqueName(userId, parentId, name, 'file');
+            const file = await this.createFile(userId, uniqueName, content, parentId, mimeType);
+            report.push({ path: entry.path, type: 'file', status: 'renamed', id: file.id, name: uniqueName });
+          } else {
+            report.push({
+              path: entry.path,
+              type: 'file',
+              status: existing.type === 'file' ? 'skipped' : 'rejected',
+              id: existing.id,
+              reason: existing.type === 'file' ? '已存在同名文件' : '已存在同名文件夹'
+            });
+          }
+        } catch (entryError) {
+          report.push({ path: entry.path, type: entry.type, status: 'rejected', reason: entryError.message });
+        }
+      }
+
+      console.log('✅ Entries imported:', { total: report.length });
+      return report;
+    } catch (error) {
+      console.error('❌ Error importing entries:', error);
+      throw error;
+    }
+  }
+
+  // 私有方法：解析JSON列（驱动可能已解析为对象），解析失败时返回默认值
+  static parseJsonColumn(value, defaultValue = []) {
+    if (value === null || value === undefined) {
+      return defaultValue;
+    }
+    if (typeof value === 'object') {
+      return value;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return defaultValue;
+    }
+  }
+
+  // 私有方法：JSON列的值可能已被驱动解析为对象，写回数据库前统一序列化
+  static serializeJsonColumn(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  // 私有方法：递归更新子节点路径
+  static async updateChildrenPaths(userId, parentId, oldParentPath, newParentPath, connection = null) {
+    try {
+      const children = await execute(
+        connection,
+        'SELECT id, path, type FROM file_nodes WHERE parent_id = ? AND user_id = ? AND is_deleted = 0',
+        [parentId, userId]
+      );
+
+      for (const child of children) {
+        const newChildPath = child.path.startsWith(`${oldParentPath}/`)
+          ? `${newParentPath}${child.path.slice(oldParentPath.length)}`
+          : child.path.replace(oldParentPath, newParentPath);
+
+        await execute(
+          connection,
+          'UPDATE file_nodes SET path = ? WHERE id = ? AND user_id = ?',
+          [newChildPath, child.id, userId]
+        );
+
+        // 如果子节点是文件夹，递归更新其子节点
+        if (child.type === 'folder') {
+          await this.updateChildrenPaths(userId, child.id, child.path, newChildPath, connection);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error updating children paths:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 迁移旧格式文件（从content字段迁移到文件系统）
+   * @param {string} userId - 用户ID
+   * @param {string} fileId - 文件ID
+   */
+  static async migrateLegacyFile(userId, fileId) {
+    try {
+      // 查询旧格式文件（包含content字段）
+      const legacyResult = await query(
+        `SELECT content FROM file_nodes 
+         WHERE id = ? AND user_id = ? AND type = 'file' AND is_deleted = 0`,
+        [fileId, userId]
+      );
+
+      if (legacyResult.length === 0 || !legacyResult[0].content) {
+        throw new Error('旧格式文件不存在或内容为空');
+      }
+
+      const content = legacyResult[0].content;
+
+      await transaction(async (connection) => {
+        // 保存内容到文件系统
+        const { filePath, fileHash, storageType } = await this.saveFileContent(content, connection);
+
+        // 更新数据库记录，添加file_path和file_hash，移除content
+        await execute(
+          connection,
+          `UPDATE file_nodes 
+           SET file_path = ?, file_hash = ?, storage_type = ?, content = NULL 
+           WHERE id = ? AND user_id = ?`,
+          [filePath, fileHash, storageType, fileId, userId]
+        );
+      });
+
+      console.log('✅ Legacy file migrated successfully:', fileId);
+    } catch (error) {
+      console.error('❌ Error migrating legacy file:', error);
+      throw error;
+    }
+  }
+
+  // 私有方法：递归软删除节点（文件内容保留在磁盘上，直到从回收站彻底删除）
+  static async softDeleteNodeRecursive(userId, nodeId, rootId = nodeId) {
+    try {
+      // 先软删除所有子节点
+      const children = await query(
+        'SELECT id FROM file_nodes WHERE parent_id = ? AND user_id = ? AND is_deleted = 0',
         [nodeId, userId]
       );
+
+      for (const child of children) {
+        await this.softDeleteNodeRecursive(userId, child.id, rootId);
+      }
+
+      // 软删除当前节点，并记录本次删除的根节点，以便从回收站整体恢复
+      await query(
+        `UPDATE file_nodes 
+         SET is_deleted = 1, deleted_at = NOW(), deleted_root_id = ? 
+         WHERE id = ? AND user_id = ?`,
+        [rootId, nodeId, userId]
+      );
+
+      await this.updateSearchIndex(() => SearchIndexModel.removeNode(nodeId));
     } catch (error) {
       console.error('❌ Error in recursive soft delete:', error);
       throw error;
     }
   }
 
+  // 私有方法：删除存储文件，失败时只记录警告
+  static deleteStorageFiles(filePaths) {
+    for (const filePath of filePaths) {
+      try {
+        if (filePath && fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+          console.log('🗑️ Physical file deleted:', filePath);
+        }
+      } catch (fileError) {
+        console.warn('⚠️ Warning: Could not delete physical file:', fileError.message);
+      }
+    }
+  }
+
+  /**
+   * 在指定目录下生成不冲突的名称，如 "name (1)"、"note (2).md"
+   * @param {string} userId - 用户ID
+   * @param {string|null} parentId - 父文件夹ID
+   * @param {string} name - 期望的名称
+   * @param {string} type - 节点类型（file/folder）
+   * @param {Object|null} connection - 事务连接
+   * @returns {string} 可用的名称
+   */
+  static async resolveUniqueName(userId, parentId, name, type, connection = null) {
+    const siblings = await execute(
+      connection,
+      `SELECT name FROM file_nodes 
+       WHERE user_id = ? AND parent_id ${parentId ? '= ?' : 'IS NULL'} AND is_deleted = 0`,
+      parentId ? [userId, parentId] : [userId]
+    );
+    const existingNames = new Set(siblings.map(sibling => sibling.name));
+
+    if (!existingNames.has(name)) {
+      return name;
+    }
+
+    // 文件保留扩展名，在扩展名前追加序号
+    const dotIndex = type === 'file' ? name.lastIndexOf('.') : -1;
+    const baseName = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+    const extension = dotIndex > 0 ? name.slice(dotIndex) : '';
+
+    for (let index = 1; ; index++) {
+      const candidate = `${baseName} (${index})${extension}`;
+      if (!existingNames.has(candidate)) {
+        return candidate;
+      }
+    }
+  }
+
+  /**
+   * 获取回收站列表（每次删除操作对应一项）
+   * @param {string} userId - 用户ID
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 每页数量
+   * @returns {Object} 总数和当前页的回收站项目
+   */
+  static async listTrash(userId, offset = 0, limit = 20) {
+    try {
+      console.log('🗑️ Listing trash for user:', userId);
+
+      const countResult = await query(
+        `SELECT COUNT(*) AS total FROM file_nodes 
+         WHERE user_id = ? AND is_deleted = 1 AND deleted_root_id = id`,
+        [userId]
+      );
+
+      const safeLimit = Math.max(1, parseInt(limit) || 20);
+      const safeOffset = Math.max(0, parseInt(offset) || 0);
+
+      const items = await query(
+        `SELECT r.id, r.name, r.type, r.path, r.parent_id, r.deleted_at,
+                COUNT(d.id) AS item_count,
+                COALESCE(SUM(CASE WHEN d.type = 'file' THEN d.size ELSE 0 END), 0) AS total_size
+         FROM file_nodes r
+         JOIN file_nodes d ON d.deleted_root_id = r.id AND d.user_id = r.user_id AND d.is_deleted = 1
+         WHERE r.user_id = ? AND r.is_deleted = 1 AND r.deleted_root_id = r.id
+         GROUP BY r.id, r.name, r.type, r.path, r.parent_id, r.deleted_at
+         ORDER BY r.deleted_at DESC
+         LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+        [userId]
+      );
+
+      return {
+        total: countResult[0].total,
+        items: items.map(item => ({
+          id: item.id,
+          name: item.name,
+          type: item.type,
+          path: item.path,
+          parentId: item.parent_id,
+          deletedAt: item.deleted_at,
+          itemCount: Number(item.item_count),
+          totalSize: Number(item.total_size)
+        }))
+      };
+    } catch (error) {
+      console.error('❌ Error listing trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取回收站中某一项的完整子树
+   * @param {string} userId - 用户ID
+   * @param {string} nodeId - 回收站项目ID
+   * @returns {Object} 子树数据（与文件树格式一致）
+   */
+  static async getTrashItem(userId, nodeId) {
+    try {
+      const nodes = await query(
+        `SELECT id, parent_id, name, type, path, size, mime_type, deleted_at, created_at, updated_at
+         FROM file_nodes 
+         WHERE user_id = ? AND is_deleted = 1 AND deleted_root_id = ?
+         ORDER BY type ASC, name ASC`,
+        [userId, nodeId]
+      );
+
+      const root = nodes.find(node => node.id === nodeId);
+      if (!root) {
+        throw new Error('回收站中不存在该项目');
+      }
+
+      const childrenMap = new Map();
+      for (const node of nodes) {
+        if (!childrenMap.has(node.parent_id)) {
+          childrenMap.set(node.parent_id, []);
+        }
+        childrenMap.get(node.parent_id).push(node);
+      }
+
+      const buildNode = (node) => {
+        const treeNode = {
+          ...this.toTreeNode(node),
+          deletedAt: node.deleted_at
+        };
+        if (node.type === 'folder') {
+          treeNode.children = (childrenMap.get(node.id) || []).map(buildNode);
+        }
+        return treeNode;
+      };
+
+      return buildNode(root);
+    } catch (error) {
+      console.error('❌ Error getting trash item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 从回收站恢复节点及其在同一次删除中被删除的子节点
+   * 原父目录已不存在时恢复到根目录，同名冲突时自动重命名
+   * @param {string} userId - 用户ID
+   * @param {string} nodeId - 回收站项目ID
+   * @returns {Object} 恢复后的节点信息
+   */
+  static async restoreTrashItem(userId, nodeId) {
+    try {
+      console.log('♻️ Restoring node:', { userId, nodeId });
+
+      const restored = await transaction(async (connection) => {
+        const rootResult = await execute(
+          connection,
+          `SELECT id, name, type, path, parent_id FROM file_nodes 
+           WHERE id = ? AND user_id = ? AND is_deleted = 1 AND deleted_root_id = id FOR UPDATE`,
+          [nodeId, userId]
+        );
+
+        if (rootResult.length === 0) {
+          throw new Error('回收站中不存在该项目');
+        }
+
+        const root = rootResult[0];
+
+        // 原父目录仍然存在时恢复到原位置，否则恢复到根目录
+        let parentId = null;
+        let parentPath = null;
+        if (root.parent_id) {
+          const parentResult = await execute(
+            connection,
+            'SELECT id, path FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0',
+            [root.parent_id, userId]
+          );
+          if (parentResult.length > 0) {
+            parentId = parentResult[0].id;
+            parentPath = parentResult[0].path;
+          }
+        }
+
+        const name = await this.resolveUniqueName(userId, parentId, root.name, root.type, connection);
+        const newPath = parentPath ? `${parentPath}/${name}` : name;
+
+        const restoreResult = await execute(
+          connection,
+          `UPDATE file_nodes 
+           SET is_deleted = 0, deleted_at = NULL, deleted_root_id = NULL 
+           WHERE user_id = ? AND deleted_root_id = ? AND is_deleted = 1`,
+          [userId, nodeId]
+        );
+
+        await execute(
+          connection,
+          'UPDATE file_nodes SET parent_id = ?, name = ?, path = ?, updated_at = NOW() WHERE id = ? AND user_id = ?',
+          [parentId, name, newPath, nodeId, userId]
+        );
+
+        if (root.type === 'folder') {
+          await this.updateChildrenPaths(userId, nodeId, root.path, newPath, connection);
+        }
+
+        return {
+          id: nodeId,
+          name,
+          type: root.type,
+          path: newPath,
+          parentId,
+          renamed: name !== root.name,
+          movedToRoot: Boolean(root.parent_id) && !parentId,
+          restoredCount: restoreResult.affectedRows
+        };
+      });
+
+      await this.updateSearchIndex(() => this.reindexSubtree(userId, nodeId));
+
+      console.log('✅ Node restored successfully');
+      return restored;
+    } catch (error) {
+      console.error('❌ Error restoring node:', error);
+      throw error;
+    }
+  }
+
+  // 私有方法：重新索引节点及其子树
+  static async reindexSubtree(userId, nodeId) {
+    const scope = this.buildSubtreeScope(userId, nodeId);
+    const nodes = await query(
+      `${scope.cte}
+       SELECT n.id, n.type, n.name, n.path, n.mime_type, n.file_path, n.file_hash
+       FROM ${scope.from}`,
+      scope.cteParams
+    );
+
+    for (const node of nodes) {
+      let content = null;
+      if (node.type === 'file' && node.file_path && !isBinaryMimeType(node.mime_type)) {
+        try {
+          content = await this.readFileContent(node.file_path, node.file_hash);
+        } catch (readError) {
+          console.warn('⚠️ Warning: Could not read file for indexing:', node.id, readError.message);
+        }
+      }
+      await SearchIndexModel.indexNode({
+        id: node.id,
+        userId,
+        type: node.type,
+        name: node.name,
+        path: node.path,
+        content
+      });
+    }
+  }
+
+  // 私有方法：彻底删除已软删除的节点（级联删除子节点和版本），释放内容引用，返回需要清理的旧格式存储文件
+  static async purgeNodes(userId, rootIds, connection = null) {
+    const filePaths = [];
+    const fileIds = [];
+    let purgedCount = 0;
+
+    for (const rootId of rootIds) {
+      // 收集子树中的所有节点（包括之前单独删除的子节点），外键会级联删除它们
+      const nodes = await execute(
+        connection,
+        `WITH RECURSIVE subtree AS (
+           SELECT id, type, file_path, file_hash FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 1
+           UNION ALL
+           SELECT c.id, c.type, c.file_path, c.file_hash FROM file_nodes c
+           JOIN subtree t ON c.parent_id = t.id
+           WHERE c.user_id = ?
+         )
+         SELECT id, type, file_path, file_hash FROM subtree`,
+        [rootId, userId, userId]
+      );
+
+      if (nodes.length === 0) {
+        continue;
+      }
+
+      const files = nodes.filter(node => node.type === 'file');
+      if (files.length > 0) {
+        const ids = files.map(file => file.id);
+        const versions = await execute(
+          connection,
+          `SELECT file_hash, file_path FROM file_versions WHERE file_id IN (${ids.map(() => '?').join(', ')})`,
+          ids
+        );
+        fileIds.push(...ids);
+        filePaths.push(...await FileBlobModel.releaseRefs(files, connection));
+        // 上传文件随节点一起删除，上传记录也一并删除
+        await FileUploadModel.deleteNodeUploads(
+          files.filter(file => FileUploadModel.isUploadPath(file.file_path)).map(file => file.id),
+          connection
+        );
+        // 旧格式的版本快照由deleteVersionStorage按目录删除
+        await FileBlobModel.releaseRefs(versions, connection);
+      }
+
+      await execute(connection, 'DELETE FROM file_nodes WHERE id = ? AND user_id = ?', [rootId, userId]);
+      purgedCount += nodes.length;
+    }
+
+    return { filePaths, fileIds, purgedCount };
+  }
+
+  /**
+   * 从回收站彻底删除节点，同时删除磁盘上的文件
+   * @param {string} userId - 用户ID
+   * @param {string} nodeId - 回收站项目ID
+   * @returns {Object} 删除的节点数量
+   */
+  static async purgeTrashItem(userId, nodeId) {
+    try {
+      console.log('🔥 Purging node:', { userId, nodeId });
+
+      const { filePaths, fileIds, purgedCount } = await transaction(async (connection) => {
+        const rootResult = await execute(
+          connection,
+          `SELECT id FROM file_nodes 
+           WHERE id = ? AND user_id = ? AND is_deleted = 1 AND deleted_root_id = id FOR UPDATE`,
+          [nodeId, userId]
+        );
+        if (rootResult.length === 0) {
+          throw new Error('回收站中不存在该项目');
+        }
+        return this.purgeNodes(userId, [nodeId], connection);
+      });
+
+      // 数据库提交成功后再删除磁盘文件
+      this.deleteStorageFiles(filePaths);
+      FileVersionModel.deleteVersionStorage(userId, fileIds);
+
+      console.log('✅ Node purged successfully');
+      return { purgedCount };
+    } catch (error) {
+      console.error('❌ Error purging node:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 清空回收站
+   * @param {string} userId - 用户ID
+   * @returns {Object} 删除的节点数量
+   */
+  static async emptyTrash(userId) {
+    try {
+      console.log('🔥 Emptying trash for user:', userId);
+
+      const { filePaths, fileIds, purgedCount } = await transaction(async (connection) => {
+        const roots = await execute(
+          connection,
+          `SELECT id FROM file_nodes 
+           WHERE user_id = ? AND is_deleted = 1 AND deleted_root_id = id FOR UPDATE`,
+          [userId]
+        );
+        return this.purgeNodes(userId, roots.map(root => root.id), connection);
+      });
+
+      this.deleteStorageFiles(filePaths);
+      FileVersionModel.deleteVersionStorage(userId, fileIds);
+
+      console.log('✅ Trash emptied:', purgedCount);
+      return { purgedCount };
+    } catch (error) {
+      console.error('❌ Error emptying trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 彻底删除所有用户回收站中超过保留期限的项目
+   * @param {number} retentionDays - 保留天数
+   * @returns {Object} 删除的节点数量
+   */
+  static async purgeExpiredTrash(retentionDays) {
+    try {
+      const expiredRoots = await query(
+        `SELECT id, user_id FROM file_nodes 
+         WHERE is_deleted = 1 AND deleted_root_id = id 
+         AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+        [retentionDays]
+      );
+
+      let purgedCount = 0;
+      for (const root of expiredRoots) {
+        try {
+          const result = await this.purgeTrashItem(root.user_id, root.id);
+          purgedCount += result.purgedCount;
+        } catch (purgeError) {
+          // 可能已随上级目录被级联删除
+          console.warn('⚠️ Warning: Could not purge expired trash item:', root.id, purgeError.message);
+        }
+      }
+
+      return { purgedCount };
+    } catch (error) {
+      console.error('❌ Error purging expired trash:', error);
+      throw error;
+    }
+  }
+
+  // 私有方法：构建子树查询范围（folderId为null时表示用户的全部节点，不含folderId本身）
+  static buildSubtreeScope(userId, folderId = null) {
+    if (!folderId) {
+      return {
+        cte: '',
+        cteParams: [],
+        from: 'file_nodes n',
+        where: 'n.user_id = ? AND n.is_deleted = 0',
+        whereParams: [userId]
+      };
+    }
+
+    return {
+      cte: `
+        WITH RECURSIVE subtree AS (
+          SELECT id FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0
+          UNION ALL
+          SELECT c.id FROM file_nodes c
+          JOIN subtree t ON c.parent_id = t.id
+          WHERE c.user_id = ? AND c.is_deleted = 0
+        )`,
+      cteParams: [folderId, userId, userId],
+      from: 'file_nodes n JOIN subtree t ON t.id = n.id',
+      where: 'n.id != ?',
+      whereParams: [folderId]
+    };
+  }
+
+  /**
+   * 获取文件夹统计信息（递归统计整个子树）
+   * @param {string} userId - 用户ID
+   * @param {string|null} folderId - 文件夹ID，null表示根目录
+   * @param {number} limit - 最大文件、最近更新文件列表的数量
+   * @returns {Object} 统计信息
+   */
+  static async getFolderStats(userId, folderId = null, limit = 10) {
+    try {
+      console.log('📊 Getting folder stats:', { userId, folderId });
+
+      let folder = null;
+      if (folderId) {
+        const folderResult = await query(
+          'SELECT id, name, path, type FROM file_nodes WHERE id = ? AND user_id = ? AND is_deleted = 0',
+          [folderId, userId]
+        );
+        if (folderResult.length === 0) {
+          throw new Error('文件夹不存在');
+        }
+        if (folderResult[0].type !== 'folder') {
+          throw new Error('指定的ID不是文件夹');
+        }
+        folder = folderResult[0];
+      }
+
+      const scope = this.buildSubtreeScope(userId, folderId);
+      const params = [...scope.cteParams, ...scope.whereParams];
+      const topLimit = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+
+      const [totals, mimeTypes, largestFiles, recentFiles] = await Promise.all([
+        query(
+          `${scope.cte}
+           SELECT
+             COALESCE(SUM(n.type = 'file'), 0) AS file_count,
+             COALESCE(SUM(n.type = 'folder'), 0) AS folder_count,
+             COALESCE(SUM(CASE WHEN n.type = 'file' THEN n.size ELSE 0 END), 0) AS total_size,
+             MAX(n.updated_at) AS last_updated_at
+           FROM ${scope.from}
+           WHERE ${scope.where}`,
+          params
+        ),
+        query(
+          `${scope.cte}
+           SELECT COALESCE(n.mime_type, 'unknown') AS mime_type,
+                  COUNT(*) AS file_count,
+                  COALESCE(SUM(n.size), 0) AS total_size
+           FROM ${scope.from}
+           WHERE ${scope.where} AND n.type = 'file'
+           GROUP BY COALESCE(n.mime_type, 'unknown')
+           ORDER BY total_size DESC`,
+          params
+        ),
+        query(
+          `${scope.cte}
+           SELECT n.id, n.name, n.path, n.size, n.mime_type, n.updated_at
+           FROM ${scope.from}
+           WHERE ${scope.where} AND n.type = 'file'
+           ORDER BY n.size DESC, n.name ASC
+           LIMIT ${topLimit}`,
+          params
+        ),
+        query(
+          `${scope.cte}
+           SELECT n.id, n.name, n.path, n.size, n.mime_type, n.updated_at
+           FROM ${scope.from}
+           WHERE ${scope.where} AND n.type = 'file'
+           ORDER BY n.updated_at DESC, n.name ASC
+           LIMIT ${topLimit}`,
+          params
+        )
+      ]);
+
+      const formatFile = (file) => ({
+        id: file.id,
+        name: file.name,
+        path: file.path,
+        size: Number(file.size) || 0,
+        mimeType: file.mime_type,
+        updatedAt: file.updated_at
+      });
+
+      console.log('✅ Folder stats computed');
+      return {
+        folder: folder ? { id: folder.id, name: folder.name, path: folder.path } : null,
+        fileCount: Number(totals[0].file_count),
+        folderCount: Number(totals[0].folder_count),
+        totalSize: Number(totals[0].total_size),
+        lastUpdatedAt: totals[0].last_updated_at,
+        mimeTypes: mimeTypes.map(item => ({
+          mimeType: item.mime_type,
+          fileCount: Number(item.file_count),
+          totalSize: Number(item.total_size)
+        })),
+        largestFiles: largestFiles.map(formatFile),
+        recentFiles: recentFiles.map(formatFile)
+      };
+    } catch (error) {
+      console.error('❌ Error getting folder stats:', error);
+      throw error;
+    }
+  }
+
+  // 私有方法：记录文件版本，失败时只记录警告，不影响文件保存
+  static async recordFileVersion(userId, fileId, content, fileHash) {
+    try {
+      return await FileVersionModel.recordVersion(userId, fileId, content, fileHash);
+    } catch (error) {
+      console.warn('⚠️ Warning: Could not record file version:', error.message);
+      return null;
+    }
+  }
+
+  // 私有方法：为还没有版本记录的文件保存当前内容作为基线版本
+  static async ensureBaselineVersion(userId, fileId, fileInfo) {
+    try {
+      if (!fileInfo.file_path || await FileVersionModel.hasVersions(fileId)) {
+        return;
+      }
+      const currentContent = await this.readFileBuffer(fileInfo.file_path, fileInfo.file_hash);
+      const currentHash = fileInfo.file_hash || this.calculateFileHash(currentContent);
+      await FileVersionModel.recordVersion(userId, fileId, currentContent, currentHash);
+    } catch (error) {
+      console.warn('⚠️ Warning: Could not record baseline version:', error.message);
+    }
+  }
+
+  /**
+   * 获取文件的版本列表
+   * @param {string} userId - 用户ID
+   * @param {string} fileId - 文件ID
+   * @returns {Array} 版本列表
+   */
+  static async getFileVersions(userId, fileId) {
+    try {
+      await this.assertFileExists(userId, fileId);
+      return await FileVersionModel.listVersions(fileId);
+    } catch (error) {
+      console.error('❌ Error getting file versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取文件的指定版本内容
+   * @param {string} userId - 用户ID
+   * @param {string} fileId - 文件ID
+   * @param {number} versionNo - 版本号
+   * @returns {Object} 版本信息和内容
+   */
+  static async getFileVersion(userId, fileId, versionNo) {
+    try {
+      const file = await this.assertFileExists(userId, fileId);
+      // 二进制文件的版本内容以base64返回
+      if (isBinaryMimeType(file.mime_type)) {
+        const version = await FileVersionModel.getVersion(fileId, versionNo, { encoding: 'base64' });
+        return { ...version, encoding: 'base64' };
+      }
+      return await FileVersionModel.getVersion(fileId, versionNo);
+    } catch (error) {
+      console.error('❌ Error getting file version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 比较文件的两个版本
+   * @param {string} userId - 用户ID
+   * @param {string} fileId - 文件ID
+   * @param {number} fromVersion - 旧版本号
+   * @param {number|null} toVersion - 新版本号，为空时使用最新版本
+   * @returns {Object} 差异结果
+   */
+  static async diffFileVersions(userId, fileId, fromVersion, toVersion = null) {
+    try {
+      const file = await this.assertFileExists(userId, fileId);
+      if (isBinaryMimeType(file.mime_type)) {
+        throw new Error('二进制文件不支持版本比较');
+      }
+      const targetVersion = toVersion || await FileVersionModel.getHeadVersionNo(fileId);
+      if (!targetVersion) {
+        throw new Error('版本不存在');
+      }
+      return await FileVersionModel.diffVersions(fileId, fromVersion, targetVersion);
+    } catch (error) {
+      console.error('❌ Error diffing file versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 将文件恢复到指定版本（作为新的最新版本保存）
+   * @param {string} userId - 用户ID
+   * @param {string} fileId - 文件ID
+   * @param {number} versionNo - 要恢复的版本号
+   * @returns {Object} 更新后的文件信息
+   */
+  static async restoreFileVersion(userId, fileId, versionNo) {
+    try {
+      console.log('⏪ Restoring file version:', { userId, fileId, versionNo });
+
+      await this.assertFileExists(userId, fileId);
+      const version = await FileVersionModel.getVersion(fileId, versionNo, { encoding: null });
+      const updatedFile = await this.updateFileContent(userId, fileId, version.content);
+
+      console.log('✅ File version restored');
+      return {
+        ...updatedFile,
+        restoredFrom: version.versionNo
+      };
+    } catch (error) {
+      console.error('❌ Error restoring file version:', error);
+      throw error;
+    }
+  }
+
+  // 私有方法：确认文件存在且属于当前用户，返回 { id, mime_type }
+  static async assertFileExists(userId, fileId) {
+    const result = await query(
+      `SELECT id, mime_type FROM file_nodes 
+       WHERE id = ? AND user_id = ? AND type = 'file' AND is_deleted = 0`,
+      [fileId, userId]
+    );
+    if (result.length === 0) {
+      throw new Error('文件不存在');
+    }
+    return result[0];
+  }
+
+  // 私有方法：更新搜索索引，失败时只记录警告，可通过重建索引修复
+  static async updateSearchIndex(operation) {
+    try {
+      await operation();
+    } catch (error) {
+      console.warn('⚠️ Warning: Could not update search index:', error.message);
+    }
+  }
+
+  /**
+   * 重建用户的搜索索引
+   * @param {string} userId - 用户ID
+   * @returns {Object} 重建结果统计
+   */
+  static async rebuildSearchIndex(userId) {
+    try {
+      console.log('🔍 Rebuilding search index for user:', userId);
+
+      const nodes = await query(
+        'SELECT id, type, name, path, mime_type, file_path, file_hash FROM file_nodes WHERE user_id = ? AND is_deleted = 0',
+        [userId]
+      );
+
+      await SearchIndexModel.clearUserIndex(userId);
+
+      let indexed = 0;
+      let failed = 0;
+      for (const node of nodes) {
+        let content = null;
+        if (node.type === 'file' && node.file_path && !isBinaryMimeType(node.mime_type)) {
+          try {
+            content = await this.readFileContent(node.file_path, node.file_hash);
+          } catch (readError) {
+            console.warn('⚠️ Warning: Could not read file for indexing:', node.id, readError.message);
+            failed++;
+          }
+        }
+
+        await SearchIndexModel.indexNode({
+          id: node.id,
+          userId,
+          type: node.type,
+          name: node.name,
+          path: node.path,
+          content
+        });
+        indexed++;
+      }
+
+      console.log('✅ Search index rebuilt:', { indexed, failed });
+      return { indexed, failed };
+    } catch (error) {
+      console.error('❌ Error rebuilding search index:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 搜索文件和文件夹
+   * @param {string} userId - 用户ID
+   * @param {string} keyword - 搜索关键词
+   * @param {Object} options - 搜索选项（type、offset、limit）
+   * @returns {Object} 总数和当前页结果
+   */
+  static async searchNodes(userId, keyword, options = {}) {
+    try {
+      console.log('🔍 Searching nodes:', { userId, keyword, ...options });
+      return await SearchIndexModel.search(userId, keyword, options);
+    } catch (error) {
+      console.error('❌ Error searching nodes:', error);
+      throw error;
+    }
+  }
+
   /**
    * 根据ID获取节点
    * @param {string} nodeId - 节点ID
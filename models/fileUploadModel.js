@@ -0,0 +1,466 @@
+const { query, execute } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getScanner } = require('../utils/scanners');
+const { ALLOWED_MIME_TYPES, getMimeTypeByExtension } = require('../middleware/fileSystemValidation');
+
+// 上传文件的根目录，每个用户一个子目录 remote/<userId>
+const UPLOAD_ROOT = path.join(process.cwd(), 'remote');
+
+// 没有任何记录的上传文件超过该时间才会被回收，避免误删正在处理的上传
+const UNTRACKED_GRACE_MS = 60 * 60 * 1000;
+
+// 等待扫描的上传超过该时间才会被重新扫描，避免与上传请求中的扫描重复
+const RESCAN_GRACE_MS = 10 * 60 * 1000;
+
+/**
+ * 通过 /upload/file 上传的文件
+ *
+ * 文件原样保存在 remote/<userId>/ 下，file_uploads 记录上传信息。
+ * 上传时指定了 parentId 的文件同时作为文件树中的文件节点（node_id），
+ * 节点直接引用上传目录中的文件，之后随节点一起更新和删除。
+ * 新上传的文件先处于隔离状态（scan_status = pending），扫描通过后才能下载和加入文件树，
+ * 目标文件夹记录在 add_to_tree / target_parent_id 中，无论是上传请求中还是之后重新扫描通过都按记录加入。
+ */
+class FileUploadModel {
+  /**
+   * 获取用户的上传目录
+   * @param {string} userId - 用户ID
+   * @returns {string} 目录路径
+   */
+  static getUploadDir(userId) {
+    return path.join(UPLOAD_ROOT, userId.toString());
+  }
+
+  /**
+   * 生成上传文件在磁盘上的文件名：时间戳_UUID_原文件名
+   * @param {string} originalName - 原文件名
+   * @returns {string} 文件名
+   */
+  static buildFileName(originalName) {
+    return `${Date.now()}_${uuidv4().substring(0, 8)}_${originalName}`;
+  }
+
+  /**
+   * 判断存储路径是否位于上传目录中（上传文件原样保存，不经过gzip）
+   * @param {string} filePath - 存储路径
+   * @returns {boolean} 是否为上传文件
+   */
+  static isUploadPath(filePath) {
+    if (!filePath) {
+      return false;
+    }
+    return path.resolve(filePath).startsWith(path.resolve(UPLOAD_ROOT) + path.sep);
+  }
+
+  /**
+   * 计算磁盘文件的SHA256哈希值（流式读取）
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<string>} 哈希值
+   */
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * 记录一次上传（处于隔离状态，扫描通过前不能下载）
+   * @param {Object} upload - 上传信息，addToTree 为 true 时扫描通过后加入文件树的 parentId 文件夹（null表示根目录）
+   * @returns {Promise<Object>} 上传记录
+   */
+  static async createUpload({ userId, originalName, fileName, filePath, size, mimeType, fileHash, addToTree = false, parentId = null }) {
+    const id = uuidv4();
+    await query(
+      `INSERT INTO file_uploads (id, user_id, add_to_tree, target_parent_id, original_name, file_name, file_path, size, mime_type,
+                                 file_hash, scan_status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+      [id, userId, addToTree ? 1 : 0, addToTree ? parentId : null, originalName, fileName, filePath, size, mimeType, fileHash]
+    );
+
+    return {
+      id,
+      nodeId: null,
+      originalName,
+      fileName,
+      size,
+      mimeType,
+      fileHash,
+      isPublic: false,
+      scanStatus: 'pending',
+      scanResult: null,
+      createdAt: new Date()
+    };
+  }
+
+  /**
+   * 删除文件节点关联的上传记录（节点内容被替换或节点被彻底删除时，上传文件随节点一起删除）
+   * @param {Array<string>} nodeIds - 文件节点ID
+   * @param {Object|null} connection - 事务连接，与节点的修改在同一事务中执行
+   */
+  static async deleteNodeUploads(nodeIds, connection = null) {
+    if (nodeIds.length === 0) {
+      return;
+    }
+    await execute(
+      connection,
+      `DELETE FROM file_uploads WHERE node_id IN (${nodeIds.map(() => '?').join(', ')})`,
+      nodeIds
+    );
+  }
+
+  /**
+   * 记录上传对应的文件节点
+   * @param {string} uploadId - 上传记录ID
+   * @param {string} nodeId - 文件节点ID
+   */
+  static async attachNode(uploadId, nodeId) {
+    await query('UPDATE file_uploads SET node_id = ? WHERE id = ?', [nodeId, uploadId]);
+  }
+
+  /**
+   * 扫描上传文件并记录结果：通过后解除隔离并按记录加入文件树，发现威胁时删除文件，扫描器不可用时保持隔离等待重新扫描
+   * @param {string} uploadId - 上传记录ID
+   * @returns {Promise<Object>} { status, result, node, linkError }，status为 clean/infected/error，
+   *   node为本次加入文件树的节点，linkError为加入文件树失败的原因（上传记录保留，不再加入文件树）
+   */
+  static async scanUpload(uploadId) {
+    const rows = await query(
+      `SELECT id, user_id, node_id, add_to_tree, target_parent_id, original_name, file_path, size, mime_type, file_hash
+       FROM file_uploads WHERE id = ?`,
+      [uploadId]
+    );
+    if (rows.length === 0) {
+      throw new Error('上传文件不存在');
+    }
+
+    const filePath = rows[0].file_path;
+    let status;
+    let result;
+    try {
+      const scan = await getScanner().scanFile(filePath);
+      status = scan.clean ? 'clean' : 'infected';
+      result = scan.signature;
+    } catch (error) {
+      console.error('❌ Upload scan failed:', { uploadId, error: error.message });
+      status = 'error';
+      result = error.message.slice(0, 255);
+    }
+
+    await query(
+      'UPDATE file_uploads SET scan_status = ?, scan_result = ?, scanned_at = ? WHERE id = ?',
+      [status, result, new Date(), uploadId]
+    );
+
+    if (status === 'infected') {
+      console.warn('⚠️ Infected upload removed:', { uploadId, signature: result });
+      this.removeFile(filePath);
+    }
+
+    let node = null;
+    let linkError = null;
+    if (status === 'clean' && rows[0].add_to_tree && !rows[0].node_id) {
+      try {
+        node = await this.linkToTree(rows[0]);
+      } catch (error) {
+        console.error('❌ Error adding scanned upload to file tree:', { uploadId, error: error.message });
+        linkError = error;
+      }
+    }
+
+    return { status, result, node, linkError };
+  }
+
+  /**
+   * 将扫描通过的上传加入记录的目标文件夹（先清除 add_to_tree 标记，并发扫描时只加入一次）
+   * @param {Object} row - 上传记录
+   * @returns {Promise<Object|null>} 创建的文件节点，已被其他扫描加入时返回null
+   */
+  static async linkToTree(row) {
+    const claimed = await query(
+      'UPDATE file_uploads SET add_to_tree = 0 WHERE id = ? AND add_to_tree = 1 AND node_id IS NULL',
+      [row.id]
+    );
+    if (claimed.affectedRows === 0) {
+      return null;
+    }
+
+    // 文件系统模型引用了本模型，在这里再加载以避免循环依赖
+    const FileSystemModel = require('./fileSystemModel');
+    const node = await FileSystemModel.linkUploadedFile(row.user_id, row.target_parent_id, {
+      name: row.original_name,
+      filePath: row.file_path,
+      size: Number(row.size) || 0,
+      fileHash: row.file_hash,
+      mimeType: this.getTreeMimeType(row.original_name, row.mime_type)
+    });
+    await this.attachNode(row.id, node.id);
+    return node;
+  }
+
+  /**
+   * 文件树中的MIME类型：优先按扩展名推断，不在文件树允许范围内的类型按二进制保存
+   * @param {string} name - 文件名
+   * @param {string} mimeType - 上传时的MIME类型
+   * @returns {string} MIME类型
+   */
+  static getTreeMimeType(name, mimeType) {
+    return getMimeTypeByExtension(name) ||
+      (ALLOWED_MIME_TYPES.includes(mimeType) ? mimeType : 'application/octet-stream');
+  }
+
+  /**
+   * 重新扫描仍处于隔离状态的上传（扫描器曾经不可用，或上传请求在扫描完成前中断）
+   * @param {number} limit - 本次最多扫描的数量
+   * @returns {Promise<Object>} 各扫描结果的数量 { scanned, clean, infected, error }
+   */
+  static async rescanQuarantined(limit = 100) {
+    const safeLimit = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+    const rows = await query(
+      `SELECT id FROM file_uploads
+       WHERE scan_status IN ('pending', 'error') AND created_at < ?
+       ORDER BY created_at
+       LIMIT ${safeLimit}`,
+      [new Date(Date.now() - RESCAN_GRACE_MS)]
+    );
+
+    const summary = { scanned: 0, clean: 0, infected: 0, error: 0 };
+    for (const row of rows) {
+      const { status } = await this.scanUpload(row.id);
+      summary.scanned++;
+      summary[status]++;
+    }
+    return summary;
+  }
+
+  /**
+   * 获取用户的一条上传记录
+   * @param {string} userId - 用户ID
+   * @param {string} uploadId - 上传记录ID
+   * @returns {Promise<Object>} 上传记录（含 filePath）
+   */
+  static async getUpload(userId, uploadId) {
+    const rows = await query(
+      `SELECT id, user_id, node_id, original_name, file_name, file_path, size, mime_type, file_hash, is_public,
+              scan_status, scan_result, scanned_at, created_at
+       FROM file_uploads WHERE id = ? AND user_id = ?`,
+      [uploadId, userId]
+    );
+    return this.toDownload(rows);
+  }
+
+  /**
+   * 按ID获取上传记录，不校验所属用户（用于签名链接和公开链接，调用方负责校验访问权限）
+   * @param {string} uploadId - 上传记录ID
+   * @param {Object} options - 查询选项
+   * @param {boolean} options.publicOnly - 只返回已公开的上传
+   * @returns {Promise<Object>} 上传记录（含 filePath）
+   */
+  static async getUploadById(uploadId, { publicOnly = false } = {}) {
+    const rows = await query(
+      `SELECT id, user_id, node_id, original_name, file_name, file_path, size, mime_type, file_hash, is_public,
+              scan_status, scan_result, scanned_at, created_at
+       FROM file_uploads WHERE id = ?${publicOnly ? ' AND is_public = 1' : ''}`,
+      [uploadId]
+    );
+    return this.toDownload(rows);
+  }
+
+  /**
+   * 设置上传文件是否可以通过公开链接下载
+   * @param {string} userId - 用户ID
+   * @param {string} uploadId - 上传记录ID
+   * @param {boolean} isPublic - 是否公开
+   * @returns {Promise<Object>} { id, isPublic }
+   */
+  static async setPublic(userId, uploadId, isPublic) {
+    const result = await query(
+      'UPDATE file_uploads SET is_public = ? WHERE id = ? AND user_id = ?',
+      [isPublic ? 1 : 0, uploadId, userId]
+    );
+    if (result.affectedRows === 0) {
+      throw new Error('上传文件不存在');
+    }
+    return { id: uploadId, isPublic };
+  }
+
+  /**
+   * 分页获取用户的上传记录（新上传的在前）
+   * @param {string} userId - 用户ID
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 每页数量
+   * @returns {Promise<Object>} 总数和当前页的上传记录
+   */
+  static async listUploads(userId, offset = 0, limit = 20) {
+    const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const safeOffset = Math.max(0, parseInt(offset) || 0);
+    const countResult = await query('SELECT COUNT(*) AS total FROM file_uploads WHERE user_id = ?', [userId]);
+
+    const rows = await query(
+      `SELECT u.id, u.node_id, u.original_name, u.file_name, u.file_path, u.size, u.mime_type, u.file_hash,
+              u.is_public, u.scan_status, u.scan_result, u.scanned_at, u.created_at, n.path AS node_path, n.is_deleted AS node_deleted
+       FROM file_uploads u
+       LEFT JOIN file_nodes n ON n.id = u.node_id
+       WHERE u.user_id = ?
+       ORDER BY u.created_at DESC, u.id DESC
+       LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+      [userId]
+    );
+
+    return {
+      total: countResult[0].total,
+      items: rows.map(row => this.formatUpload(row))
+    };
+  }
+
+  /**
+   * 删除上传文件（已关联到文件树的上传需要通过文件树删除）
+   * @param {string} userId - 用户ID
+   * @param {string} uploadId - 上传记录ID
+   * @returns {Promise<Object>} { id, freedBytes }
+   */
+  static async deleteUpload(userId, uploadId) {
+    const rows = await query(
+      'SELECT id, node_id, file_path, size FROM file_uploads WHERE id = ? AND user_id = ?',
+      [uploadId, userId]
+    );
+    if (rows.length === 0) {
+      throw new Error('上传文件不存在');
+    }
+
+    const upload = rows[0];
+    if (upload.node_id) {
+      throw new Error('上传文件已关联到文件树，请在文件树中删除');
+    }
+
+    await query('DELETE FROM file_uploads WHERE id = ?', [uploadId]);
+    const freedBytes = this.removeFile(upload.file_path);
+
+    return { id: uploadId, freedBytes };
+  }
+
+  /**
+   * 回收用户的上传文件
+   * 总是删除磁盘文件已不存在的记录（例如磁盘文件被手动删除）
+   * @param {string} userId - 用户ID
+   * @param {Object} options - 回收选项
+   * @param {number|null} options.olderThanDays - 同时删除超过该天数且未关联到文件树的上传
+   * @param {boolean} options.includeUntracked - 同时删除上传目录中没有任何记录引用的文件
+   * @returns {Promise<Object>} 回收结果
+   */
+  static async collectGarbage(userId, { olderThanDays = null, includeUntracked = false } = {}) {
+    const result = { removedRecords: 0, removedFiles: 0, freedBytes: 0 };
+
+    const uploads = await query(
+      'SELECT id, node_id, file_path, created_at FROM file_uploads WHERE user_id = ?',
+      [userId]
+    );
+    const expireBefore = olderThanDays ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+
+    for (const upload of uploads) {
+      const missing = !fs.existsSync(upload.file_path);
+      const expired = expireBefore !== null && !upload.node_id &&
+        new Date(upload.created_at).getTime() < expireBefore;
+
+      if (missing || expired) {
+        await query('DELETE FROM file_uploads WHERE id = ?', [upload.id]);
+        result.removedRecords++;
+      }
+      if (!missing && expired) {
+        result.freedBytes += this.removeFile(upload.file_path);
+        result.removedFiles++;
+      }
+    }
+
+    if (includeUntracked) {
+      const referenced = await query(
+        `SELECT file_path FROM file_uploads WHERE user_id = ?
+         UNION
+         SELECT file_path FROM file_nodes WHERE user_id = ? AND file_path IS NOT NULL`,
+        [userId, userId]
+      );
+      const referencedPaths = new Set(referenced.map(row => path.resolve(row.file_path)));
+      const now = Date.now();
+
+      for (const filePath of this.listFiles(this.getUploadDir(userId))) {
+        if (referencedPaths.has(path.resolve(filePath))) {
+          continue;
+        }
+        if (now - fs.statSync(filePath).mtimeMs <= UNTRACKED_GRACE_MS) {
+          continue;
+        }
+        result.freedBytes += this.removeFile(filePath);
+        result.removedFiles++;
+      }
+    }
+
+    return result;
+  }
+
+  // 私有方法：列出目录下的所有文件
+  static listFiles(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return this.listFiles(entryPath);
+      }
+      return entry.isFile() ? [entryPath] : [];
+    });
+  }
+
+  // 私有方法：删除磁盘文件，返回释放的字节数，失败时只记录警告
+  static removeFile(filePath) {
+    try {
+      if (!fs.existsSync(filePath)) {
+        return 0;
+      }
+      const { size } = fs.statSync(filePath);
+      fs.unlinkSync(filePath);
+      console.log('🗑️ Upload file deleted:', filePath);
+      return size;
+    } catch (error) {
+      console.warn('⚠️ Warning: Could not delete upload file:', error.message);
+      return 0;
+    }
+  }
+
+  // 私有方法：取出要下载的上传记录，文件已不存在时视为不存在
+  static toDownload(rows) {
+    if (rows.length === 0 || !fs.existsSync(rows[0].file_path)) {
+      throw new Error('上传文件不存在');
+    }
+    return { ...this.formatUpload(rows[0]), userId: rows[0].user_id, filePath: rows[0].file_path };
+  }
+
+  // 私有方法：格式化上传记录
+  static formatUpload(row) {
+    return {
+      id: row.id,
+      nodeId: row.node_id,
+      nodePath: row.node_path || null,
+      inTrash: Boolean(row.node_deleted),
+      originalName: row.original_name,
+      fileName: row.file_name,
+      size: Number(row.size) || 0,
+      mimeType: row.mime_type,
+      fileHash: row.file_hash,
+      isPublic: Boolean(row.is_public),
+      scanStatus: row.scan_status,
+      scanResult: row.scan_result || null,
+      scannedAt: row.scanned_at || null,
+      missing: !fs.existsSync(row.file_path),
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = FileUploadModel;
@@ -0,0 +1,234 @@
+const { query, execute, transaction } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const config = require('../config/config');
+const { diffLines } = require('../utils/diffUtils');
+const FileBlobModel = require('./fileBlobModel');
+
+class FileVersionModel {
+  /**
+   * 获取文件版本快照的存储目录（旧格式，新的快照与文件共用内容blob）
+   * @param {string} userId - 用户ID
+   * @param {string} fileId - 文件ID
+   * @returns {string} 目录路径
+   */
+  static getVersionDir(userId, fileId) {
+    return path.join(process.cwd(), 'storage', 'versions', userId, fileId);
+  }
+
+  /**
+   * 判断文件是否已有版本记录
+   * @param {string} fileId - 文件ID
+   * @returns {Promise<boolean>} 是否存在版本
+   */
+  static async hasVersions(fileId) {
+    const result = await query('SELECT COUNT(*) AS count FROM file_versions WHERE file_id = ?', [fileId]);
+    return result[0].count > 0;
+  }
+
+  /**
+   * 记录一个新版本（内容与最新版本相同时不重复记录）
+   * @param {string} userId - 文件所属用户ID
+   * @param {string} fileId - 文件ID
+   * @param {Buffer|string} content - 文件内容
+   * @param {string} fileHash - 内容哈希
+   * @param {string} authorId - 修改者ID
+   * @returns {Promise<Object>} 版本信息
+   */
+  static async recordVersion(userId, fileId, content, fileHash, authorId = userId) {
+    const recorded = await transaction(async (connection) => {
+      // 锁定文件记录，同一文件的并发保存按顺序分配版本号
+      await execute(connection, 'SELECT id FROM file_nodes WHERE id = ? FOR UPDATE', [fileId]);
+
+      const latest = await execute(
+        connection,
+        `SELECT version_no, file_hash, size, author_id, created_at FROM file_versions
+         WHERE file_id = ? ORDER BY version_no DESC LIMIT 1`,
+        [fileId]
+      );
+
+      if (latest.length > 0 && latest[0].file_hash === fileHash) {
+        return { existing: latest[0] };
+      }
+
+      const versionNo = latest.length > 0 ? latest[0].version_no + 1 : 1;
+
+      // 快照与文件本身共用同一个内容blob
+      const stored = await FileBlobModel.store(content, connection);
+      await execute(
+        connection,
+        `INSERT INTO file_versions (id, file_id, user_id, author_id, version_no, file_hash, size, file_path)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), fileId, userId, authorId, versionNo, stored.hash, stored.size, stored.filePath]
+      );
+      return { versionNo, hash: stored.hash, size: stored.size };
+    });
+
+    if (recorded.existing) {
+      return this.formatVersion(recorded.existing);
+    }
+
+    const { versionNo, hash, size } = recorded;
+
+    await this.pruneVersions(fileId);
+
+    return {
+      versionNo,
+      fileHash: hash,
+      size,
+      authorId,
+      createdAt: new Date()
+    };
+  }
+
+  /**
+   * 删除超出保留数量的最旧版本
+   * @param {string} fileId - 文件ID
+   */
+  static async pruneVersions(fileId) {
+    const maxVersions = config.versions.maxPerFile;
+    if (!maxVersions || maxVersions <= 0) {
+      return;
+    }
+
+    const versions = await query(
+      'SELECT id, file_hash, file_path FROM file_versions WHERE file_id = ? ORDER BY version_no DESC',
+      [fileId]
+    );
+    const staleVersions = versions.slice(maxVersions);
+
+    for (const version of staleVersions) {
+      const legacyPaths = await transaction(async (connection) => {
+        await execute(connection, 'DELETE FROM file_versions WHERE id = ?', [version.id]);
+        return FileBlobModel.releaseRefs([version], connection);
+      });
+
+      for (const legacyPath of legacyPaths) {
+        try {
+          if (fs.existsSync(legacyPath)) {
+            fs.unlinkSync(legacyPath);
+          }
+        } catch (fileError) {
+          console.warn('⚠️ Warning: Could not delete version snapshot:', fileError.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * 获取文件的版本列表（新版本在前）
+   * @param {string} fileId - 文件ID
+   * @returns {Promise<Array>} 版本列表
+   */
+  static async listVersions(fileId) {
+    const versions = await query(
+      `SELECT version_no, file_hash, size, author_id, created_at FROM file_versions
+       WHERE file_id = ? ORDER BY version_no DESC`,
+      [fileId]
+    );
+
+    return versions.map((version, index) => ({
+      ...this.formatVersion(version),
+      isHead: index === 0
+    }));
+  }
+
+  /**
+   * 获取指定版本及其内容
+   * @param {string} fileId - 文件ID
+   * @param {number} versionNo - 版本号
+   * @param {Object} options - 读取选项
+   * @param {string|null} options.encoding - 内容编码（utf8/base64），为null时返回Buffer
+   * @returns {Promise<Object>} 版本信息和内容
+   */
+  static async getVersion(fileId, versionNo, { encoding = 'utf8' } = {}) {
+    const result = await query(
+      `SELECT version_no, file_hash, size, author_id, created_at, file_path FROM file_versions
+       WHERE file_id = ? AND version_no = ?`,
+      [fileId, versionNo]
+    );
+
+    if (result.length === 0) {
+      throw new Error('版本不存在');
+    }
+
+    const version = result[0];
+    let data;
+    if (FileBlobModel.isBlobPath(version.file_path, version.file_hash)) {
+      data = await FileBlobModel.readBuffer(version.file_hash);
+    } else {
+      // 旧格式的独立快照文件
+      if (!fs.existsSync(version.file_path)) {
+        throw new Error('版本快照文件不存在');
+      }
+      data = zlib.gunzipSync(fs.readFileSync(version.file_path));
+    }
+
+    return {
+      ...this.formatVersion(version),
+      content: encoding ? data.toString(encoding) : data
+    };
+  }
+
+  /**
+   * 获取最新版本号
+   * @param {string} fileId - 文件ID
+   * @returns {Promise<number|null>} 最新版本号
+   */
+  static async getHeadVersionNo(fileId) {
+    const result = await query('SELECT MAX(version_no) AS head FROM file_versions WHERE file_id = ?', [fileId]);
+    return result[0].head;
+  }
+
+  /**
+   * 比较两个版本的差异
+   * @param {string} fileId - 文件ID
+   * @param {number} fromVersion - 旧版本号
+   * @param {number} toVersion - 新版本号
+   * @returns {Promise<Object>} 差异结果
+   */
+  static async diffVersions(fileId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getVersion(fileId, fromVersion),
+      this.getVersion(fileId, toVersion)
+    ]);
+
+    const { changes, stats } = diffLines(from.content, to.content);
+    return {
+      from: { versionNo: from.versionNo, fileHash: from.fileHash, createdAt: from.createdAt },
+      to: { versionNo: to.versionNo, fileHash: to.fileHash, createdAt: to.createdAt },
+      stats,
+      changes
+    };
+  }
+
+  /**
+   * 删除文件的旧格式版本快照目录（数据库记录随file_nodes级联删除，blob引用由调用方释放）
+   * @param {string} userId - 用户ID
+   * @param {Array<string>} fileIds - 文件ID列表
+   */
+  static deleteVersionStorage(userId, fileIds) {
+    for (const fileId of fileIds) {
+      try {
+        fs.rmSync(this.getVersionDir(userId, fileId), { recursive: true, force: true });
+      } catch (fileError) {
+        console.warn('⚠️ Warning: Could not delete version snapshots:', fileError.message);
+      }
+    }
+  }
+
+  // 私有方法：格式化版本记录
+  static formatVersion(version) {
+    return {
+      versionNo: version.version_no,
+      fileHash: version.file_hash,
+      size: Number(version.size) || 0,
+      authorId: version.author_id,
+      createdAt: version.created_at
+    };
+  }
+}
+
+module.exports = FileVersionModel;
@@ -0,0 +1,319 @@
+const { query, execute, transaction } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+const FileBlobModel = require('./fileBlobModel');
+const FileSystemModel = require('./fileSystemModel');
+const { getStorageDriver, getDefaultStorageType } = require('../utils/storageDrivers');
+
+// 旧格式文件（<fileId>.dat）和版本快照所在的目录
+const LEGACY_STORAGE_DIRS = [
+  path.join(process.cwd(), 'storage', 'files'),
+  path.join(process.cwd(), 'storage', 'versions')
+];
+
+// 每类问题在报告中最多列出的条数（计数不受限制）
+const MAX_REPORTED_ISSUES = 500;
+
+const ISSUE_TYPES = [
+  'missingContent',
+  'hashMismatches',
+  'refCountMismatches',
+  'orphanObjects',
+  'orphanLegacyFiles',
+  'pathMismatches',
+  'danglingNodes'
+];
+
+/**
+ * 存储一致性检查（fsck）
+ *
+ * 对比 file_nodes / file_versions / file_blobs 与实际存储的内容：
+ * 记录指向的内容缺失、存储中没有记录的对象、内容与 file_hash 不一致、
+ * 引用计数不正确，以及 path 列与父节点链不一致的节点。
+ * 只有 path 和引用计数可以自动修复，其余问题只报告。
+ */
+class IntegrityModel {
+  /**
+   * 执行一致性检查
+   * @param {Object} options - 检查选项
+   * @param {boolean} options.verifyHashes - 是否读取全部内容校验SHA256（较慢）
+   * @param {boolean} options.repair - 是否修复 path 和引用计数
+   * @returns {Promise<Object>} 检查报告
+   */
+  static async check({ verifyHashes = true, repair = false } = {}) {
+    const startedAt = Date.now();
+    const report = {
+      checkedAt: new Date(),
+      options: { verifyHashes, repair },
+      summary: { files: 0, versions: 0, blobs: 0, issues: 0, repaired: 0 },
+      counts: Object.fromEntries(ISSUE_TYPES.map(type => [type, 0])),
+      ...Object.fromEntries(ISSUE_TYPES.map(type => [type, []])),
+      errors: []
+    };
+
+    const steps = [
+      () => this.checkReferences(report, verifyHashes),
+      () => this.checkBlobs(report, verifyHashes),
+      () => this.checkRefCounts(report, repair),
+      () => this.checkOrphanObjects(report),
+      () => this.checkOrphanLegacyFiles(report),
+      () => this.checkPaths(report, repair)
+    ];
+
+    // 单项检查失败（如S3不可达）不影响其余检查
+    for (const step of steps) {
+      try {
+        await step();
+      } catch (error) {
+        console.error('❌ Integrity check step failed:', error);
+        report.errors.push(error.message);
+      }
+    }
+
+    report.summary.issues = Object.values(report.counts).reduce((sum, count) => sum + count, 0);
+    report.durationMs = Date.now() - startedAt;
+    return report;
+  }
+
+  // 私有方法：记录一个问题
+  static addIssue(report, type, issue) {
+    report.counts[type]++;
+    if (report[type].length < MAX_REPORTED_ISSUES) {
+      report[type].push(issue);
+    }
+  }
+
+  // 私有方法：检查文件和版本记录指向的内容是否存在，旧格式文件可选校验哈希
+  static async checkReferences(report, verifyHashes) {
+    const files = await query(
+      `SELECT id, user_id, file_path, file_hash FROM file_nodes WHERE type = 'file'`
+    );
+    const versions = await query(
+      'SELECT id, file_id, user_id, version_no, file_path, file_hash FROM file_versions'
+    );
+    const blobs = new Map(
+      (await query('SELECT hash, storage_type FROM file_blobs')).map(row => [row.hash, row.storage_type])
+    );
+    report.summary.files = files.length;
+    report.summary.versions = versions.length;
+
+    const refs = [
+      ...files.map(row => ({ table: 'file_nodes', row })),
+      ...versions.map(row => ({ table: 'file_versions', row }))
+    ];
+
+    for (const { table, row } of refs) {
+      const issue = {
+        table,
+        id: row.id,
+        userId: row.user_id,
+        ...(row.file_id ? { fileId: row.file_id, versionNo: row.version_no } : {}),
+        filePath: row.file_path,
+        fileHash: row.file_hash
+      };
+
+      if (!row.file_path) {
+        this.addIssue(report, 'missingContent', { ...issue, reason: '没有存储路径' });
+        continue;
+      }
+
+      if (FileBlobModel.isBlobPath(row.file_path, row.file_hash)) {
+        // blob对象本身是否存在由checkBlobs检查
+        if (!blobs.has(row.file_hash)) {
+          this.addIssue(report, 'missingContent', { ...issue, reason: 'blob记录不存在' });
+        }
+        continue;
+      }
+
+      if (!fs.existsSync(row.file_path)) {
+        this.addIssue(report, 'missingContent', { ...issue, reason: '存储文件不存在' });
+        continue;
+      }
+
+      if (verifyHashes) {
+        try {
+          const content = await FileSystemModel.readFileBuffer(row.file_path, row.file_hash);
+          const actualHash = FileBlobModel.calculateHash(content);
+          if (actualHash !== row.file_hash) {
+            this.addIssue(report, 'hashMismatches', { ...issue, actualHash });
+          }
+        } catch (error) {
+          this.addIssue(report, 'missingContent', { ...issue, reason: `读取失败: ${error.message}` });
+        }
+      }
+    }
+  }
+
+  // 私有方法：检查每个blob的对象是否存在，可选校验内容哈希
+  static async checkBlobs(report, verifyHashes) {
+    const blobs = await query('SELECT hash, storage_type FROM file_blobs');
+    report.summary.blobs = blobs.length;
+
+    for (const blob of blobs) {
+      const issue = { table: 'file_blobs', hash: blob.hash, storageType: blob.storage_type };
+      try {
+        if (!verifyHashes) {
+          const stat = await getStorageDriver(blob.storage_type).stat(FileBlobModel.getBlobKey(blob.hash));
+          if (!stat) {
+            this.addIssue(report, 'missingContent', { ...issue, reason: 'blob对象不存在' });
+          }
+          continue;
+        }
+
+        const content = await FileBlobModel.readBuffer(blob.hash);
+        const actualHash = FileBlobModel.calculateHash(content);
+        if (actualHash !== blob.hash) {
+          this.addIssue(report, 'hashMismatches', { ...issue, actualHash });
+        }
+      } catch (error) {
+        const reason = error.message.includes('文件内容不存在') ? 'blob对象不存在' : `读取失败: ${error.message}`;
+        this.addIssue(report, 'missingContent', { ...issue, reason });
+      }
+    }
+  }
+
+  // 私有方法：检查引用计数与实际引用行数是否一致
+  static async checkRefCounts(report, repair) {
+    const rows = await query(
+      `SELECT b.hash, b.ref_count, COALESCE(c.refs, 0) AS actual_refs
+       FROM file_blobs b
+       LEFT JOIN (
+         SELECT file_hash, COUNT(*) AS refs FROM (
+           SELECT file_hash FROM file_nodes WHERE type = 'file' AND file_hash IS NOT NULL
+           UNION ALL
+           SELECT file_hash FROM file_versions
+         ) r GROUP BY file_hash
+       ) c ON c.file_hash = b.hash
+       WHERE b.ref_count <> COALESCE(c.refs, 0)`
+    );
+
+    for (const row of rows) {
+      this.addIssue(report, 'refCountMismatches', {
+        hash: row.hash,
+        refCount: Number(row.ref_count),
+        actualRefs: Number(row.actual_refs),
+        repaired: repair
+      });
+    }
+
+    if (repair && rows.length > 0) {
+      report.summary.repaired += await FileBlobModel.recountReferences();
+    }
+  }
+
+  // 私有方法：检查存储中没有对应记录的blob对象
+  static async checkOrphanObjects(report) {
+    const rows = await query('SELECT DISTINCT storage_type FROM file_blobs');
+    const storageTypes = new Set([getDefaultStorageType(), ...rows.map(row => row.storage_type)]);
+
+    for (const storageType of storageTypes) {
+      try {
+        const orphans = await FileBlobModel.findOrphanObjects(storageType);
+        for (const object of orphans) {
+          this.addIssue(report, 'orphanObjects', { storageType, ...object });
+        }
+      } catch (error) {
+        report.errors.push(`${storageType}: ${error.message}`);
+      }
+    }
+  }
+
+  // 私有方法：检查旧格式目录中没有被任何记录引用的文件
+  static async checkOrphanLegacyFiles(report) {
+    const rows = await query(
+      `SELECT file_path FROM file_nodes WHERE file_path IS NOT NULL
+       UNION
+       SELECT file_path FROM file_versions`
+    );
+    const referenced = new Set(rows.map(row => path.resolve(row.file_path)));
+
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(entryPath);
+        } else if (entry.isFile() && !referenced.has(path.resolve(entryPath))) {
+          const stats = fs.statSync(entryPath);
+          this.addIssue(report, 'orphanLegacyFiles', {
+            filePath: entryPath,
+            size: stats.size,
+            modifiedAt: stats.mtime
+          });
+        }
+      }
+    };
+    LEGACY_STORAGE_DIRS.forEach(walk);
+  }
+
+  // 私有方法：按父节点链重新计算未删除节点的路径，与path列比较
+  static async checkPaths(report, repair) {
+    const mismatches = await query(
+      `WITH RECURSIVE chain AS (
+         SELECT id, CAST(name AS CHAR(768)) AS expected_path
+         FROM file_nodes WHERE parent_id IS NULL AND is_deleted = 0
+         UNION ALL
+         SELECT c.id, CONCAT(p.expected_path, '/', c.name)
+         FROM file_nodes c
+         JOIN chain p ON c.parent_id = p.id
+         WHERE c.is_deleted = 0
+       )
+       SELECT n.id, n.user_id, n.path, chain.expected_path
+       FROM chain JOIN file_nodes n ON n.id = chain.id
+       WHERE BINARY n.path <> BINARY chain.expected_path`
+    );
+
+    // 父节点不存在或已删除的未删除节点无法计算路径，只报告
+    const dangling = await query(
+      `SELECT c.id, c.user_id, c.parent_id, c.path
+       FROM file_nodes c
+       LEFT JOIN file_nodes p ON p.id = c.parent_id
+       WHERE c.parent_id IS NOT NULL AND c.is_deleted = 0
+         AND (p.id IS NULL OR p.is_deleted = 1 OR p.user_id <> c.user_id)`
+    );
+    for (const row of dangling) {
+      this.addIssue(report, 'danglingNodes', {
+        id: row.id,
+        userId: row.user_id,
+        parentId: row.parent_id,
+        path: row.path
+      });
+    }
+
+    for (const row of mismatches) {
+      const repaired = repair ? await this.repairPath(row) : false;
+      if (repaired) {
+        report.summary.repaired++;
+      }
+      this.addIssue(report, 'pathMismatches', {
+        id: row.id,
+        userId: row.user_id,
+        path: row.path,
+        expectedPath: row.expected_path,
+        repaired
+      });
+    }
+  }
+
+  // 私有方法：修复单个节点的路径（检查期间节点被移动或重命名时跳过，留给下次检查）
+  static async repairPath(row) {
+    return transaction(async (connection) => {
+      const locked = await execute(
+        connection,
+        'SELECT path FROM file_nodes WHERE id = ? FOR UPDATE',
+        [row.id]
+      );
+      if (locked.length === 0 || locked[0].path !== row.path) {
+        return false;
+      }
+
+      await execute(connection, 'UPDATE file_nodes SET path = ? WHERE id = ?', [row.expected_path, row.id]);
+      await execute(connection, 'UPDATE file_search_index SET path = ? WHERE node_id = ?', [row.expected_path, row.id]);
+      return true;
+    });
+  }
+}
+
+module.exports = IntegrityModel;
@@ -0,0 +1,146 @@
+const { query } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const FileUploadModel = require('./fileUploadModel');
+const { escapeLike } = require('../utils/searchUtils');
+
+// 超出配额时的错误信息，控制器按“存储空间不足”返回 413 和 QUOTA_EXCEEDED 错误码
+const QUOTA_EXCEEDED_MESSAGE = '存储空间不足，已超出配额';
+
+class QuotaModel {
+  /**
+   * 获取用户的配额
+   * @param {string} userId - 用户ID
+   * @returns {Promise<{limitBytes: number|null, isCustom: boolean}>} 配额（null表示不限制）
+   */
+  static async getQuota(userId) {
+    const result = await query('SELECT quota_bytes FROM user_quotas WHERE user_id = ?', [userId]);
+    if (result.length > 0) {
+      const quotaBytes = result[0].quota_bytes;
+      return { limitBytes: quotaBytes === null ? null : Number(quotaBytes), isCustom: true };
+    }
+
+    const defaultMb = config.quota.defaultMb;
+    return {
+      limitBytes: defaultMb > 0 ? defaultMb * 1024 * 1024 : null,
+      isCustom: false
+    };
+  }
+
+  /**
+   * 为用户单独设置配额（管理员功能）
+   * @param {string} userId - 用户ID
+   * @param {number|null} quotaBytes - 配额字节数，null表示不限制
+   * @param {string} adminId - 操作的管理员ID
+   */
+  static async setQuota(userId, quotaBytes, adminId) {
+    const users = await query('SELECT id FROM user WHERE id = ?', [userId]);
+    if (users.length === 0) {
+      throw new Error('用户不存在');
+    }
+
+    await query(
+      `INSERT INTO user_quotas (user_id, quota_bytes, updated_by) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE quota_bytes = VALUES(quota_bytes), updated_by = VALUES(updated_by)`,
+      [userId, quotaBytes, adminId]
+    );
+  }
+
+  /**
+   * 删除用户的单独配额，恢复为默认配额（管理员功能）
+   * @param {string} userId - 用户ID
+   */
+  static async resetQuota(userId) {
+    await query('DELETE FROM user_quotas WHERE user_id = ?', [userId]);
+  }
+
+  /**
+   * 统计用户上传目录（remote/<userId>）占用的空间
+   * @param {string} userId - 用户ID
+   * @returns {number} 字节数
+   */
+  static getUploadsUsage(userId) {
+    const uploadDir = FileUploadModel.getUploadDir(userId);
+    let total = 0;
+
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(entryPath);
+        } else if (entry.isFile()) {
+          total += fs.statSync(entryPath).size;
+        }
+      }
+    };
+    walk(uploadDir);
+
+    return total;
+  }
+
+  /**
+   * 获取用户的存储使用情况
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} 使用情况（字节）
+   */
+  static async getUsage(userId) {
+    // 回收站中的文件仍占用存储，直到被彻底删除
+    // 直接引用上传文件的节点已经计入上传目录的占用，不再重复计算
+    const rows = await query(
+      `SELECT is_deleted, COALESCE(SUM(size), 0) AS bytes, COUNT(*) AS count
+       FROM file_nodes
+       WHERE user_id = ? AND type = 'file' AND (file_path IS NULL OR file_path NOT LIKE ?)
+       GROUP BY is_deleted`,
+      [userId, `${escapeLike(FileUploadModel.getUploadDir(userId) + path.sep)}%`]
+    );
+    const notes = rows.find(row => !row.is_deleted);
+    const trash = rows.find(row => row.is_deleted);
+
+    const notesBytes = notes ? Number(notes.bytes) : 0;
+    const trashBytes = trash ? Number(trash.bytes) : 0;
+    const uploadsBytes = this.getUploadsUsage(userId);
+    const usedBytes = notesBytes + trashBytes + uploadsBytes;
+    const { limitBytes, isCustom } = await this.getQuota(userId);
+
+    return {
+      usedBytes,
+      limitBytes,
+      remainingBytes: limitBytes === null ? null : Math.max(limitBytes - usedBytes, 0),
+      isCustom,
+      breakdown: {
+        notesBytes,
+        notesCount: notes ? Number(notes.count) : 0,
+        trashBytes,
+        trashCount: trash ? Number(trash.count) : 0,
+        uploadsBytes
+      }
+    };
+  }
+
+  /**
+   * 确认用户还能再写入指定大小的内容，超出配额时抛出错误
+   * @param {string} userId - 用户ID
+   * @param {number} additionalBytes - 将要新增的字节数（不增加占用的写入直接放行）
+   */
+  static async assertWithinQuota(userId, additionalBytes) {
+    if (additionalBytes <= 0) {
+      return;
+    }
+
+    const { limitBytes } = await this.getQuota(userId);
+    if (limitBytes === null) {
+      return;
+    }
+
+    const { usedBytes } = await this.getUsage(userId);
+    if (usedBytes + additionalBytes > limitBytes) {
+      throw new Error(QUOTA_EXCEEDED_MESSAGE);
+    }
+  }
+}
+
+module.exports = QuotaModel;
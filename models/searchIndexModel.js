@@ -0,0 +1,191 @@
+const { query, execute } = require('../config/database');
+const {
+  tokenizeQuery,
+  canUseFullText,
+  buildBooleanQuery,
+  escapeLike,
+  highlight,
+  buildSnippet
+} = require('../utils/searchUtils');
+
+class SearchIndexModel {
+  /**
+   * 写入或更新节点的搜索索引
+   * @param {Object} node - 节点信息
+   * @param {string} node.id - 节点ID
+   * @param {string} node.userId - 用户ID
+   * @param {string} node.type - 节点类型
+   * @param {string} node.name - 节点名称
+   * @param {string} node.path - 节点路径
+   * @param {string|null} node.content - 文件内容（文件夹为null）
+   * @param {Object|null} connection - 事务连接
+   */
+  static async indexNode({ id, userId, type, name, path, content = null }, connection = null) {
+    await execute(
+      connection,
+      `INSERT INTO file_search_index (node_id, user_id, type, name, path, content)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE type = VALUES(type), name = VALUES(name),
+         path = VALUES(path), content = VALUES(content)`,
+      [id, userId, type, name, path, content]
+    );
+  }
+
+  /**
+   * 仅更新文件内容的索引
+   * @param {string} nodeId - 节点ID
+   * @param {string} content - 文件内容
+   * @param {Object|null} connection - 事务连接
+   */
+  static async updateContent(nodeId, content, connection = null) {
+    await execute(
+      connection,
+      'UPDATE file_search_index SET content = ? WHERE node_id = ?',
+      [content, nodeId]
+    );
+  }
+
+  /**
+   * 从file_nodes同步子树的名称和路径（重命名、移动后调用）
+   * @param {string} userId - 用户ID
+   * @param {string} rootPath - 子树根节点的新路径
+   * @param {Object|null} connection - 事务连接
+   */
+  static async syncSubtreeMeta(userId, rootPath, connection = null) {
+    await execute(
+      connection,
+      `UPDATE file_search_index s
+       JOIN file_nodes n ON n.id = s.node_id
+       SET s.name = n.name, s.path = n.path
+       WHERE n.user_id = ? AND (n.path = ? OR n.path LIKE ?)`,
+      [userId, rootPath, `${escapeLike(rootPath)}/%`]
+    );
+  }
+
+  /**
+   * 删除节点的搜索索引
+   * @param {string} nodeId - 节点ID
+   * @param {Object|null} connection - 事务连接
+   */
+  static async removeNode(nodeId, connection = null) {
+    await execute(connection, 'DELETE FROM file_search_index WHERE node_id = ?', [nodeId]);
+  }
+
+  /**
+   * 清空用户的搜索索引
+   * @param {string} userId - 用户ID
+   */
+  static async clearUserIndex(userId) {
+    await query('DELETE FROM file_search_index WHERE user_id = ?', [userId]);
+  }
+
+  // 私有方法：根据关键词构建WHERE条件和相关度表达式
+  static buildSearchClause(keyword, tokens) {
+    if (canUseFullText(tokens)) {
+      const against = buildBooleanQuery(tokens);
+      const nameLike = `%${escapeLike(keyword.trim())}%`;
+      return {
+        score: `(MATCH(s.name) AGAINST(? IN BOOLEAN MODE) * 3
+          + MATCH(s.path) AGAINST(? IN BOOLEAN MODE) * 1.5
+          + MATCH(s.content) AGAINST(? IN BOOLEAN MODE)
+          + CASE WHEN s.name LIKE ? THEN 5 ELSE 0 END)`,
+        scoreParams: [against, against, against, nameLike],
+        where: '(MATCH(s.name, s.path, s.content) AGAINST(? IN BOOLEAN MODE) OR s.name LIKE ?)',
+        whereParams: [against, nameLike]
+      };
+    }
+
+    // 词项过短无法命中ngram索引时，退化为LIKE匹配（每个词项都必须出现）
+    const scoreParts = [];
+    const scoreParams = [];
+    const whereParts = [];
+    const whereParams = [];
+    for (const token of tokens) {
+      const like = `%${escapeLike(token)}%`;
+      scoreParts.push(`CASE WHEN s.name LIKE ? THEN 3 ELSE 0 END
+        + CASE WHEN s.path LIKE ? THEN 1.5 ELSE 0 END
+        + CASE WHEN s.content LIKE ? THEN 1 ELSE 0 END`);
+      scoreParams.push(like, like, like);
+      whereParts.push('(s.name LIKE ? OR s.path LIKE ? OR s.content LIKE ?)');
+      whereParams.push(like, like, like);
+    }
+
+    return {
+      score: `(${scoreParts.join(' + ')})`,
+      scoreParams,
+      where: `(${whereParts.join(' AND ')})`,
+      whereParams
+    };
+  }
+
+  /**
+   * 搜索用户的文件和文件夹
+   * @param {string} userId - 用户ID
+   * @param {string} keyword - 搜索关键词
+   * @param {Object} options - 搜索选项
+   * @param {string} options.type - 节点类型（file/folder/all）
+   * @param {number} options.offset - 偏移量
+   * @param {number} options.limit - 每页数量
+   * @returns {Promise<{total: number, items: Array}>} 搜索结果
+   */
+  static async search(userId, keyword, { type = 'all', offset = 0, limit = 20 } = {}) {
+    const tokens = tokenizeQuery(keyword);
+    if (tokens.length === 0) {
+      return { total: 0, items: [] };
+    }
+
+    const clause = this.buildSearchClause(keyword, tokens);
+    const typeFilter = type && type !== 'all' ? 'AND s.type = ?' : '';
+    const typeParams = type && type !== 'all' ? [type] : [];
+
+    const countRows = await query(
+      `SELECT COUNT(*) AS total
+       FROM file_search_index s
+       JOIN file_nodes n ON n.id = s.node_id AND n.is_deleted = 0
+       WHERE s.user_id = ? ${typeFilter} AND ${clause.where}`,
+      [userId, ...typeParams, ...clause.whereParams]
+    );
+    const total = countRows[0].total;
+
+    if (total === 0) {
+      return { total: 0, items: [] };
+    }
+
+    // LIMIT/OFFSET 在预处理语句中不能使用参数，这里确保为整数后直接拼接
+    const safeLimit = Math.max(1, parseInt(limit) || 20);
+    const safeOffset = Math.max(0, parseInt(offset) || 0);
+
+    const rows = await query(
+      `SELECT s.node_id, s.type, s.name, s.path, s.content,
+              n.parent_id, n.size, n.mime_type, n.updated_at,
+              ${clause.score} AS score
+       FROM file_search_index s
+       JOIN file_nodes n ON n.id = s.node_id AND n.is_deleted = 0
+       WHERE s.user_id = ? ${typeFilter} AND ${clause.where}
+       ORDER BY score DESC, n.updated_at DESC
+       LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+      [...clause.scoreParams, userId, ...typeParams, ...clause.whereParams]
+    );
+
+    const items = rows.map(row => ({
+      id: row.node_id,
+      name: row.name,
+      type: row.type,
+      path: row.path,
+      parentId: row.parent_id,
+      size: row.size,
+      mimeType: row.mime_type,
+      updatedAt: row.updated_at,
+      score: Number(row.score) || 0,
+      highlights: {
+        name: highlight(row.name, tokens),
+        path: highlight(row.path, tokens),
+        snippet: buildSnippet(row.content, tokens)
+      }
+    }));
+
+    return { total, items };
+  }
+}
+
+module.exports = SearchIndexModel;
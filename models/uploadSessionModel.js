@@ -0,0 +1,325 @@
+const { query, execute, transaction } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+const FileUploadModel = require('./fileUploadModel');
+
+// 未完成上传的临时文件目录，每个用户一个子目录
+const SESSION_ROOT = path.join(process.cwd(), 'storage', 'upload-sessions');
+
+// 单个分片的大小上限
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+// 没有会话记录的临时文件超过该时间才会被清理
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * 可断点续传的分片上传
+ *
+ * 客户端先创建会话，再按顺序提交分片（每个分片带偏移量和SHA256校验值），
+ * 连接中断后通过查询会话得到已接收的字节数，从该位置继续上传。
+ * 全部接收后完成会话：临时文件移动到 remote/<userId>/，由调用方记录上传或加入文件树。
+ */
+class UploadSessionModel {
+  /**
+   * 获取会话临时文件的路径
+   * @param {string} userId - 用户ID
+   * @param {string} sessionId - 会话ID
+   * @returns {string} 文件路径
+   */
+  static getPartPath(userId, sessionId) {
+    return path.join(SESSION_ROOT, userId.toString(), `${sessionId}.part`);
+  }
+
+  /**
+   * 创建上传会话
+   * @param {string} userId - 用户ID
+   * @param {Object} options - 会话信息
+   * @param {string} options.fileName - 文件名
+   * @param {string} options.mimeType - MIME类型
+   * @param {number} options.totalSize - 文件总字节数
+   * @param {boolean} options.addToTree - 完成后是否加入文件树
+   * @param {string|null} options.parentId - 加入文件树时的父文件夹ID，null表示根目录
+   * @param {string|null} options.fileHash - 整个文件的SHA256，完成时校验
+   * @returns {Promise<Object>} 会话信息
+   */
+  static async createSession(userId, { fileName, mimeType, totalSize, addToTree = false, parentId = null, fileHash = null }) {
+    const id = uuidv4();
+    const expiresAt = this.getExpiresAt();
+    const partPath = this.getPartPath(userId, id);
+
+    fs.mkdirSync(path.dirname(partPath), { recursive: true });
+    fs.writeFileSync(partPath, Buffer.alloc(0));
+
+    try {
+      await query(
+        `INSERT INTO upload_sessions (id, user_id, parent_id, add_to_tree, file_name, mime_type, total_size, file_hash, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, userId, parentId, addToTree ? 1 : 0, fileName, mimeType, totalSize, fileHash, expiresAt]
+      );
+    } catch (error) {
+      fs.rmSync(partPath, { force: true });
+      throw error;
+    }
+
+    console.log('📤 Upload session created:', { userId, id, fileName, totalSize });
+    return this.formatSession({
+      id,
+      parent_id: parentId,
+      add_to_tree: addToTree,
+      file_name: fileName,
+      mime_type: mimeType,
+      total_size: totalSize,
+      received_bytes: 0,
+      file_hash: fileHash,
+      expires_at: expiresAt,
+      created_at: new Date()
+    });
+  }
+
+  /**
+   * 获取上传会话（用于断点续传时查询已接收的字节数）
+   * @param {string} userId - 用户ID
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<Object>} 会话信息
+   */
+  static async getSession(userId, sessionId) {
+    const rows = await query(
+      'SELECT * FROM upload_sessions WHERE id = ? AND user_id = ?',
+      [sessionId, userId]
+    );
+    return this.formatSession(this.assertActive(rows));
+  }
+
+  /**
+   * 追加一个分片
+   * @param {string} userId - 用户ID
+   * @param {string} sessionId - 会话ID
+   * @param {number} offset - 分片在文件中的起始位置，必须等于已接收的字节数
+   * @param {Buffer} data - 分片内容
+   * @param {string} checksum - 分片内容的SHA256（十六进制）
+   * @returns {Promise<Object>} 更新后的会话信息
+   */
+  static async appendChunk(userId, sessionId, offset, data, checksum) {
+    if (data.length === 0) {
+      throw new Error('分片内容不能为空');
+    }
+    if (data.length > MAX_CHUNK_SIZE) {
+      throw new Error(`分片大小不能超过${MAX_CHUNK_SIZE / 1024 / 1024}MB`);
+    }
+
+    const actualChecksum = crypto.createHash('sha256').update(data).digest('hex');
+    if (!checksum || actualChecksum !== checksum.toLowerCase()) {
+      throw new Error('分片校验失败，请重新上传该分片');
+    }
+
+    return transaction(async (connection) => {
+      // 锁定会话，同一会话的分片按顺序写入
+      const rows = await execute(
+        connection,
+        'SELECT * FROM upload_sessions WHERE id = ? AND user_id = ? FOR UPDATE',
+        [sessionId, userId]
+      );
+      const session = this.assertActive(rows);
+      const received = Number(session.received_bytes);
+
+      if (offset !== received) {
+        throw new Error('分片偏移量与已接收的字节数不一致');
+      }
+      if (received + data.length > Number(session.total_size)) {
+        throw new Error('分片超出文件大小');
+      }
+
+      // 截掉上次中断时可能写入了一半的内容，再追加本次分片
+      const partPath = this.getPartPath(userId, sessionId);
+      if (!fs.existsSync(partPath)) {
+        throw new Error('上传会话的临时文件不存在');
+      }
+      fs.truncateSync(partPath, received);
+      fs.appendFileSync(partPath, data);
+
+      const expiresAt = this.getExpiresAt();
+      await execute(
+        connection,
+        'UPDATE upload_sessions SET received_bytes = ?, expires_at = ? WHERE id = ?',
+        [received + data.length, expiresAt, sessionId]
+      );
+
+      return this.formatSession({
+        ...session,
+        received_bytes: received + data.length,
+        expires_at: expiresAt
+      });
+    });
+  }
+
+  /**
+   * 完成上传会话：校验整个文件后移动到上传目录，并删除会话
+   * @param {string} userId - 用户ID
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<Object>} 会话信息和文件信息 { session, fileName, filePath, size, fileHash }
+   */
+  static async completeSession(userId, sessionId) {
+    return transaction(async (connection) => {
+      const rows = await execute(
+        connection,
+        'SELECT * FROM upload_sessions WHERE id = ? AND user_id = ? FOR UPDATE',
+        [sessionId, userId]
+      );
+      const session = this.assertActive(rows);
+      const size = Number(session.total_size);
+
+      if (Number(session.received_bytes) !== size) {
+        throw new Error('上传尚未完成，还有分片未接收');
+      }
+
+      const partPath = this.getPartPath(userId, sessionId);
+      if (!fs.existsSync(partPath) || fs.statSync(partPath).size !== size) {
+        throw new Error('上传会话的临时文件不存在或已损坏');
+      }
+
+      const fileHash = await FileUploadModel.hashFile(partPath);
+      if (session.file_hash && session.file_hash !== fileHash) {
+        throw new Error('文件校验失败，内容与创建会话时提供的哈希值不一致');
+      }
+
+      const uploadDir = FileUploadModel.getUploadDir(userId);
+      const fileName = FileUploadModel.buildFileName(session.file_name);
+      const filePath = path.join(uploadDir, fileName);
+      fs.mkdirSync(uploadDir, { recursive: true });
+
+      await execute(connection, 'DELETE FROM upload_sessions WHERE id = ?', [sessionId]);
+      this.moveFile(partPath, filePath);
+
+      console.log('✅ Upload session completed:', { userId, sessionId, filePath });
+      return { session: this.formatSession(session), fileName, filePath, size, fileHash };
+    });
+  }
+
+  /**
+   * 取消上传会话并删除已接收的内容
+   * @param {string} userId - 用户ID
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<Object>} { id, freedBytes }
+   */
+  static async abortSession(userId, sessionId) {
+    const result = await query(
+      'DELETE FROM upload_sessions WHERE id = ? AND user_id = ?',
+      [sessionId, userId]
+    );
+    if (result.affectedRows === 0) {
+      throw new Error('上传会话不存在');
+    }
+
+    return { id: sessionId, freedBytes: this.removePart(this.getPartPath(userId, sessionId)) };
+  }
+
+  /**
+   * 清理过期未完成的上传会话，以及没有会话记录的临时文件
+   * @returns {Promise<Object>} { removedSessions, freedBytes }
+   */
+  static async cleanupExpiredSessions() {
+    const result = { removedSessions: 0, freedBytes: 0 };
+
+    const expired = await query('SELECT id, user_id FROM upload_sessions WHERE expires_at < ?', [new Date()]);
+    for (const session of expired) {
+      const deleted = await query(
+        'DELETE FROM upload_sessions WHERE id = ? AND expires_at < ?',
+        [session.id, new Date()]
+      );
+      // 清理期间收到新分片的会话已被续期，跳过
+      if (deleted.affectedRows === 0) {
+        continue;
+      }
+      result.removedSessions++;
+      result.freedBytes += this.removePart(this.getPartPath(session.user_id, session.id));
+    }
+
+    // 会话记录已不存在（如用户被删除）的临时文件，刚创建的文件可能还没写入会话记录，跳过
+    if (fs.existsSync(SESSION_ROOT)) {
+      const active = new Set((await query('SELECT id FROM upload_sessions')).map(row => row.id));
+      const createdBefore = Date.now() - ORPHAN_GRACE_MS;
+      for (const userDir of fs.readdirSync(SESSION_ROOT, { withFileTypes: true })) {
+        if (!userDir.isDirectory()) {
+          continue;
+        }
+        const dir = path.join(SESSION_ROOT, userDir.name);
+        for (const entry of fs.readdirSync(dir)) {
+          const partPath = path.join(dir, entry);
+          if (!active.has(path.basename(entry, '.part')) && fs.statSync(partPath).mtimeMs < createdBefore) {
+            result.freedBytes += this.removePart(partPath);
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // 私有方法：检查会话存在且未过期，返回会话记录
+  static assertActive(rows) {
+    if (rows.length === 0) {
+      throw new Error('上传会话不存在');
+    }
+    if (new Date(rows[0].expires_at).getTime() < Date.now()) {
+      throw new Error('上传会话已过期，请重新上传');
+    }
+    return rows[0];
+  }
+
+  // 私有方法：计算会话的过期时间
+  static getExpiresAt() {
+    return new Date(Date.now() + config.uploads.sessionExpireHours * 60 * 60 * 1000);
+  }
+
+  // 私有方法：移动文件（跨磁盘时复制后删除）
+  static moveFile(from, to) {
+    try {
+      fs.renameSync(from, to);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      fs.copyFileSync(from, to);
+      fs.unlinkSync(from);
+    }
+  }
+
+  // 私有方法：删除临时文件，返回释放的字节数
+  static removePart(partPath) {
+    try {
+      if (!fs.existsSync(partPath)) {
+        return 0;
+      }
+      const { size } = fs.statSync(partPath);
+      fs.unlinkSync(partPath);
+      return size;
+    } catch (error) {
+      console.warn('⚠️ Warning: Could not delete upload part:', error.message);
+      return 0;
+    }
+  }
+
+  // 私有方法：格式化会话记录
+  static formatSession(row) {
+    return {
+      id: row.id,
+      fileName: row.file_name,
+      mimeType: row.mime_type,
+      totalSize: Number(row.total_size),
+      offset: Number(row.received_bytes),
+      addToTree: Boolean(row.add_to_tree),
+      parentId: row.parent_id || null,
+      fileHash: row.file_hash || null,
+      maxChunkSize: MAX_CHUNK_SIZE,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+UploadSessionModel.MAX_CHUNK_SIZE = MAX_CHUNK_SIZE;
+
+module.exports = UploadSessionModel;
@@ -14,6 +14,16 @@ class UserModel {
     }
   }
 
+  // 判断用户是否为管理员（以数据库中的role为准，不信任令牌中的信息）
+  static async isAdmin(id) {
+    try {
+      const users = await query('SELECT role FROM user WHERE id = ?', [id]);
+      return users.length > 0 && users[0].role === 'admin';
+    } catch (error) {
+      throw new Error(`获取用户角色失败: ${error.message}`);
+    }
+  }
+
   // 根据邮箱获取用户（包含密码，用于登录验证）
   static async getUserByEmail(email) {
     try {
@@ -0,0 +1,284 @@
+const { query, execute, transaction } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const config = require('../config/config');
+const { stableStringify, diffWorkflows } = require('../utils/workflowDiff');
+const { exportWorkflow: convertWorkflow } = require('../utils/workflowExport');
+const FileSystemModel = require('./fileSystemModel');
+
+/**
+ * 文件夹脑图/工作流
+ *
+ * 当前数据保存在 file_nodes 的 nodes/edges 列中，每次保存同时生成一个快照（workflow_snapshots），
+ * 快照的 revision 按文件夹递增，最新快照的 revision 即当前数据的版本号。
+ */
+class WorkflowModel {
+  /**
+   * 获取文件夹的脑图
+   * @param {string} userId - 用户ID
+   * @param {string} folderId - 文件夹ID
+   * @returns {Promise<Object>} { nodes, edges, revision }，从未保存过时revision为0
+   */
+  static async getWorkflow(userId, folderId) {
+    const folder = await this.getFolder(null, userId, folderId);
+    const head = await this.getHeadSnapshot(null, folderId);
+    return {
+      nodes: FileSystemModel.parseJsonColumn(folder.nodes),
+      edges: FileSystemModel.parseJsonColumn(folder.edges),
+      revision: head ? head.revision : 0
+    };
+  }
+
+  /**
+   * 保存文件夹的脑图并记录快照（内容与最新快照相同时不重复记录）
+   * @param {string} userId - 用户ID
+   * @param {string} folderId - 文件夹ID
+   * @param {Object} workflow - 已校验的脑图数据 { nodes, edges }
+   * @param {Object} options - 保存选项
+   * @param {number|null} options.restoredFrom - 从哪个快照恢复
+   * @param {number|null} options.expectedRevision - 客户端编辑所基于的版本号，与当前版本不一致时拒绝保存
+   * @returns {Promise<Object>} 当前快照信息
+   */
+  static async saveWorkflow(userId, folderId, { nodes, edges }, { restoredFrom = null, expectedRevision = null } = {}) {
+    const snapshot = await transaction(async (connection) => {
+      // 锁定文件夹，同一脑图的保存按顺序进行
+      const folder = await this.getFolder(connection, userId, folderId, { forUpdate: true });
+      let head = await this.getHeadSnapshot(connection, folderId);
+
+      if (expectedRevision !== null && expectedRevision !== (head ? head.revision : 0)) {
+        throw new Error('脑图已被修改，请获取最新版本后重试');
+      }
+
+      // 引入快照之前保存的脑图先记为第一个快照，首次保存后仍可恢复
+      if (!head && folder.nodes !== null && folder.nodes !== undefined) {
+        head = await this.insertSnapshot(connection, userId, folderId, 1, {
+          nodes: FileSystemModel.parseJsonColumn(folder.nodes),
+          edges: FileSystemModel.parseJsonColumn(folder.edges)
+        });
+      }
+
+      await execute(
+        connection,
+        'UPDATE file_nodes SET nodes = ?, edges = ? WHERE id = ?',
+        [JSON.stringify(nodes), JSON.stringify(edges), folderId]
+      );
+
+      if (head && head.content_hash === this.hashWorkflow({ nodes, edges })) {
+        return head;
+      }
+      return this.insertSnapshot(connection, userId, folderId, head ? head.revision + 1 : 1, { nodes, edges }, restoredFrom);
+    });
+
+    await this.pruneSnapshots(folderId);
+    return this.formatSnapshot(snapshot);
+  }
+
+  /**
+   * 获取文件夹的快照列表（新快照在前）
+   * @param {string} userId - 用户ID
+   * @param {string} folderId - 文件夹ID
+   * @returns {Promise<Array>} 快照列表
+   */
+  static async listSnapshots(userId, folderId) {
+    await this.getFolder(null, userId, folderId);
+    const snapshots = await query(
+      `SELECT revision, node_count, edge_count, restored_from, created_at FROM workflow_snapshots
+       WHERE folder_id = ? ORDER BY revision DESC`,
+      [folderId]
+    );
+
+    return snapshots.map((snapshot, index) => ({
+      ...this.formatSnapshot(snapshot),
+      isHead: index === 0
+    }));
+  }
+
+  /**
+   * 获取指定快照及其数据
+   * @param {string} userId - 用户ID
+   * @param {string} folderId - 文件夹ID
+   * @param {number} revision - 快照版本号
+   * @returns {Promise<Object>} 快照信息和 nodes、edges
+   */
+  static async getSnapshot(userId, folderId, revision) {
+    await this.getFolder(null, userId, folderId);
+    const result = await query(
+      'SELECT * FROM workflow_snapshots WHERE folder_id = ? AND revision = ?',
+      [folderId, revision]
+    );
+    if (result.length === 0) {
+      throw new Error('快照不存在');
+    }
+
+    const snapshot = result[0];
+    return {
+      ...this.formatSnapshot(snapshot),
+      nodes: FileSystemModel.parseJsonColumn(snapshot.nodes),
+      edges: FileSystemModel.parseJsonColumn(snapshot.edges)
+    };
+  }
+
+  /**
+   * 将脑图恢复到指定快照（作为新的快照保存）
+   * @param {string} userId - 用户ID
+   * @param {string} folderId - 文件夹ID
+   * @param {number} revision - 要恢复的快照版本号
+   * @returns {Promise<Object>} 恢复后的快照信息和数据
+   */
+  static async restoreSnapshot(userId, folderId, revision) {
+    console.log('⏪ Restoring workflow snapshot:', { userId, folderId, revision });
+
+    const target = await this.getSnapshot(userId, folderId, revision);
+    const snapshot = await this.saveWorkflow(userId, folderId, target, { restoredFrom: revision });
+
+    return {
+      ...snapshot,
+      nodes: target.nodes,
+      edges: target.edges
+    };
+  }
+
+  /**
+   * 比较两个快照的结构差异
+   * @param {string} userId - 用户ID
+   * @param {string} folderId - 文件夹ID
+   * @param {number} fromRevision - 旧快照版本号
+   * @param {number|null} toRevision - 新快照版本号，为空时使用最新快照
+   * @returns {Promise<Object>} 差异结果
+   */
+  static async diffSnapshots(userId, folderId, fromRevision, toRevision = null) {
+    let targetRevision = toRevision;
+    if (!targetRevision) {
+      const head = await this.getHeadSnapshot(null, folderId);
+      if (!head) {
+        throw new Error('快照不存在');
+      }
+      targetRevision = head.revision;
+    }
+
+    const [from, to] = await Promise.all([
+      this.getSnapshot(userId, folderId, fromRevision),
+      this.getSnapshot(userId, folderId, targetRevision)
+    ]);
+
+    const summarize = ({ revision, nodeCount, edgeCount, createdAt }) => ({ revision, nodeCount, edgeCount, createdAt });
+    return {
+      from: summarize(from),
+      to: summarize(to),
+      ...diffWorkflows(from, to)
+    };
+  }
+
+  /**
+   * 将文件夹的脑图导出为其他格式
+   * @param {string} userId - 用户ID
+   * @param {string} folderId - 文件夹ID
+   * @param {string} format - 导出格式（mermaid/opml/freemind/graphml）
+   * @returns {Promise<Object>} { content, contentType, fileName }
+   */
+  static async exportWorkflow(userId, folderId, format) {
+    const folder = await this.getFolder(null, userId, folderId);
+    const workflow = {
+      nodes: FileSystemModel.parseJsonColumn(folder.nodes),
+      edges: FileSystemModel.parseJsonColumn(folder.edges)
+    };
+
+    const { content, contentType, extension } = convertWorkflow(workflow, format, folder.name);
+    return { content, contentType, fileName: `${folder.name}${extension}` };
+  }
+
+  /**
+   * 删除超出保留数量的最旧快照
+   * @param {string} folderId - 文件夹ID
+   */
+  static async pruneSnapshots(folderId) {
+    const maxSnapshots = config.workflows.maxSnapshots;
+    if (!maxSnapshots || maxSnapshots <= 0) {
+      return;
+    }
+
+    const revisions = await query(
+      'SELECT revision FROM workflow_snapshots WHERE folder_id = ? ORDER BY revision DESC',
+      [folderId]
+    );
+    if (revisions.length > maxSnapshots) {
+      await query(
+        'DELETE FROM workflow_snapshots WHERE folder_id = ? AND revision <= ?',
+        [folderId, revisions[maxSnapshots].revision]
+      );
+    }
+  }
+
+  /**
+   * 计算脑图内容的哈希（字段顺序不影响结果）
+   * @param {Object} workflow - 脑图数据 { nodes, edges }
+   * @returns {string} SHA256
+   */
+  static hashWorkflow({ nodes, edges }) {
+    return crypto.createHash('sha256').update(stableStringify({ nodes, edges })).digest('hex');
+  }
+
+  // 私有方法：确认文件夹存在且属于当前用户，返回 { id, name, type, nodes, edges }
+  static async getFolder(connection, userId, folderId, { forUpdate = false } = {}) {
+    const result = await execute(
+      connection,
+      `SELECT id, name, type, nodes, edges FROM file_nodes
+       WHERE id = ? AND user_id = ? AND is_deleted = 0${forUpdate ? ' FOR UPDATE' : ''}`,
+      [folderId, userId]
+    );
+    if (result.length === 0) {
+      throw new Error('目录不存在');
+    }
+    if (result[0].type !== 'folder') {
+      throw new Error('指定的ID不是目录');
+    }
+    return result[0];
+  }
+
+  // 私有方法：获取最新快照（不含数据）
+  static async getHeadSnapshot(connection, folderId) {
+    const result = await execute(
+      connection,
+      `SELECT revision, node_count, edge_count, content_hash, restored_from, created_at FROM workflow_snapshots
+       WHERE folder_id = ? ORDER BY revision DESC LIMIT 1`,
+      [folderId]
+    );
+    return result.length > 0 ? result[0] : null;
+  }
+
+  // 私有方法：插入快照，返回快照记录
+  static async insertSnapshot(connection, userId, folderId, revision, { nodes, edges }, restoredFrom = null) {
+    const snapshot = {
+      revision,
+      node_count: nodes.length,
+      edge_count: edges.length,
+      content_hash: this.hashWorkflow({ nodes, edges }),
+      restored_from: restoredFrom,
+      created_at: new Date()
+    };
+
+    await execute(
+      connection,
+      `INSERT INTO workflow_snapshots (id, folder_id, user_id, revision, nodes, edges, node_count, edge_count, content_hash, restored_from)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(), folderId, userId, revision, JSON.stringify(nodes), JSON.stringify(edges),
+        snapshot.node_count, snapshot.edge_count, snapshot.content_hash, restoredFrom
+      ]
+    );
+    return snapshot;
+  }
+
+  // 私有方法：格式化快照记录
+  static formatSnapshot(snapshot) {
+    return {
+      revision: snapshot.revision,
+      nodeCount: snapshot.node_count,
+      edgeCount: snapshot.edge_count,
+      restoredFrom: snapshot.restored_from ?? null,
+      createdAt: snapshot.created_at
+    };
+  }
+}
+
+module.exports = WorkflowModel;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const AdminController = require('../controllers/adminController');
+const { jwtAuth, requireAdmin } = require('../middleware/auth');
+
+/**
+ * 管理员路由
+ * 所有路由都需要认证且当前用户为管理员
+ */
+router.use(jwtAuth, requireAdmin);
+
+// 查看用户的存储使用情况和配额
+router.get('/users/:userId/quota', AdminController.getUserQuota);
+
+// 为用户单独设置配额
+router.put('/users/:userId/quota', AdminController.setUserQuota);
+
+// 恢复用户的默认配额
+router.delete('/users/:userId/quota', AdminController.resetUserQuota);
+
+// 检查存储一致性，可选修复路径和引用计数
+router.post('/fsck', AdminController.checkStorageIntegrity);
+
+module.exports = router;
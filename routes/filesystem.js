@@ -4,6 +4,7 @@ const FileSystemController = require('../controllers/fileSystemController');
 const { jwtAuth: authenticateToken } = require('../middleware/auth');
 const { validateRequestBody } = require('../middleware/validation');
 const {
+  parseFileContentUpload,
   validateNodeName,
   validateFileSize,
   validateMimeType,
@@ -20,12 +21,24 @@ router.use(authenticateToken);
 // 获取用户文件树
 router.get('/tree', FileSystemController.getFileTree);
 
+// 分页获取文件夹的子节点（懒加载）
+router.get('/children/:parentId?', FileSystemController.getChildren);
+
 // 获取文件夹统计信息
 router.get('/stats/:folderId?', FileSystemController.getFolderStats);
 
+// 将文件夹导出为ZIP
+router.get('/export/:folderId', FileSystemController.exportFolder);
+
+// 导入ZIP压缩包或Markdown目录
+router.post('/import', FileSystemController.importFiles);
+
 // 搜索文件和文件夹
 router.get('/search', validateSearchParams, FileSystemController.searchNodes);
 
+// 重建搜索索引
+router.post('/search/reindex', FileSystemController.rebuildSearchIndex);
+
 /**
  * 文件夹管理路由
  */
@@ -41,8 +54,9 @@ router.post('/folder',
  * 文件管理路由
  */
 
-// 创建文件
+// 创建文件（JSON或multipart）
 router.post('/file', 
+  parseFileContentUpload,
   validateRequestBody, 
   validateNodeName, 
   validateFileSize, 
@@ -53,13 +67,47 @@ router.post('/file',
 // 获取文件内容
 router.get('/file/:fileId', FileSystemController.getFileContent);
 
-// 更新文件内容
+// 下载文件原始内容（支持Range）
+router.get('/file/:fileId/raw', FileSystemController.downloadFile);
+
+// 更新文件内容（JSON或multipart，内容为空时由控制器返回400）
 router.put('/file/:fileId',
-  validateRequestBody, 
+  parseFileContentUpload,
   validateFileSize, 
   FileSystemController.updateFileContent
 );
 
+// 获取文件版本历史
+router.get('/file/:fileId/versions', FileSystemController.getFileVersions);
+
+// 获取指定版本的内容
+router.get('/file/:fileId/versions/:versionNo', FileSystemController.getFileVersion);
+
+// 比较两个版本
+router.get('/file/:fileId/diff', FileSystemController.diffFileVersions);
+
+// 恢复到指定版本
+router.post('/file/:fileId/versions/:versionNo/restore', FileSystemController.restoreFileVersion);
+
+/**
+ * 回收站路由（需要在 DELETE /:nodeId 之前注册）
+ */
+
+// 获取回收站列表
+router.get('/trash', FileSystemController.getTrash);
+
+// 获取回收站项目详情
+router.get('/trash/:nodeId', FileSystemController.getTrashItem);
+
+// 从回收站恢复
+router.post('/trash/:nodeId/restore', FileSystemController.restoreTrashItem);
+
+// 清空回收站
+router.delete('/trash', FileSystemController.emptyTrash);
+
+// 从回收站彻底删除
+router.delete('/trash/:nodeId', FileSystemController.purgeTrashItem);
+
 /**
  * 通用节点操作路由
  */
@@ -77,6 +125,9 @@ router.put('/move/:nodeId',
   FileSystemController.moveNode
 );
 
+// 复制文件或文件夹
+router.post('/copy/:nodeId', FileSystemController.copyNode);
+
 // 删除文件或文件夹
 router.delete('/:nodeId', FileSystemController.deleteNode);
 
@@ -85,4 +136,25 @@ router.post('/workflow/:dirId', authenticateToken, FileSystemController.saveWork
 // 获取工作流
 router.get('/workflow/:dirId', authenticateToken, FileSystemController.getWorkflow);
 
+// 增量更新工作流
+router.patch('/workflow/:dirId', FileSystemController.patchWorkflow);
+
+// 导出工作流（Mermaid/OPML/FreeMind/GraphML）
+router.get('/workflow/:dirId/export', FileSystemController.exportWorkflow);
+
+// 从大纲文件导入工作流（OPML/FreeMind/XMind/Markdown）
+router.post('/workflow/:dirId/import', FileSystemController.importWorkflow);
+
+// 获取工作流的快照历史
+router.get('/workflow/:dirId/snapshots', FileSystemController.getWorkflowSnapshots);
+
+// 获取工作流的指定快照
+router.get('/workflow/:dirId/snapshots/:revision', FileSystemController.getWorkflowSnapshot);
+
+// 比较工作流的两个快照
+router.get('/workflow/:dirId/diff', FileSystemController.diffWorkflowSnapshots);
+
+// 将工作流恢复到指定快照
+router.post('/workflow/:dirId/snapshots/:revision/restore', FileSystemController.restoreWorkflowSnapshot);
+
 module.exports = router;
\ No newline at end of file
@@ -2,14 +2,54 @@ const express = require('express');
 const router = express.Router();
 const FileUploadController = require('../controllers/fileUploadController');
 const { jwtAuth } = require('../middleware/auth');
-const { uploadLimiter } = require('../middleware/rateLimiter');
+const { uploadLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const UploadSessionModel = require('../models/uploadSessionModel');
+const { errorResponse } = require('../utils/helpers');
+
+// 分片以原始字节上传（Content-Type: application/octet-stream）
+const rawChunk = express.raw({ type: 'application/octet-stream', limit: UploadSessionModel.MAX_CHUNK_SIZE });
+const parseChunkBody = (req, res, next) => {
+  rawChunk(req, res, (err) => {
+    if (err) {
+      const status = err.type === 'entity.too.large' ? 413 : 400;
+      return res.status(status).json(errorResponse(status === 413 ? '分片大小超过限制' : err.message));
+    }
+    next();
+  });
+};
 
 /**
  * 文件上传路由
- * 所有路由都需要认证
+ * 除签名链接和公开链接的下载外，所有路由都需要认证
  */
 router.post('/file', jwtAuth, uploadLimiter, FileUploadController.uploadFile);
 
+// 可断点续传的分片上传：创建会话 -> 按偏移量上传分片 -> 完成
+router.post('/sessions', jwtAuth, uploadLimiter, FileUploadController.createUploadSession);
+router.get('/sessions/:sessionId', jwtAuth, FileUploadController.getUploadSession);
+router.put('/sessions/:sessionId/chunk', jwtAuth, parseChunkBody, FileUploadController.uploadChunk);
+router.post('/sessions/:sessionId/complete', jwtAuth, FileUploadController.completeUploadSession);
+router.delete('/sessions/:sessionId', jwtAuth, FileUploadController.abortUploadSession);
+
+// 获取上传文件列表
+router.get('/files', jwtAuth, FileUploadController.listUploads);
+
+// 下载自己的上传文件、生成签名下载链接、开启或关闭公开链接
+router.get('/files/:uploadId/download', jwtAuth, FileUploadController.downloadUpload);
+router.post('/files/:uploadId/url', jwtAuth, FileUploadController.createDownloadUrl);
+router.put('/files/:uploadId/public', jwtAuth, FileUploadController.setUploadPublic);
+
+// 重新扫描隔离中的上传文件
+router.post('/files/:uploadId/scan', jwtAuth, FileUploadController.scanUpload);
+
+// 无需登录：签名链接（到期失效）和已公开文件的公开链接
+router.get('/download/:uploadId', apiLimiter, FileUploadController.downloadSignedUpload);
+router.get('/public/:uploadId', apiLimiter, FileUploadController.downloadPublicUpload);
+
+// 删除未关联到文件树的上传文件
+router.delete('/files/:uploadId', jwtAuth, FileUploadController.deleteUpload);
 
+// 回收上传文件
+router.post('/gc', jwtAuth, FileUploadController.collectGarbage);
 
 module.exports = router;
\ No newline at end of file
@@ -42,6 +42,9 @@ router.put('/reset-password', [
     })
 ], handleValidationErrors, UserController.resetPassword);
 
+// 获取当前用户的存储使用情况和配额
+router.get('/quota', UserController.getStorageUsage);
+
 // 根据ID获取用户（管理员功能）
 router.get('/:id', UserController.getUserById);
 
@@ -0,0 +1,11 @@
+-- 二进制文件支持的迁移脚本
+-- 执行前请确保已连接到正确的数据库（需要先执行 add-storage-drivers.sql）
+
+USE `notebook`;
+
+-- 已压缩的格式（图片、压缩包、音视频等）不再做gzip，原样保存
+-- 已有的blob都是gzip压缩的文本内容
+ALTER TABLE `file_blobs`
+  ADD COLUMN `compression` enum('gzip','none') NOT NULL DEFAULT 'gzip' AFTER `storage_type`;
+
+COMMIT;
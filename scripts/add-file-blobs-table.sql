@@ -0,0 +1,21 @@
+-- 按内容哈希去重存储的迁移脚本
+-- 执行前请确保已连接到正确的数据库
+
+USE `notebook`;
+
+-- 文件内容按SHA-256存储在 storage/blobs/<hash前2位>/<hash第3-4位>/<hash>.dat
+-- ref_count: 引用该内容的 file_nodes 和 file_versions 行数，归零后由垃圾回收删除
+CREATE TABLE IF NOT EXISTS `file_blobs` (
+  `hash` varchar(64) NOT NULL,
+  `size` bigint DEFAULT '0',
+  `ref_count` int NOT NULL DEFAULT '0',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`hash`),
+  KEY `idx_ref_count` (`ref_count`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 已有的 storage/files/<userId>/<fileId>.dat 和 storage/versions 快照
+-- 需要在执行本脚本后运行 `npm run blobs:migrate` 迁移到blob存储
+
+COMMIT;
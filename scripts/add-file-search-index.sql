@@ -0,0 +1,30 @@
+-- 添加文件全文搜索索引表的迁移脚本
+-- 执行前请确保已连接到正确的数据库（需要 MySQL 5.7.6+ 以支持 ngram 分词）
+
+USE `notebook`;
+
+-- 创建搜索索引表：保存节点名称、路径以及解压后的文件内容
+CREATE TABLE IF NOT EXISTS `file_search_index` (
+  `node_id` char(36) NOT NULL,
+  `user_id` char(36) NOT NULL,
+  `type` enum('file','folder') NOT NULL,
+  `name` varchar(255) NOT NULL,
+  `path` varchar(768) NOT NULL,
+  `content` mediumtext,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`node_id`),
+  KEY `idx_user_type` (`user_id`, `type`),
+  FULLTEXT KEY `ft_name` (`name`) WITH PARSER ngram,
+  FULLTEXT KEY `ft_path` (`path`) WITH PARSER ngram,
+  FULLTEXT KEY `ft_content` (`content`) WITH PARSER ngram,
+  FULLTEXT KEY `ft_all` (`name`, `path`, `content`) WITH PARSER ngram,
+  FOREIGN KEY (`node_id`) REFERENCES `file_nodes` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 为已有的文件夹建立索引（文件内容需通过 POST /filesystem/search/reindex 重建）
+INSERT IGNORE INTO `file_search_index` (`node_id`, `user_id`, `type`, `name`, `path`, `content`)
+SELECT `id`, `user_id`, `type`, `name`, `path`, NULL
+FROM `file_nodes`
+WHERE `is_deleted` = 0;
+
+COMMIT;
@@ -0,0 +1,26 @@
+-- 上传文件记录的迁移脚本
+-- 执行前请确保已连接到正确的数据库
+
+USE `notebook`;
+
+-- 通过 /upload/file 上传的文件，内容原样保存在 remote/<userId>/ 下
+-- 上传时指定了文件夹的文件同时是文件树中的节点（node_id），节点被彻底删除后置空
+CREATE TABLE IF NOT EXISTS `file_uploads` (
+  `id` char(36) NOT NULL,
+  `user_id` char(36) NOT NULL,
+  `node_id` char(36) DEFAULT NULL,
+  `original_name` varchar(255) NOT NULL,
+  `file_name` varchar(320) NOT NULL,
+  `file_path` varchar(500) NOT NULL,
+  `size` bigint DEFAULT '0',
+  `mime_type` char(100) DEFAULT NULL,
+  `file_hash` varchar(64) DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_user_created` (`user_id`, `created_at`),
+  KEY `idx_node_id` (`node_id`),
+  FOREIGN KEY (`user_id`) REFERENCES `user` (`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`node_id`) REFERENCES `file_nodes` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+COMMIT;
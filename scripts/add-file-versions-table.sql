@@ -0,0 +1,23 @@
+-- 文件版本历史的迁移脚本
+-- 执行前请确保已连接到正确的数据库
+
+USE `notebook`;
+
+-- 每次保存文件内容都会生成一个版本，内容快照保存在 storage/versions 目录下
+CREATE TABLE IF NOT EXISTS `file_versions` (
+  `id` char(36) NOT NULL,
+  `file_id` char(36) NOT NULL,
+  `user_id` char(36) NOT NULL,
+  `author_id` char(36) NOT NULL,
+  `version_no` int NOT NULL,
+  `file_hash` varchar(64) NOT NULL,
+  `size` bigint DEFAULT '0',
+  `file_path` varchar(500) NOT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_file_version` (`file_id`, `version_no`),
+  KEY `idx_user_id` (`user_id`),
+  FOREIGN KEY (`file_id`) REFERENCES `file_nodes` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+COMMIT;
@@ -0,0 +1,24 @@
+-- 可插拔存储驱动的迁移脚本
+-- 执行前请确保已连接到正确的数据库（需要先执行 add-file-blobs-table.sql）
+
+USE `notebook`;
+
+-- 新增S3兼容存储类型
+ALTER TABLE `file_nodes`
+  MODIFY COLUMN `storage_type` enum('database','filesystem','s3') DEFAULT 'filesystem';
+
+-- 记录每个内容blob实际保存在哪个存储驱动中
+ALTER TABLE `file_blobs`
+  ADD COLUMN `storage_type` enum('database','filesystem','s3') NOT NULL DEFAULT 'filesystem' AFTER `size`;
+
+-- database驱动使用的内容表
+CREATE TABLE IF NOT EXISTS `file_blob_contents` (
+  `blob_key` varchar(255) NOT NULL,
+  `data` longblob NOT NULL,
+  `size` bigint DEFAULT '0',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`blob_key`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+COMMIT;
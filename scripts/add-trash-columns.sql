@@ -0,0 +1,32 @@
+-- 回收站功能的迁移脚本
+-- 执行前请确保已连接到正确的数据库（需要 MySQL 8.0+ 以支持递归CTE）
+
+USE `notebook`;
+
+-- deleted_at: 删除时间，用于回收站保留策略
+-- deleted_root_id: 用户实际删除的那个节点的ID，同一次删除的整棵子树共享该值
+ALTER TABLE `file_nodes`
+  ADD COLUMN `deleted_at` timestamp NULL DEFAULT NULL AFTER `is_deleted`,
+  ADD COLUMN `deleted_root_id` char(36) DEFAULT NULL AFTER `deleted_at`,
+  ADD KEY `idx_deleted_root` (`deleted_root_id`),
+  ADD KEY `idx_user_deleted_at` (`user_id`, `is_deleted`, `deleted_at`);
+
+-- 为已软删除的历史数据补充回收站信息（删除时间使用最后更新时间近似）
+WITH RECURSIVE trash AS (
+  SELECT n.id, n.id AS root_id
+  FROM file_nodes n
+  LEFT JOIN file_nodes p ON p.id = n.parent_id
+  WHERE n.is_deleted = 1 AND (p.id IS NULL OR p.is_deleted = 0)
+  UNION ALL
+  SELECT c.id, t.root_id
+  FROM file_nodes c
+  JOIN trash t ON c.parent_id = t.id
+  WHERE c.is_deleted = 1
+)
+UPDATE file_nodes f
+JOIN trash t ON t.id = f.id
+SET f.deleted_root_id = t.root_id,
+    f.deleted_at = COALESCE(f.deleted_at, f.updated_at),
+    f.updated_at = f.updated_at;
+
+COMMIT;
@@ -0,0 +1,10 @@
+-- 上传文件公开链接的迁移脚本
+-- 执行前请确保已连接到正确的数据库
+
+USE `notebook`;
+
+-- 上传文件默认只能由本人或通过签名链接下载，is_public = 1 时任何人都可以通过公开链接下载
+ALTER TABLE `file_uploads`
+  ADD COLUMN `is_public` tinyint(1) NOT NULL DEFAULT '0' AFTER `file_hash`;
+
+COMMIT;
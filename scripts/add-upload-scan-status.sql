@@ -0,0 +1,14 @@
+-- 上传文件扫描状态的迁移脚本
+-- 执行前请确保已连接到正确的数据库
+
+USE `notebook`;
+
+-- 新上传的文件在扫描通过（clean）之前处于隔离状态，不能下载，也不会加入文件树
+-- 已有的上传在引入扫描之前上传，视为已通过
+ALTER TABLE `file_uploads`
+  ADD COLUMN `scan_status` enum('pending','clean','infected','error') NOT NULL DEFAULT 'clean' AFTER `is_public`,
+  ADD COLUMN `scan_result` varchar(255) DEFAULT NULL AFTER `scan_status`,
+  ADD COLUMN `scanned_at` timestamp NULL DEFAULT NULL AFTER `scan_result`,
+  ADD KEY `idx_scan_status` (`scan_status`);
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- 分片上传会话的迁移脚本
+-- 执行前请确保已连接到正确的数据库
+
+USE `notebook`;
+
+-- 未完成的分片上传，已接收的内容追加保存在 storage/upload-sessions/<userId>/<id>.part
+-- 完成后移动到 remote/<userId>/ 并删除会话，超过 expires_at 未完成的会话由定时任务清理
+CREATE TABLE IF NOT EXISTS `upload_sessions` (
+  `id` char(36) NOT NULL,
+  `user_id` char(36) NOT NULL,
+  `parent_id` char(36) DEFAULT NULL,
+  `add_to_tree` tinyint(1) NOT NULL DEFAULT '0',
+  `file_name` varchar(255) NOT NULL,
+  `mime_type` char(100) NOT NULL,
+  `total_size` bigint NOT NULL,
+  `received_bytes` bigint NOT NULL DEFAULT '0',
+  `file_hash` varchar(64) DEFAULT NULL,
+  `expires_at` timestamp NOT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_user_id` (`user_id`),
+  KEY `idx_expires_at` (`expires_at`),
+  FOREIGN KEY (`user_id`) REFERENCES `user` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+COMMIT;
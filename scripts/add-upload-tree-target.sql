@@ -0,0 +1,13 @@
+-- 上传文件目标文件夹的迁移脚本
+-- 执行前请确保已连接到正确的数据库
+
+USE `notebook`;
+
+-- 上传时指定了文件夹（parentId）的文件，记录目标文件夹，扫描通过后再加入文件树
+-- 扫描器不可用或上传请求中断时，之后重新扫描通过也能按记录加入文件树
+-- add_to_tree 为 1 表示等待加入文件树，target_parent_id 为空表示根目录
+ALTER TABLE `file_uploads`
+  ADD COLUMN `add_to_tree` tinyint(1) NOT NULL DEFAULT '0' AFTER `node_id`,
+  ADD COLUMN `target_parent_id` char(36) DEFAULT NULL AFTER `add_to_tree`;
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- 用户存储配额的迁移脚本
+-- 执行前请确保已连接到正确的数据库
+
+USE `notebook`;
+
+-- 管理员为单个用户设置的配额，没有记录的用户使用 USER_QUOTA_MB 默认配额
+-- quota_bytes 为 NULL 表示不限制
+CREATE TABLE IF NOT EXISTS `user_quotas` (
+  `user_id` char(36) NOT NULL,
+  `quota_bytes` bigint DEFAULT NULL,
+  `updated_by` char(36) DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`user_id`),
+  FOREIGN KEY (`user_id`) REFERENCES `user` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+COMMIT;
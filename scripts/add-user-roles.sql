@@ -0,0 +1,13 @@
+-- 用户角色的迁移脚本
+-- 执行前请确保已连接到正确的数据库
+
+USE `notebook`;
+
+-- 管理员权限只由该列决定，用户无法通过修改资料更改
+ALTER TABLE `user`
+  ADD COLUMN `role` enum('user','admin') NOT NULL DEFAULT 'user' AFTER `password`;
+
+-- 指定管理员（按用户ID）：
+-- UPDATE `user` SET `role` = 'admin' WHERE `id` = '<用户ID>';
+
+COMMIT;
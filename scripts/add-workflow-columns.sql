@@ -0,0 +1,12 @@
+-- 文件夹脑图/工作流数据的迁移脚本
+-- 执行前请确保已连接到正确的数据库
+
+USE `notebook`;
+
+-- 文件夹的脑图节点和连线，未保存过脑图的文件夹为NULL
+-- 之前已手动添加过这两列的数据库可以跳过本脚本
+ALTER TABLE `file_nodes`
+  ADD COLUMN `nodes` json DEFAULT NULL AFTER `file_hash`,
+  ADD COLUMN `edges` json DEFAULT NULL AFTER `nodes`;
+
+COMMIT;
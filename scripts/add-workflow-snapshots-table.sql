@@ -0,0 +1,25 @@
+-- 脑图/工作流快照历史的迁移脚本
+-- 执行前请确保已连接到正确的数据库
+
+USE `notebook`;
+
+-- 每次保存文件夹的脑图都会生成一个快照，revision 按文件夹递增
+CREATE TABLE IF NOT EXISTS `workflow_snapshots` (
+  `id` char(36) NOT NULL,
+  `folder_id` char(36) NOT NULL,
+  `user_id` char(36) NOT NULL,
+  `revision` int NOT NULL,
+  `nodes` json NOT NULL,
+  `edges` json NOT NULL,
+  `node_count` int NOT NULL DEFAULT '0',
+  `edge_count` int NOT NULL DEFAULT '0',
+  `content_hash` varchar(64) NOT NULL,
+  `restored_from` int DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_folder_revision` (`folder_id`, `revision`),
+  KEY `idx_user_id` (`user_id`),
+  FOREIGN KEY (`folder_id`) REFERENCES `file_nodes` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+COMMIT;
@@ -0,0 +1,110 @@
+// 内容blob存储的维护脚本
+//
+// 用法：
+//   node scripts/blob-storage.js migrate         将旧格式的 <fileId>.dat 文件和版本快照迁移到blob存储
+//   node scripts/blob-storage.js gc [--recount]  删除不再被引用的blob（--recount 先按实际引用重新计数）
+
+const fs = require('fs');
+const { query, execute, transaction, closePool } = require('../config/database');
+const FileSystemModel = require('../models/fileSystemModel');
+const FileBlobModel = require('../models/fileBlobModel');
+
+// 迁移一个引用行：读取旧文件内容写入blob，更新记录后删除旧文件
+const migrateRow = async (table, row) => {
+  const content = await FileSystemModel.readFileContent(row.file_path);
+
+  const migrated = await transaction(async (connection) => {
+    // 迁移期间记录可能已被修改，锁定后确认仍指向旧文件
+    const locked = await execute(
+      connection,
+      `SELECT file_path FROM ${table} WHERE id = ? FOR UPDATE`,
+      [row.id]
+    );
+    if (locked.length === 0 || locked[0].file_path !== row.file_path) {
+      return false;
+    }
+
+    const { hash, size, filePath, storageType } = await FileBlobModel.store(content, connection);
+    // file_versions没有storage_type列，存储位置以file_blobs为准
+    if (table === 'file_nodes') {
+      await execute(
+        connection,
+        'UPDATE file_nodes SET file_path = ?, file_hash = ?, size = ?, storage_type = ? WHERE id = ?',
+        [filePath, hash, size, storageType, row.id]
+      );
+    } else {
+      await execute(
+        connection,
+        'UPDATE file_versions SET file_path = ?, file_hash = ?, size = ? WHERE id = ?',
+        [filePath, hash, size, row.id]
+      );
+    }
+    return true;
+  });
+
+  if (migrated) {
+    fs.rmSync(row.file_path, { force: true });
+  }
+  return migrated;
+};
+
+const migrateTable = async (table, sql) => {
+  const rows = (await query(sql)).filter(row => !FileBlobModel.isBlobPath(row.file_path, row.file_hash));
+  const result = { total: rows.length, migrated: 0, failed: 0 };
+
+  for (const row of rows) {
+    try {
+      if (await migrateRow(table, row)) {
+        result.migrated++;
+      }
+    } catch (error) {
+      result.failed++;
+      console.warn(`⚠️ Warning: Could not migrate ${table} ${row.id}:`, error.message);
+    }
+  }
+
+  console.log(`📦 ${table}: ${result.migrated}/${result.total} migrated, ${result.failed} failed`);
+  return result;
+};
+
+const migrate = async () => {
+  await migrateTable(
+    'file_nodes',
+    "SELECT id, file_path, file_hash FROM file_nodes WHERE type = 'file' AND file_path IS NOT NULL"
+  );
+  await migrateTable(
+    'file_versions',
+    'SELECT id, file_path, file_hash FROM file_versions'
+  );
+
+  // 按迁移后的实际引用校正计数（迁移失败的旧记录哈希相同时也会保留对应blob）
+  const recounted = await FileBlobModel.recountReferences();
+  console.log(`🔢 Reference counts corrected: ${recounted}`);
+};
+
+const gc = async (recount) => {
+  const result = await FileBlobModel.collectGarbage({ recount });
+  console.log('🧹 Blob garbage collection:', result);
+};
+
+const main = async () => {
+  const [command, ...flags] = process.argv.slice(2);
+
+  try {
+    if (command === 'migrate') {
+      await migrate();
+    } else if (command === 'gc') {
+      await gc(flags.includes('--recount'));
+    } else {
+      console.log('Usage: node scripts/blob-storage.js <migrate|gc> [--recount]');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Blob storage maintenance failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+};
+
+main();
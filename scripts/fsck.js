@@ -0,0 +1,80 @@
+// 存储一致性检查脚本
+//
+// 用法：
+//   node scripts/fsck.js [--repair] [--skip-hashes] [--json]
+//     --repair       修复与父节点链不一致的 path 和错误的引用计数
+//     --skip-hashes  只检查内容是否存在，不读取内容校验SHA256
+//     --json         输出完整的JSON报告
+//
+// 发现问题时退出码为1
+
+const { closePool } = require('../config/database');
+const IntegrityModel = require('../models/integrityModel');
+
+const printSection = (report, type, format) => {
+  const count = report.counts[type];
+  if (count === 0) {
+    return;
+  }
+  console.log(`\n${type} (${count}):`);
+  report[type].forEach(issue => console.log(`  - ${format(issue)}`));
+  if (count > report[type].length) {
+    console.log(`  ... ${count - report[type].length} more`);
+  }
+};
+
+const printReport = (report) => {
+  const { summary } = report;
+  console.log(`🩺 Checked ${summary.files} files, ${summary.versions} versions, ${summary.blobs} blobs in ${report.durationMs}ms`);
+
+  printSection(report, 'missingContent', issue =>
+    `${issue.table} ${issue.id || issue.hash}: ${issue.reason} (${issue.filePath || issue.storageType})`);
+  printSection(report, 'hashMismatches', issue =>
+    `${issue.table} ${issue.id || issue.hash}: expected ${issue.fileHash || issue.hash}, got ${issue.actualHash}`);
+  printSection(report, 'refCountMismatches', issue =>
+    `${issue.hash}: ref_count ${issue.refCount}, actual ${issue.actualRefs}${issue.repaired ? ' [repaired]' : ''}`);
+  printSection(report, 'orphanObjects', issue =>
+    `${issue.storageType} ${issue.key} (${issue.size} bytes)`);
+  printSection(report, 'orphanLegacyFiles', issue =>
+    `${issue.filePath} (${issue.size} bytes)`);
+  printSection(report, 'pathMismatches', issue =>
+    `${issue.id}: "${issue.path}" -> "${issue.expectedPath}"${issue.repaired ? ' [repaired]' : ''}`);
+  printSection(report, 'danglingNodes', issue =>
+    `${issue.id}: parent ${issue.parentId} missing or deleted (${issue.path})`);
+
+  report.errors.forEach(error => console.warn(`⚠️ ${error}`));
+
+  if (summary.issues === 0) {
+    console.log('✅ No issues found');
+  } else {
+    console.log(`\n❌ ${summary.issues} issues found, ${summary.repaired} repaired`);
+  }
+};
+
+const main = async () => {
+  const flags = process.argv.slice(2);
+
+  try {
+    const report = await IntegrityModel.check({
+      verifyHashes: !flags.includes('--skip-hashes'),
+      repair: flags.includes('--repair')
+    });
+
+    if (flags.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+
+    if (report.summary.issues > 0 || report.errors.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Integrity check failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+};
+
+main();
@@ -0,0 +1,4 @@
+<map version="1.0.1">
+<node ID="ID_1" TEXT="中心>
+</node>
+</map>
@@ -0,0 +1,14 @@
+<map version="1.0.1">
+<!-- To view this file, download free mind mapping software FreeMind from http://freemind.sourceforge.net -->
+<node CREATED="1700000000000" ID="ID_100" MODIFIED="1700000000000" TEXT="旅行计划">
+<node CREATED="1700000000000" ID="ID_101" POSITION="right" TEXT="交通">
+<node ID="ID_102" TEXT="机票">
+<arrowlink DESTINATION="ID_104" ENDARROW="Default" STARTARROW="None"/>
+</node>
+<node ID="ID_103" TEXT="火车"/>
+</node>
+<node ID="ID_104" POSITION="left" TEXT="住宿 &quot;市中心&quot;">
+<icon BUILTIN="idea"/>
+</node>
+</node>
+</map>
@@ -0,0 +1,13 @@
+<map version="1.0.1">
+  <node ID="ID_1" TEXT="项目计划">
+    <node ID="ID_2" TEXT="设计" POSITION="right">
+      <node ID="ID_3" TEXT="界面">
+        <arrowlink DESTINATION="ID_5" ENDARROW="Default"/>
+      </node>
+    </node>
+    <node ID="ID_4" TEXT="开发" POSITION="left">
+      <node ID="ID_5" TEXT="接口"/>
+      <node ID="ID_6" TEXT="db"/>
+    </node>
+  </node>
+</map>
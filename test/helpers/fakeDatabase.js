@@ -0,0 +1,38 @@
+const DATABASE_PATH = require.resolve('../../config/database');
+
+/**
+ * 用内存中的处理函数替换 config/database，测试模型时不需要连接MySQL
+ * 必须在加载模型之前调用。事务按顺序执行，模拟 SELECT ... FOR UPDATE 的行锁。
+ * @param {Function} handler - (sql, params) => 结果，sql中的连续空白已合并为一个空格
+ * @returns {Array<string>} 执行过的SQL，便于断言
+ */
+const installFakeDatabase = (handler) => {
+  const statements = [];
+  const query = async (sql, params = []) => {
+    const normalized = sql.replace(/\s+/g, ' ').trim();
+    statements.push(normalized);
+    return handler(normalized, params);
+  };
+
+  let lock = Promise.resolve();
+  const transaction = (callback) => {
+    const run = lock.then(() => callback({}));
+    lock = run.catch(() => {});
+    return run;
+  };
+
+  require.cache[DATABASE_PATH] = {
+    id: DATABASE_PATH,
+    filename: DATABASE_PATH,
+    loaded: true,
+    exports: {
+      pool: null,
+      query,
+      execute: (connection, sql, params) => query(sql, params),
+      transaction
+    }
+  };
+  return statements;
+};
+
+module.exports = { installFakeDatabase };
@@ -0,0 +1,26 @@
+const express = require('express');
+
+/**
+ * 启动只挂载指定路由的测试服务（随机端口），请求都以 userId 登录
+ * @param {Function} mount - (app) => void，在其中注册要测试的路由
+ * @param {string} userId - 当前用户ID
+ * @returns {Promise<{baseUrl: string, close: Function}>} 服务地址和关闭方法
+ */
+const startServer = (mount, userId = 'user-1') => new Promise((resolve) => {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use((req, res, next) => {
+    req.user = { userId };
+    next();
+  });
+  mount(app);
+
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+module.exports = { startServer };
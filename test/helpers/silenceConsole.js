@@ -0,0 +1,6 @@
+// 模型和控制器的运行日志不输出到测试结果中（设置 TEST_VERBOSE=1 时保留）
+if (!process.env.TEST_VERBOSE) {
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+}
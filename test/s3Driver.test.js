@@ -0,0 +1,96 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// 需要运行中的S3兼容服务，只在设置了 S3_INTEGRATION=1 时执行（npm run test:s3）
+// 环境变量和 .env 中都没有S3_*时使用 docker-compose.minio.yml 中MinIO的地址、密钥和存储桶
+require('dotenv').config();
+const enabled = process.env.S3_INTEGRATION === '1';
+const MINIO_DEFAULTS = {
+  S3_ENDPOINT: 'http://localhost:9000',
+  S3_BUCKET: 'notebook',
+  S3_ACCESS_KEY_ID: 'minioadmin',
+  S3_SECRET_ACCESS_KEY: 'minioadmin'
+};
+for (const [name, value] of Object.entries(MINIO_DEFAULTS)) {
+  process.env[name] = process.env[name] || value;
+}
+
+const config = require('../config/config');
+const S3Driver = require('../utils/storageDrivers/s3Driver');
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+describe('S3Driver（集成测试）', { skip: !enabled && '设置 S3_INTEGRATION=1 并启动MinIO后执行' }, () => {
+  let driver;
+  // 每次运行使用独立的前缀，键中包含需要编码的字符
+  const prefix = `integration-test/${uuidv4()}/`;
+  const key = `${prefix}目录 (1)/文件!*'.bin`;
+  const content = crypto.randomBytes(256 * 1024);
+
+  before(() => {
+    driver = new S3Driver(config.storage.s3);
+  });
+
+  after(async () => {
+    if (driver) {
+      for (const object of await driver.list(prefix)) {
+        await driver.delete(object.key);
+      }
+    }
+  });
+
+  test('写入后可以读取和获取对象信息', async () => {
+    await driver.put(key, content);
+
+    assert.deepEqual(await driver.get(key), content);
+    const info = await driver.stat(key);
+    assert.equal(info.size, content.length);
+    assert.ok(info.modifiedAt instanceof Date && !Number.isNaN(info.modifiedAt.getTime()));
+    assert.equal(driver.locate(key), `s3://${config.storage.s3.bucket}/${key}`);
+  });
+
+  test('以流的方式读取全部内容或指定范围', async () => {
+    assert.deepEqual(await readStream(await driver.stream(key)), content);
+    assert.deepEqual(await readStream(await driver.stream(key, { start: 100, end: 1123 })), content.subarray(100, 1124));
+    assert.deepEqual(await readStream(await driver.stream(key, { start: content.length - 10 })), content.subarray(-10));
+  });
+
+  test('按前缀列出对象', async () => {
+    const other = `${prefix}other.bin`;
+    await driver.put(other, Buffer.from('other'));
+
+    const objects = await driver.list(prefix);
+    assert.deepEqual(objects.map(object => object.key).sort(), [key, other].sort());
+    assert.equal(objects.find(object => object.key === key).size, content.length);
+    assert.deepEqual(await driver.list(`${prefix}missing/`), []);
+  });
+
+  test('覆盖写入后读取到新内容', async () => {
+    const replaced = Buffer.from('replaced');
+    await driver.put(key, replaced);
+    assert.deepEqual(await driver.get(key), replaced);
+    assert.equal((await driver.stat(key)).size, replaced.length);
+  });
+
+  test('删除后对象不存在，重复删除不报错', async () => {
+    await driver.delete(key);
+
+    assert.equal(await driver.stat(key), null);
+    await assert.rejects(driver.get(key), /文件内容不存在/);
+    await assert.rejects(driver.stream(key), /文件内容不存在/);
+    await driver.delete(key);
+  });
+
+  test('密钥错误时请求失败', async () => {
+    const invalid = new S3Driver({ ...config.storage.s3, secretAccessKey: 'wrong-secret' });
+    await assert.rejects(invalid.put(`${prefix}denied.bin`, Buffer.from('x')), /S3请求失败: 403 SignatureDoesNotMatch/);
+  });
+});
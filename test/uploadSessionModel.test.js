@@ -0,0 +1,203 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/silenceConsole');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+// 临时文件和上传目录都基于当前目录，切换到临时目录后再加载模型
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-sessions-'));
+process.chdir(workDir);
+
+// 内存中的 upload_sessions 表
+let sessions = new Map();
+
+installFakeDatabase((sql, params) => {
+  if (sql.startsWith('INSERT INTO upload_sessions')) {
+    const [id, user_id, parent_id, add_to_tree, file_name, mime_type, total_size, file_hash, expires_at] = params;
+    sessions.set(id, {
+      id, user_id, parent_id, add_to_tree, file_name, mime_type, total_size, file_hash, expires_at,
+      received_bytes: 0, created_at: new Date()
+    });
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('SELECT * FROM upload_sessions WHERE id = ? AND user_id = ?')) {
+    const row = sessions.get(params[0]);
+    return row && row.user_id === params[1] ? [{ ...row }] : [];
+  }
+  if (sql.startsWith('UPDATE upload_sessions SET received_bytes = ?, expires_at = ? WHERE id = ?')) {
+    Object.assign(sessions.get(params[2]), { received_bytes: params[0], expires_at: params[1] });
+    return { affectedRows: 1 };
+  }
+  if (sql === 'DELETE FROM upload_sessions WHERE id = ?') {
+    return { affectedRows: sessions.delete(params[0]) ? 1 : 0 };
+  }
+  if (sql === 'DELETE FROM upload_sessions WHERE id = ? AND user_id = ?') {
+    const row = sessions.get(params[0]);
+    return { affectedRows: row && row.user_id === params[1] && sessions.delete(params[0]) ? 1 : 0 };
+  }
+  if (sql === 'SELECT id, user_id FROM upload_sessions WHERE expires_at < ?') {
+    return [...sessions.values()].filter(row => row.expires_at < params[0]).map(({ id, user_id }) => ({ id, user_id }));
+  }
+  if (sql === 'DELETE FROM upload_sessions WHERE id = ? AND expires_at < ?') {
+    const row = sessions.get(params[0]);
+    return { affectedRows: row && row.expires_at < params[1] && sessions.delete(params[0]) ? 1 : 0 };
+  }
+  if (sql === 'SELECT id FROM upload_sessions') {
+    return [...sessions.keys()].map(id => ({ id }));
+  }
+  throw new Error(`unexpected SQL: ${sql}`);
+});
+
+const UploadSessionModel = require('../models/uploadSessionModel');
+
+const USER_ID = 'user-1';
+const CONTENT = Buffer.from('0123456789abcdefghij');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const append = (session, offset, data) => UploadSessionModel.appendChunk(USER_ID, session.id, offset, data, sha256(data));
+
+const createSession = (options = {}) => UploadSessionModel.createSession(USER_ID, {
+  fileName: 'notes.txt',
+  mimeType: 'text/plain',
+  totalSize: CONTENT.length,
+  ...options
+});
+
+const readPart = (session) => fs.readFileSync(UploadSessionModel.getPartPath(USER_ID, session.id));
+
+// 让会话过期
+const expire = (session) => {
+  sessions.get(session.id).expires_at = new Date(Date.now() - 1000);
+};
+
+beforeEach(() => {
+  sessions = new Map();
+});
+
+after(() => {
+  process.chdir(os.tmpdir());
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('按顺序上传的分片合并为完整文件并移动到上传目录', async () => {
+  const session = await createSession({ fileHash: sha256(CONTENT) });
+  await append(session, 0, CONTENT.subarray(0, 8));
+  const progress = await append(session, 8, CONTENT.subarray(8));
+  assert.equal(progress.offset, CONTENT.length);
+
+  const result = await UploadSessionModel.completeSession(USER_ID, session.id);
+  assert.equal(result.size, CONTENT.length);
+  assert.equal(result.fileHash, sha256(CONTENT));
+  assert.ok(result.filePath.startsWith(path.join(workDir, 'remote', USER_ID)));
+  assert.deepEqual(fs.readFileSync(result.filePath), CONTENT);
+  assert.equal(fs.existsSync(UploadSessionModel.getPartPath(USER_ID, session.id)), false);
+  assert.equal(sessions.has(session.id), false);
+});
+
+test('乱序的分片被拒绝，已接收的内容不变', async () => {
+  const session = await createSession();
+  await append(session, 0, CONTENT.subarray(0, 5));
+
+  await assert.rejects(append(session, 10, CONTENT.subarray(10, 15)), /分片偏移量与已接收的字节数不一致/);
+  assert.equal((await UploadSessionModel.getSession(USER_ID, session.id)).offset, 5);
+  assert.deepEqual(readPart(session), CONTENT.subarray(0, 5));
+
+  // 按查询到的偏移量继续上传即可完成
+  await append(session, 5, CONTENT.subarray(5));
+  const result = await UploadSessionModel.completeSession(USER_ID, session.id);
+  assert.deepEqual(fs.readFileSync(result.filePath), CONTENT);
+});
+
+test('重复提交已接收的分片被拒绝，不会重复写入', async () => {
+  const session = await createSession();
+  const chunk = CONTENT.subarray(0, 10);
+  await append(session, 0, chunk);
+
+  await assert.rejects(append(session, 0, chunk), /分片偏移量与已接收的字节数不一致/);
+  assert.equal(sessions.get(session.id).received_bytes, 10);
+  assert.deepEqual(readPart(session), chunk);
+});
+
+test('同一分片并发提交时只有一个被接收', async () => {
+  const session = await createSession();
+  const chunk = CONTENT.subarray(0, 10);
+
+  const results = await Promise.allSettled([append(session, 0, chunk), append(session, 0, chunk)]);
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(sessions.get(session.id).received_bytes, 10);
+  assert.deepEqual(readPart(session), chunk);
+});
+
+test('与已接收内容重叠或超出文件大小的分片被拒绝', async () => {
+  const session = await createSession();
+  await append(session, 0, CONTENT.subarray(0, 10));
+
+  await assert.rejects(append(session, 5, CONTENT.subarray(5, 15)), /分片偏移量与已接收的字节数不一致/);
+  await assert.rejects(append(session, 10, Buffer.concat([CONTENT.subarray(10), Buffer.from('!')])), /分片超出文件大小/);
+  assert.equal(sessions.get(session.id).received_bytes, 10);
+  assert.deepEqual(readPart(session), CONTENT.subarray(0, 10));
+});
+
+test('校验值不匹配的分片被拒绝', async () => {
+  const session = await createSession();
+  await assert.rejects(
+    UploadSessionModel.appendChunk(USER_ID, session.id, 0, CONTENT.subarray(0, 5), sha256(Buffer.from('other'))),
+    /分片校验失败/
+  );
+  assert.equal(sessions.get(session.id).received_bytes, 0);
+});
+
+test('上次中断时写入了一半的内容在续传时被截掉', async () => {
+  const session = await createSession();
+  await append(session, 0, CONTENT.subarray(0, 5));
+  fs.appendFileSync(UploadSessionModel.getPartPath(USER_ID, session.id), Buffer.from('garbage'));
+
+  await append(session, 5, CONTENT.subarray(5));
+  assert.deepEqual(readPart(session), CONTENT);
+});
+
+test('分片未全部接收或文件哈希不一致时不能完成', async () => {
+  const session = await createSession({ fileHash: sha256(Buffer.from('other')) });
+  await append(session, 0, CONTENT.subarray(0, 10));
+  await assert.rejects(UploadSessionModel.completeSession(USER_ID, session.id), /上传尚未完成/);
+
+  await append(session, 10, CONTENT.subarray(10));
+  await assert.rejects(UploadSessionModel.completeSession(USER_ID, session.id), /文件校验失败/);
+  assert.equal(sessions.has(session.id), true);
+});
+
+test('过期的会话不能查询、追加分片或完成', async () => {
+  const session = await createSession();
+  await append(session, 0, CONTENT);
+  expire(session);
+
+  await assert.rejects(UploadSessionModel.getSession(USER_ID, session.id), /上传会话已过期/);
+  await assert.rejects(append(session, CONTENT.length, Buffer.from('x')), /上传会话已过期/);
+  await assert.rejects(UploadSessionModel.completeSession(USER_ID, session.id), /上传会话已过期/);
+});
+
+test('清理过期会话时删除记录和临时文件，未过期的会话保留', async () => {
+  const expired = await createSession();
+  await append(expired, 0, CONTENT.subarray(0, 10));
+  expire(expired);
+  const active = await createSession();
+  await append(active, 0, CONTENT.subarray(0, 4));
+
+  const result = await UploadSessionModel.cleanupExpiredSessions();
+  assert.deepEqual(result, { removedSessions: 1, freedBytes: 10 });
+  assert.equal(sessions.has(expired.id), false);
+  assert.equal(fs.existsSync(UploadSessionModel.getPartPath(USER_ID, expired.id)), false);
+  assert.equal(sessions.has(active.id), true);
+  assert.deepEqual(readPart(active), CONTENT.subarray(0, 4));
+});
+
+test('其他用户不能访问会话', async () => {
+  const session = await createSession();
+  await assert.rejects(UploadSessionModel.getSession('user-2', session.id), /上传会话不存在/);
+  await assert.rejects(UploadSessionModel.abortSession('user-2', session.id), /上传会话不存在/);
+  assert.deepEqual(await UploadSessionModel.abortSession(USER_ID, session.id), { id: session.id, freedBytes: 0 });
+});
@@ -0,0 +1,191 @@
+const { test, describe, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+require('./helpers/silenceConsole');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+const { startServer } = require('./helpers/server');
+
+installFakeDatabase((sql) => {
+  throw new Error(`unexpected SQL: ${sql}`);
+});
+
+const { exportWorkflow, buildTree } = require('../utils/workflowExport');
+const WorkflowModel = require('../models/workflowModel');
+const FileSystemController = require('../controllers/fileSystemController');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'workflows');
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const loadWorkflow = (name) => JSON.parse(readFixture(name));
+
+const TITLE = '计划 & <总结>';
+const XML_FORMATS = ['opml', 'freemind', 'graphml'];
+
+const parseXml = (content) => new XMLParser({
+  ignoreAttributes: false,
+  htmlEntities: true,
+  isArray: (name) => ['outline', 'node', 'edge', 'data'].includes(name)
+}).parse(content);
+
+describe('exportWorkflow', () => {
+  test('嵌套的脑图导出结果与样例文件一致', () => {
+    const workflow = loadWorkflow('nested.json');
+    for (const [format, fixture] of [
+      ['mermaid', 'nested.mmd'],
+      ['opml', 'nested.opml'],
+      ['freemind', 'nested.mm'],
+      ['graphml', 'nested.graphml']
+    ]) {
+      assert.equal(exportWorkflow(workflow, format, TITLE).content, readFixture(fixture), format);
+    }
+  });
+
+  test('返回扩展名和内容类型', () => {
+    const result = exportWorkflow(loadWorkflow('nested.json'), 'freemind', TITLE);
+    assert.equal(result.extension, '.mm');
+    assert.match(result.contentType, /^application\/x-freemind/);
+  });
+
+  test('XML格式中的特殊字符被转义，解析后还原为原文字', () => {
+    const workflow = loadWorkflow('escaping.json');
+    // XML 1.0 不允许的控制字符被去掉
+    const label = workflow.nodes[0].data.label.replace('\u0007', '');
+
+    for (const format of XML_FORMATS) {
+      const { content } = exportWorkflow(workflow, format, TITLE);
+      assert.equal(XMLValidator.validate(content), true, format);
+    }
+
+    const opml = parseXml(exportWorkflow(workflow, 'opml', TITLE).content).opml;
+    assert.equal(opml.head.title, TITLE);
+    assert.equal(opml.body.outline[0]['@_text'], label);
+    assert.equal(opml.body.outline[0]['@_id'], 'a&b');
+    assert.equal(opml.body.outline[0].outline[0]['@_text'], 'a --> b | c');
+
+    const map = parseXml(exportWorkflow(workflow, 'freemind', TITLE).content).map;
+    assert.equal(map.node[0]['@_TEXT'], label);
+
+    const graph = parseXml(exportWorkflow(workflow, 'graphml', TITLE).content).graphml.graph;
+    assert.equal(graph['@_id'], TITLE);
+    assert.equal(graph.node[0]['@_id'], 'a&b');
+    assert.equal(graph.node[0].data[0]['#text'], label);
+    assert.equal(graph.edge[0]['@_id'], 'e<1>');
+    assert.equal(graph.edge[0].data[0]['#text'], 'say "hi"');
+  });
+
+  test('Mermaid标签中的引号、尖括号和#写成实体编码，换行写成<br/>', () => {
+    const workflow = {
+      nodes: [
+        { id: 'a', data: { label: '<b>"R&D"</b>\r\n#1\u0007' } },
+        { id: 'b', data: { label: 'a --> b' } }
+      ],
+      edges: [{ id: 'e', source: 'a', target: 'b', label: 'say "hi"' }]
+    };
+
+    assert.equal(exportWorkflow(workflow, 'mermaid', TITLE).content, [
+      'flowchart LR',
+      '  n0["#lt;b#gt;#quot;R&D#quot;#lt;/b#gt;<br/>#35;1"]',
+      '  n1["a --#gt; b"]',
+      '  n0 -->|"say #quot;hi#quot;"| n1',
+      ''
+    ].join('\n'));
+  });
+
+  test('空脑图导出为没有节点的有效文档', () => {
+    const empty = { nodes: [], edges: [] };
+
+    assert.equal(exportWorkflow(empty, 'mermaid', TITLE).content, 'flowchart LR\n');
+    for (const format of XML_FORMATS) {
+      assert.equal(XMLValidator.validate(exportWorkflow(empty, format, TITLE).content), true, format);
+    }
+
+    const opml = parseXml(exportWorkflow(empty, 'opml', TITLE).content).opml;
+    assert.equal(opml.body, '');
+    // FreeMind必须有一个中心节点，使用标题
+    const map = parseXml(exportWorkflow(empty, 'freemind', TITLE).content).map;
+    assert.equal(map.node.length, 1);
+    assert.equal(map.node[0]['@_TEXT'], TITLE);
+  });
+
+  test('有多个根时FreeMind以标题作为中心节点，子节点分布在两侧', () => {
+    const workflow = {
+      nodes: [
+        { id: 'a', position: { x: 0, y: 0 }, data: { label: 'A' } },
+        { id: 'b', position: { x: 0, y: 100 }, data: { label: 'B' } }
+      ],
+      edges: []
+    };
+    const map = parseXml(exportWorkflow(workflow, 'freemind', TITLE).content).map;
+    assert.equal(map.node[0]['@_TEXT'], TITLE);
+    assert.deepEqual(map.node[0].node.map(node => [node['@_TEXT'], node['@_POSITION']]), [['A', 'right'], ['B', 'left']]);
+  });
+
+  test('不支持的格式抛出错误', () => {
+    assert.throws(() => exportWorkflow(loadWorkflow('nested.json'), 'pdf', TITLE), /不支持的导出格式/);
+  });
+});
+
+describe('buildTree', () => {
+  test('每个节点只挂在一个父节点下，其余连线作为非树连线', () => {
+    const { roots, links } = buildTree(loadWorkflow('nested.json'));
+    assert.equal(roots.length, 1);
+    assert.equal(roots[0].node.id, 'root');
+    assert.deepEqual(links.map(link => link.edge.id), ['e-ui-api']);
+  });
+
+  test('全部在环上时出边最多的节点作为根，回边作为非树连线', () => {
+    const node = (id, y) => ({ id, position: { x: 0, y }, data: {} });
+    const { roots, links } = buildTree({
+      nodes: [node('a', 0), node('b', 100), node('c', 200)],
+      edges: [
+        { id: 'ab', source: 'a', target: 'b' },
+        { id: 'bc', source: 'b', target: 'c' },
+        { id: 'ba', source: 'b', target: 'a' },
+        { id: 'ca', source: 'c', target: 'a' }
+      ]
+    });
+
+    assert.equal(roots.length, 1);
+    assert.equal(roots[0].node.id, 'b');
+    assert.deepEqual(roots[0].children.map(child => child.node.id), ['a', 'c']);
+    assert.deepEqual(links.map(link => link.edge.id).sort(), ['ab', 'ca']);
+  });
+});
+
+describe('GET /workflow/:dirId/export', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer((app) => {
+      app.get('/workflow/:dirId/export', FileSystemController.exportWorkflow);
+    });
+  });
+
+  after(() => server.close());
+
+  afterEach(() => mock.restoreAll());
+
+  test('返回导出的文件', async () => {
+    mock.method(WorkflowModel, 'exportWorkflow', async () => ({
+      content: readFixture('nested.opml'),
+      contentType: 'text/x-opml; charset=utf-8',
+      fileName: '计划.opml'
+    }));
+
+    const response = await fetch(`${server.baseUrl}/workflow/folder-1/export?format=OPML`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /filename\*=UTF-8''%E8%AE%A1%E5%88%92\.opml/);
+    assert.equal(await response.text(), readFixture('nested.opml'));
+  });
+
+  test('不支持的格式返回400', async () => {
+    const exportMock = mock.method(WorkflowModel, 'exportWorkflow', async () => {
+      throw new Error('should not export');
+    });
+
+    const response = await fetch(`${server.baseUrl}/workflow/folder-1/export?format=pdf`);
+    assert.equal(response.status, 400);
+    assert.equal(exportMock.mock.callCount(), 0);
+  });
+});
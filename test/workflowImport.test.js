@@ -0,0 +1,280 @@
+const { test, describe, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+require('./helpers/silenceConsole');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+const { startServer } = require('./helpers/server');
+
+installFakeDatabase((sql) => {
+  throw new Error(`unexpected SQL: ${sql}`);
+});
+
+const { detectImportFormat, parseWorkflowFile, mergeWorkflows } = require('../utils/workflowImport');
+const { exportWorkflow, buildTree, getNodeLabel } = require('../utils/workflowExport');
+const { validateWorkflow } = require('../utils/workflowValidator');
+const WorkflowModel = require('../models/workflowModel');
+const FileSystemController = require('../controllers/fileSystemController');
+
+const IMPORTS = path.join(__dirname, 'fixtures', 'imports');
+const readImport = (name) => fs.readFileSync(path.join(IMPORTS, name));
+const loadWorkflow = (name) => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'workflows', name), 'utf8'));
+
+// 把脑图还原为便于比较的大纲：有子节点的写成 { 文字: [子节点] }，非树连线写成 [起点文字, 终点文字]
+const toOutline = (workflow) => {
+  const { roots, links } = buildTree(workflow);
+  const nodeById = new Map(workflow.nodes.map(node => [node.id, node]));
+  const convert = ({ node, children }) => (children.length > 0
+    ? { [getNodeLabel(node)]: children.map(convert) }
+    : getNodeLabel(node));
+  return {
+    tree: roots.map(convert),
+    links: links.map(link => [getNodeLabel(nodeById.get(link.source)), getNodeLabel(nodeById.get(link.target))])
+  };
+};
+
+describe('parseWorkflowFile', () => {
+  test('OPML：按嵌套导入，实体和换行被还原，没有text时使用title', () => {
+    assert.deepEqual(toOutline(parseWorkflowFile(readImport('nested.opml'), 'opml')), {
+      tree: [
+        { 读书笔记: [{ '第一章 & 序言': [{ '<重点>': ['第一行\n第二行'] }] }, '第二章'] },
+        '待办'
+      ],
+      links: []
+    });
+  });
+
+  test('FreeMind：按嵌套导入，arrowlink还原为连线', () => {
+    assert.deepEqual(toOutline(parseWorkflowFile(readImport('nested.mm'), 'freemind')), {
+      tree: [{ 旅行计划: [{ 交通: ['机票', '火车'] }, '住宿 "市中心"'] }],
+      links: [['机票', '住宿 "市中心"']]
+    });
+  });
+
+  test('XMind：.xmind文件和content.json导入结果相同，每个画布一个根，联系还原为连线', () => {
+    const expected = {
+      tree: [{ 产品发布: [{ 市场: ['广告'] }, '研发', '想法'] }, '复盘'],
+      links: [['广告', '研发']]
+    };
+    assert.deepEqual(toOutline(parseWorkflowFile(readImport('nested.xmind'), 'xmind')), expected);
+    assert.deepEqual(toOutline(parseWorkflowFile(readImport('content.json'), 'xmind')), expected);
+  });
+
+  test('Markdown：标题按级别嵌套，列表按缩进嵌套，忽略段落和代码块', () => {
+    assert.deepEqual(toOutline(parseWorkflowFile(readImport('outline.md'), 'markdown')), {
+      tree: [{ 周报: [{ 本周完成: [{ 登录页面: ['表单校验'] }, '修复 上传问题'] }, { 下周计划: ['性能优化'] }] }],
+      links: []
+    });
+  });
+
+  test('生成新的节点ID并按层级自动布局，结果可以通过校验', () => {
+    const workflow = parseWorkflowFile(readImport('nested.opml'), 'opml');
+    assert.deepEqual(validateWorkflow(workflow), []);
+    assert.equal(new Set(workflow.nodes.map(node => node.id)).size, workflow.nodes.length);
+
+    const byLabel = new Map(workflow.nodes.map(node => [node.data.label, node]));
+    assert.equal(byLabel.get('读书笔记').position.x, 0);
+    assert.equal(byLabel.get('第一章 & 序言').position.x, 240);
+    assert.equal(byLabel.get('第一行\n第二行').position.x, 720);
+    // 父节点位于子节点的垂直中间
+    assert.equal(
+      byLabel.get('读书笔记').position.y,
+      (byLabel.get('第一章 & 序言').position.y + byLabel.get('第二章').position.y) / 2
+    );
+  });
+
+  test('没有可导入内容的大纲被拒绝', () => {
+    assert.throws(() => parseWorkflowFile(readImport('empty.opml'), 'opml'), /文件格式不正确: 没有找到可导入的节点/);
+    assert.throws(() => parseWorkflowFile(readImport('empty.md'), 'markdown'), /文件格式不正确: 没有找到标题或列表项/);
+    assert.throws(() => parseWorkflowFile(Buffer.from('<map version="1.0.1"></map>'), 'freemind'), /没有找到可导入的节点/);
+  });
+
+  test('格式不正确的文件抛出“文件格式不正确”错误', () => {
+    const cases = [
+      ['malformed.opml', 'opml', /第6行/],
+      ['malformed.mm', 'freemind', /第2行/],
+      ['entities.opml', 'opml', /实体声明/],
+      ['corrupt.xmind', 'xmind', /不是有效的XMind文件/],
+      ['legacy.xmind', 'xmind', /缺少content\.json/],
+      ['nested.mm', 'opml', /缺少opml\/body/],
+      ['nested.opml', 'freemind', /缺少map根元素/],
+      ['outline.md', 'xmind', /不是有效的JSON/]
+    ];
+    for (const [fixture, format, message] of cases) {
+      assert.throws(() => parseWorkflowFile(readImport(fixture), format), (error) => {
+        assert.match(error.message, /^文件格式不正确: /, fixture);
+        assert.match(error.message, message, fixture);
+        return true;
+      });
+    }
+  });
+
+  test('XMind主题、子主题或联系的结构不正确时抛出“文件格式不正确”错误', () => {
+    const cases = [
+      [{ rootTopic: { title: 'A', children: { attached: 5 } } }],
+      [{ rootTopic: { title: 'A', children: { attached: [null] } } }],
+      [{ rootTopic: { title: 'A', children: { detached: {} } } }],
+      [{ rootTopic: { title: 'A', children: 'B' } }],
+      [{ rootTopic: 'A' }],
+      [{ rootTopic: { title: 'A' }, relationships: { end1Id: 'a' } }],
+      [{ rootTopic: { title: 'A' }, relationships: [null] }]
+    ];
+    for (const sheets of cases) {
+      assert.throws(
+        () => parseWorkflowFile(Buffer.from(JSON.stringify(sheets)), 'xmind'),
+        /^Error: 文件格式不正确: XMind/,
+        JSON.stringify(sheets)
+      );
+    }
+  });
+
+  test('XMind的content.json按实际解压出的大小限制，不信任声明的大小', () => {
+    const zip = new AdmZip();
+    zip.addFile('content.json', Buffer.alloc(21 * 1024 * 1024, ' '));
+    const content = zip.toBuffer();
+    // 把中央目录中声明的解压后大小改为1字节
+    content.writeUInt32LE(1, content.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+
+    assert.throws(() => parseWorkflowFile(content, 'xmind'), /文件格式不正确: content\.json过大/);
+  });
+
+  test('不支持的格式抛出错误', () => {
+    assert.throws(() => parseWorkflowFile(readImport('nested.opml'), 'docx'), /不支持的导入格式/);
+  });
+});
+
+describe('导出后再导入', () => {
+  for (const format of ['opml', 'freemind']) {
+    test(`${format}：节点文字、层级和非树连线保持不变`, () => {
+      const original = loadWorkflow('nested.json');
+      const { content } = exportWorkflow(original, format, '项目');
+      const imported = parseWorkflowFile(Buffer.from(content), format);
+
+      assert.deepEqual(toOutline(imported), toOutline(original));
+      assert.equal(imported.nodes.length, original.nodes.length);
+      assert.equal(imported.edges.length, original.edges.length);
+    });
+  }
+
+  test('特殊字符经过导出和导入后不变', () => {
+    const original = loadWorkflow('escaping.json');
+    const imported = parseWorkflowFile(Buffer.from(exportWorkflow(original, 'opml', '项目').content), 'opml');
+    assert.deepEqual(
+      imported.nodes.map(node => node.data.label).sort(),
+      [original.nodes[0].data.label.replace('\u0007', ''), original.nodes[1].data.label].sort()
+    );
+  });
+});
+
+describe('detectImportFormat', () => {
+  test('按扩展名判断格式，不区分大小写', () => {
+    assert.equal(detectImportFormat('plan.OPML'), 'opml');
+    assert.equal(detectImportFormat('plan.mm'), 'freemind');
+    assert.equal(detectImportFormat('plan.xmind'), 'xmind');
+    assert.equal(detectImportFormat('notes.markdown'), 'markdown');
+    assert.equal(detectImportFormat('plan.pdf'), null);
+    assert.equal(detectImportFormat(undefined), null);
+  });
+});
+
+describe('mergeWorkflows', () => {
+  test('导入的部分整体移动到已有节点的下方，已有节点不变', () => {
+    const current = {
+      nodes: [
+        { id: 'a', position: { x: 100, y: 0 }, data: { label: 'A' } },
+        { id: 'b', position: { x: 300, y: 400 }, data: { label: 'B' } }
+      ],
+      edges: [{ id: 'ab', source: 'a', target: 'b' }]
+    };
+    const imported = parseWorkflowFile(readImport('nested.mm'), 'freemind');
+    const merged = mergeWorkflows(current, imported);
+
+    assert.deepEqual(merged.nodes.slice(0, 2), current.nodes);
+    assert.equal(merged.nodes.length, current.nodes.length + imported.nodes.length);
+    assert.equal(merged.edges.length, current.edges.length + imported.edges.length);
+    const shifted = merged.nodes.slice(2);
+    assert.equal(Math.min(...shifted.map(node => node.position.y)), 560);
+    assert.equal(Math.min(...shifted.map(node => node.position.x)), 100);
+    assert.deepEqual(validateWorkflow(merged), []);
+  });
+
+  test('已有脑图为空时直接使用导入的内容', () => {
+    const imported = parseWorkflowFile(readImport('nested.opml'), 'opml');
+    assert.deepEqual(mergeWorkflows({ nodes: [], edges: [] }, imported), imported);
+  });
+});
+
+describe('POST /workflow/:dirId/import', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer((app) => {
+      app.post('/workflow/:dirId/import', FileSystemController.importWorkflow);
+    });
+  });
+
+  after(() => server.close());
+
+  afterEach(() => mock.restoreAll());
+
+  const importFile = async (fixture, fields = {}) => {
+    const form = new FormData();
+    form.append('file', new Blob([readImport(fixture)]), fixture);
+    for (const [name, value] of Object.entries(fields)) {
+      form.append(name, value);
+    }
+    const response = await fetch(`${server.baseUrl}/workflow/folder-1/import`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const mockModel = (current = { nodes: [], edges: [], revision: 2 }) => {
+    mock.method(WorkflowModel, 'getWorkflow', async () => current);
+    return mock.method(WorkflowModel, 'saveWorkflow', async () => ({ revision: current.revision + 1 }));
+  };
+
+  test('导入后替换已有脑图，保存时要求版本未变', async () => {
+    const save = mockModel();
+
+    const { status, body } = await importFile('nested.xmind');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.importedNodes, 6);
+    assert.equal(body.data.importedEdges, 5);
+    const [, dirId, workflow, options] = save.mock.calls[0].arguments;
+    assert.equal(dirId, 'folder-1');
+    assert.equal(workflow.nodes.length, 6);
+    assert.deepEqual(options, { expectedRevision: 2 });
+  });
+
+  test('合并方式保留已有节点，可以用format指定格式', async () => {
+    const current = { nodes: [{ id: 'a', position: { x: 0, y: 0 }, data: { label: 'A' } }], edges: [], revision: 5 };
+    const save = mockModel(current);
+
+    const { status } = await importFile('outline.md', { mode: 'merge', format: 'markdown' });
+
+    assert.equal(status, 200);
+    const workflow = save.mock.calls[0].arguments[2];
+    assert.equal(workflow.nodes[0].id, 'a');
+    assert.equal(workflow.nodes.length, 8);
+  });
+
+  test('格式不正确的XML和ZIP返回400，不保存', async () => {
+    const save = mockModel();
+
+    for (const fixture of ['malformed.opml', 'malformed.mm', 'entities.opml', 'corrupt.xmind', 'legacy.xmind', 'empty.opml', 'empty.md']) {
+      const { status, body } = await importFile(fixture);
+      assert.equal(status, 400, fixture);
+      assert.match(body.message, /^文件格式不正确/, fixture);
+    }
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  test('无法识别的格式或导入方式返回400', async () => {
+    const save = mockModel();
+
+    assert.equal((await importFile('content.json', { format: 'docx' })).status, 400);
+    assert.equal((await importFile('nested.opml', { mode: 'append' })).status, 400);
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,196 @@
+const { test, describe, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/silenceConsole');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+const { startServer } = require('./helpers/server');
+
+// 控制器测试中模型方法都被替换，不应访问数据库
+installFakeDatabase((sql) => {
+  throw new Error(`unexpected SQL: ${sql}`);
+});
+
+const { applyOperations, MAX_OPERATIONS } = require('../utils/workflowPatch');
+const WorkflowModel = require('../models/workflowModel');
+const FileSystemController = require('../controllers/fileSystemController');
+
+const node = (id, x = 0, y = 0) => ({ id, position: { x, y }, data: { label: id } });
+const edge = (id, source, target) => ({ id, source, target });
+
+const createWorkflow = () => ({
+  nodes: [node('a'), node('b', 200, 0), node('c', 200, 100)],
+  edges: [edge('e1', 'a', 'b'), edge('e2', 'a', 'c'), edge('e3', 'b', 'c')]
+});
+
+describe('applyOperations', () => {
+  test('新增、修改、删除节点和连线', () => {
+    const { workflow, errors } = applyOperations(createWorkflow(), [
+      { op: 'addNode', node: node('d', 400, 0) },
+      { op: 'addEdge', edge: edge('e4', 'c', 'd') },
+      { op: 'updateNode', id: 'b', changes: { position: { x: 250, y: 50 }, data: { label: 'B' } } },
+      { op: 'removeEdge', id: 'e3' }
+    ]);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(workflow.nodes.map(item => item.id), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(workflow.nodes[1], { id: 'b', position: { x: 250, y: 50 }, data: { label: 'B' } });
+    assert.deepEqual(workflow.edges.map(item => item.id), ['e1', 'e2', 'e4']);
+  });
+
+  test('按顺序应用，后面的操作可以引用前面新增的节点', () => {
+    const { workflow, errors } = applyOperations(createWorkflow(), [
+      { op: 'addNode', node: node('d') },
+      { op: 'updateNode', id: 'd', changes: { data: { label: 'D' } } },
+      { op: 'removeNode', id: 'd' }
+    ]);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(workflow, createWorkflow());
+  });
+
+  test('删除节点时同时删除连接它的连线，不留下悬空连线', () => {
+    const { workflow, errors } = applyOperations(createWorkflow(), [{ op: 'removeNode', id: 'b' }]);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(workflow.nodes.map(item => item.id), ['a', 'c']);
+    assert.deepEqual(workflow.edges, [edge('e2', 'a', 'c')]);
+  });
+
+  test('不修改传入的数据', () => {
+    const original = createWorkflow();
+    applyOperations(original, [
+      { op: 'removeNode', id: 'a' },
+      { op: 'updateNode', id: 'b', changes: { data: { label: 'B' } } }
+    ]);
+    assert.deepEqual(original, createWorkflow());
+  });
+
+  test('任何一个操作失败时不返回结果，并指出失败的操作', () => {
+    const cases = [
+      [{ op: 'addNode', node: node('a') }, 'operations[0].node.id', /节点已存在/],
+      [{ op: 'addNode', node: 'a' }, 'operations[0].node', /node必须是对象/],
+      [{ op: 'updateNode', id: 'x', changes: {} }, 'operations[0].id', /节点不存在/],
+      [{ op: 'updateNode', id: 'a', changes: { id: 'z' } }, 'operations[0].changes.id', /不能修改节点ID/],
+      [{ op: 'updateNode', id: 'a', changes: null }, 'operations[0].changes', /changes必须是对象/],
+      [{ op: 'removeNode', id: 'x' }, 'operations[0].id', /节点不存在/],
+      [{ op: 'addEdge', edge: edge('e1', 'a', 'c') }, 'operations[0].edge.id', /连线已存在/],
+      [{ op: 'removeEdge', id: 'x' }, 'operations[0].id', /连线不存在/],
+      [{ op: 'rename' }, 'operations[0].op', /op必须是/]
+    ];
+
+    for (const [operation, field, message] of cases) {
+      const { workflow, errors } = applyOperations(createWorkflow(), [operation]);
+      assert.equal(workflow, null);
+      assert.equal(errors.length, 1);
+      assert.equal(errors[0].field, field);
+      assert.match(errors[0].message, message);
+    }
+  });
+
+  test('节点被前面的操作删除后，再删除它的连线会失败', () => {
+    const { workflow, errors } = applyOperations(createWorkflow(), [
+      { op: 'removeNode', id: 'a' },
+      { op: 'removeEdge', id: 'e1' }
+    ]);
+    assert.equal(workflow, null);
+    assert.equal(errors[0].field, 'operations[1].id');
+  });
+
+  test('悬空连线由之后的校验发现', () => {
+    const { workflow, errors } = applyOperations(createWorkflow(), [{ op: 'addEdge', edge: edge('e4', 'a', 'missing') }]);
+    assert.deepEqual(errors, []);
+    assert.equal(workflow.edges.length, 4);
+  });
+
+  test('操作列表为空或超过上限时拒绝', () => {
+    assert.equal(applyOperations(createWorkflow(), []).errors[0].field, 'operations');
+    assert.equal(applyOperations(createWorkflow(), null).errors[0].field, 'operations');
+    const tooMany = Array.from({ length: MAX_OPERATIONS + 1 }, () => ({ op: 'removeEdge', id: 'e1' }));
+    assert.match(applyOperations(createWorkflow(), tooMany).errors[0].message, /单次最多提交/);
+  });
+});
+
+describe('PATCH /workflow/:dirId', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer((app) => {
+      app.patch('/workflow/:dirId', FileSystemController.patchWorkflow);
+    });
+  });
+
+  after(() => server.close());
+
+  afterEach(() => mock.restoreAll());
+
+  const patch = async (body) => {
+    const response = await fetch(`${server.baseUrl}/workflow/folder-1`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('基于当前版本的操作应用后保存，并要求保存时版本未变', async () => {
+    mock.method(WorkflowModel, 'getWorkflow', async () => ({ ...createWorkflow(), revision: 3 }));
+    const save = mock.method(WorkflowModel, 'saveWorkflow', async () => ({ revision: 4, nodeCount: 2, edgeCount: 1 }));
+
+    const { status, body } = await patch({ baseRevision: 3, operations: [{ op: 'removeNode', id: 'b' }] });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.revision, 4);
+    const [userId, dirId, workflow, options] = save.mock.calls[0].arguments;
+    assert.equal(userId, 'user-1');
+    assert.equal(dirId, 'folder-1');
+    assert.deepEqual(workflow.edges, [edge('e2', 'a', 'c')]);
+    assert.deepEqual(options, { expectedRevision: 3 });
+  });
+
+  test('baseRevision落后于当前版本时返回409和最新数据，不保存', async () => {
+    mock.method(WorkflowModel, 'getWorkflow', async () => ({ ...createWorkflow(), revision: 5 }));
+    const save = mock.method(WorkflowModel, 'saveWorkflow', async () => {
+      throw new Error('should not save');
+    });
+
+    const { status, body } = await patch({ baseRevision: 4, operations: [{ op: 'removeNode', id: 'b' }] });
+
+    assert.equal(status, 409);
+    assert.equal(body.meta.code, 'WORKFLOW_CONFLICT');
+    assert.equal(body.data.revision, 5);
+    assert.equal(body.data.nodes.length, 3);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  test('读取后被其他请求保存时，保存阶段的冲突也返回409', async () => {
+    let revision = 3;
+    mock.method(WorkflowModel, 'getWorkflow', async () => ({ ...createWorkflow(), revision }));
+    mock.method(WorkflowModel, 'saveWorkflow', async () => {
+      revision = 4;
+      throw new Error('脑图已被修改，请获取最新版本后重试');
+    });
+
+    const { status, body } = await patch({ baseRevision: 3, operations: [{ op: 'removeEdge', id: 'e3' }] });
+
+    assert.equal(status, 409);
+    assert.equal(body.meta.code, 'WORKFLOW_CONFLICT');
+    assert.equal(body.data.revision, 4);
+  });
+
+  test('操作失败或结果不合法时返回400', async () => {
+    mock.method(WorkflowModel, 'getWorkflow', async () => ({ ...createWorkflow(), revision: 3 }));
+    const save = mock.method(WorkflowModel, 'saveWorkflow', async () => ({ revision: 4 }));
+
+    const invalidOperation = await patch({ baseRevision: 3, operations: [{ op: 'removeNode', id: 'x' }] });
+    assert.equal(invalidOperation.status, 400);
+    assert.equal(invalidOperation.body.meta.error.code, 'INVALID_WORKFLOW_OPERATION');
+
+    const danglingEdge = await patch({ baseRevision: 3, operations: [{ op: 'addEdge', edge: edge('e4', 'a', 'missing') }] });
+    assert.equal(danglingEdge.status, 400);
+    assert.equal(danglingEdge.body.meta.error.code, 'INVALID_WORKFLOW');
+
+    const missingRevision = await patch({ operations: [{ op: 'removeEdge', id: 'e3' }] });
+    assert.equal(missingRevision.status, 400);
+
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,181 @@
+// 导入上传的ZIP压缩包或文件目录，整理为待导入的条目列表
+
+const AdmZip = require('adm-zip');
+const { validateWorkflow } = require('./workflowValidator');
+const { readZipEntry } = require('./zipUtils');
+
+// 单次导入的限制，防止压缩炸弹（按解压后的实际大小计算）
+const MAX_IMPORT_ENTRIES = 5000;
+const MAX_IMPORT_TOTAL_SIZE = 200 * 1024 * 1024; // 200MB
+const MAX_MANIFEST_SIZE = 20 * 1024 * 1024; // 20MB
+
+// 操作系统自动生成、导入时直接忽略的文件
+const IGNORED_SEGMENTS = ['__MACOSX', '.DS_Store', 'Thumbs.db'];
+
+/**
+ * 规范化条目路径
+ * @param {string} rawPath - 原始路径
+ * @returns {{segments: Array<string>}|{error: string}} 路径片段或错误信息
+ */
+const normalizeEntryPath = (rawPath) => {
+  const segments = rawPath
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment !== '' && segment !== '.');
+
+  if (segments.includes('..')) {
+    return { error: '路径不能包含 ..' };
+  }
+  if (segments.length === 0) {
+    return { error: '路径为空' };
+  }
+  return { segments };
+};
+
+const isIgnored = (segments) => segments.some(segment => IGNORED_SEGMENTS.includes(segment));
+
+/**
+ * 解析导出时生成的manifest.json，提取各文件夹的脑图数据
+ * @param {Buffer} data - 清单内容
+ * @returns {Object|null} 按相对路径索引的脑图数据，不是导出清单时返回null
+ */
+const parseExportManifest = (data) => {
+  let manifest;
+  try {
+    manifest = JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!manifest || manifest.version !== 1 || !Array.isArray(manifest.nodes)) {
+    return null;
+  }
+
+  const workflows = {};
+  for (const node of manifest.nodes) {
+    if (node.type === 'folder' && node.workflow && typeof node.path === 'string') {
+      const normalized = normalizeEntryPath(node.path);
+      if (!normalized.segments) {
+        continue;
+      }
+      // 清单中损坏的脑图不导入，文件夹本身照常导入
+      const errors = validateWorkflow(node.workflow);
+      if (errors.length > 0) {
+        console.warn('⚠️ Warning: Skipping invalid workflow in manifest:', node.path, errors[0]);
+        continue;
+      }
+      workflows[normalized.segments.join('/')] = node.workflow;
+    }
+  }
+  return workflows;
+};
+
+const isZipFile = (file, fileName) => {
+  return fileName.toLowerCase().endsWith('.zip') ||
+    ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype);
+};
+
+/**
+ * 将上传的文件整理为导入条目
+ * @param {Array<Object>} files - multer内存存储的上传文件
+ * @param {Array<string>} paths - 与files一一对应的相对路径（目录上传时使用），可为空
+ * @returns {{entries: Array<Object>, rejected: Array<Object>, workflows: Object}}
+ *   entries: [{ path, segments, type: 'file'|'folder', data }]
+ *   rejected: [{ path, status: 'rejected', reason }]
+ *   workflows: 压缩包为本系统导出时，按相对路径索引的文件夹脑图数据
+ */
+const collectImportEntries = (files, paths = []) => {
+  const entries = [];
+  const rejected = [];
+  let workflows = {};
+  let totalSize = 0;
+
+  // readData(maxSize)返回文件内容，压缩包条目解压超过maxSize时抛出错误
+  const addEntry = (rawPath, type, readData) => {
+    const normalized = normalizeEntryPath(rawPath);
+    if (normalized.error) {
+      rejected.push({ path: rawPath, status: 'rejected', reason: normalized.error });
+      return;
+    }
+    if (isIgnored(normalized.segments)) {
+      return;
+    }
+    if (entries.length >= MAX_IMPORT_ENTRIES) {
+      rejected.push({ path: rawPath, status: 'rejected', reason: `单次最多导入${MAX_IMPORT_ENTRIES}个条目` });
+      return;
+    }
+
+    let data = null;
+    if (type === 'file') {
+      const remaining = MAX_IMPORT_TOTAL_SIZE - totalSize;
+      try {
+        data = readData(remaining);
+      } catch (error) {
+        const reason = error.message.includes('超过大小限制')
+          ? '导入内容总大小超过限制(200MB)'
+          : `无法解压: ${error.message}`;
+        rejected.push({ path: rawPath, status: 'rejected', reason });
+        return;
+      }
+      if (data.length > remaining) {
+        rejected.push({ path: rawPath, status: 'rejected', reason: '导入内容总大小超过限制(200MB)' });
+        return;
+      }
+      totalSize += data.length;
+    }
+
+    entries.push({
+      path: normalized.segments.join('/'),
+      segments: normalized.segments,
+      type,
+      data
+    });
+  };
+
+  files.forEach((file, index) => {
+    // multer按latin1解析文件名，需要转回utf8
+    const fileName = Buffer.from(file.originalname, 'latin1').toString('utf8');
+    const relativePath = paths[index] || fileName;
+
+    if (!isZipFile(file, fileName)) {
+      addEntry(relativePath, 'file', () => file.buffer);
+      return;
+    }
+
+    let zip;
+    try {
+      zip = new AdmZip(file.buffer);
+    } catch (error) {
+      rejected.push({ path: relativePath, status: 'rejected', reason: `无法解析压缩包: ${error.message}` });
+      return;
+    }
+
+    for (const zipEntry of zip.getEntries()) {
+      // 本系统导出的压缩包根目录下带有清单文件，用于还原脑图数据，不作为普通文件导入
+      if (zipEntry.entryName === 'manifest.json') {
+        let manifestWorkflows = null;
+        try {
+          manifestWorkflows = parseExportManifest(readZipEntry(zipEntry, MAX_MANIFEST_SIZE));
+        } catch (error) {
+          // 无法读取的清单按普通文件处理，由addEntry记录原因
+        }
+        if (manifestWorkflows) {
+          workflows = { ...workflows, ...manifestWorkflows };
+          continue;
+        }
+      }
+
+      if (zipEntry.isDirectory) {
+        addEntry(zipEntry.entryName, 'folder', null);
+      } else {
+        addEntry(zipEntry.entryName, 'file', (maxSize) => readZipEntry(zipEntry, maxSize));
+      }
+    }
+  });
+
+  return { entries, rejected, workflows };
+};
+
+module.exports = {
+  collectImportEntries,
+  normalizeEntryPath
+};
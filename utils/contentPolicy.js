@@ -0,0 +1,207 @@
+// 上传内容策略：按文件头识别实际类型，检查扩展名是否相符，并按路由的允许/禁止列表过滤
+
+const path = require('path');
+const config = require('../config/config');
+const { sniffFileType, sniffTextType, looksLikeText, hasSignature } = require('./fileTypeSniffer');
+const { ALLOWED_MIME_TYPES, getMimeTypeByExtension } = require('../middleware/fileSystemValidation');
+
+// 识别文件类型时读取的文件开头字节数
+const SNIFF_BYTES = 4096;
+
+// 可执行文件，任何路由都不允许上传
+const EXECUTABLE_MIME_TYPES = [
+  'application/x-executable',
+  'application/x-sharedlib',
+  'application/x-msdownload',
+  'application/x-mach-binary',
+  'application/x-msi',
+  'application/java-archive',
+  'application/vnd.android.package-archive'
+];
+
+// 浏览器会执行脚本的内容，通过链接直接访问时可能造成存储型XSS
+const ACTIVE_CONTENT_MIME_TYPES = [
+  'text/html',
+  'application/xhtml+xml',
+  'image/svg+xml',
+  'text/javascript',
+  'application/javascript',
+  'text/x-shellscript',
+  'application/x-bat',
+  'application/x-powershell',
+  'text/vbscript'
+];
+
+// 文件树之外还需要识别的扩展名
+const EXTRA_EXTENSION_MIME_TYPES = {
+  '.doc': 'application/msword',
+  '.xls': 'application/vnd.ms-excel',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.yaml': 'application/x-yaml',
+  '.yml': 'application/x-yaml',
+  '.xhtml': 'application/xhtml+xml',
+  '.shtml': 'text/html',
+  '.svg': 'image/svg+xml',
+  '.svgz': 'image/svg+xml',
+  '.sh': 'text/x-shellscript',
+  '.bash': 'text/x-shellscript',
+  '.bat': 'application/x-bat',
+  '.cmd': 'application/x-bat',
+  '.ps1': 'application/x-powershell',
+  '.vbs': 'text/vbscript',
+  '.exe': 'application/x-msdownload',
+  '.dll': 'application/x-msdownload',
+  '.com': 'application/x-msdownload',
+  '.scr': 'application/x-msdownload',
+  '.msi': 'application/x-msi',
+  '.so': 'application/x-sharedlib',
+  '.elf': 'application/x-executable',
+  '.dylib': 'application/x-mach-binary',
+  '.jar': 'application/java-archive',
+  '.apk': 'application/vnd.android.package-archive'
+};
+
+// 文本格式（内容是合法UTF-8时，即使开头碰巧与某种二进制签名相同也按文本处理）
+const TEXT_LIKE_MIME_TYPES = ['application/json', 'application/xml', 'application/sql', 'application/x-yaml'];
+
+// 各路由的默认策略：/upload 上传的文件可以通过链接直接访问，默认禁止网页和脚本
+const DEFAULT_POLICIES = {
+  upload: {
+    allow: [
+      'text/plain',
+      'text/markdown',
+      'application/json',
+      'text/csv',
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'image/jpeg',
+      'image/png',
+      'image/gif',
+      'image/webp',
+      'application/xml',
+      'text/xml',
+      'application/x-yaml',
+      'text/yaml'
+    ],
+    deny: ACTIVE_CONTENT_MIME_TYPES
+  },
+  filesystem: {
+    allow: ALLOWED_MIME_TYPES,
+    deny: []
+  }
+};
+
+/**
+ * 获取路由的内容策略（配置了允许/禁止列表时替换默认列表）
+ * @param {string} route - 路由名称（upload/filesystem）
+ * @returns {{allow: Array<string>, deny: Array<string>}} 策略
+ */
+const getContentPolicy = (route) => {
+  const defaults = DEFAULT_POLICIES[route];
+  if (!defaults) {
+    throw new Error(`未知的内容策略: ${route}`);
+  }
+
+  const configured = config.contentPolicy[route] || {};
+  return {
+    allow: configured.allow && configured.allow.length > 0 ? configured.allow : defaults.allow,
+    deny: configured.deny && configured.deny.length > 0 ? configured.deny : defaults.deny
+  };
+};
+
+// 判断MIME类型是否在列表中（支持 image/* 这样的通配）
+const matchesMimeType = (patterns, mimeType) => {
+  return patterns.some(pattern =>
+    pattern === '*/*' ||
+    pattern === mimeType ||
+    (pattern.endsWith('/*') && mimeType.startsWith(pattern.slice(0, -1)))
+  );
+};
+
+// 按扩展名推断MIME类型
+const getExtensionMimeType = (name) => {
+  if (!name) {
+    return null;
+  }
+  return getMimeTypeByExtension(name) || EXTRA_EXTENSION_MIME_TYPES[path.extname(name).toLowerCase()] || null;
+};
+
+const isTextMimeType = (mimeType) => {
+  return mimeType.startsWith('text/') || TEXT_LIKE_MIME_TYPES.includes(mimeType);
+};
+
+/**
+ * 检查上传内容是否符合路由的内容策略
+ * 实际类型以文件头为准：可执行文件总是拒绝；命中禁止列表的扩展名、声明类型或内容都会被拒绝；
+ * 内容与扩展名（没有扩展名时与声明的类型）不符时拒绝；最终类型不在允许列表中时拒绝。
+ * @param {string} route - 路由名称（upload/filesystem）
+ * @param {Object} file - 文件信息
+ * @param {string} file.name - 文件名
+ * @param {string|null} file.declaredMimeType - 客户端声明的MIME类型
+ * @param {Buffer|string|null} file.content - 文件内容或开头部分（只有Buffer会做文件头识别，未提供时只检查扩展名和声明的类型）
+ * @returns {{error: string|null, mimeType: string|null}} 不符合时error为错误信息，符合时mimeType为识别后的类型
+ */
+const checkContentPolicy = (route, { name, declaredMimeType = null, content = null }) => {
+  const policy = getContentPolicy(route);
+  const reject = (error) => ({ error, mimeType: null });
+
+  const head = Buffer.isBuffer(content) ? content.subarray(0, SNIFF_BYTES) : null;
+  const sniffed = head ? sniffFileType(head) : null;
+  const textType = head && !sniffed ? sniffTextType(head) : null;
+  const extensionMimeType = getExtensionMimeType(name);
+  const declared = declaredMimeType ? declaredMimeType.split(';')[0].trim().toLowerCase() : null;
+
+  const candidates = [
+    extensionMimeType,
+    sniffed && sniffed.mimeType,
+    textType && textType.mimeType,
+    declared
+  ].filter(Boolean);
+
+  if ((sniffed && sniffed.executable) || candidates.some(type => EXECUTABLE_MIME_TYPES.includes(type))) {
+    return reject('不允许上传可执行文件');
+  }
+
+  const denied = candidates.find(type => matchesMimeType(policy.deny, type));
+  if (denied) {
+    return reject(ACTIVE_CONTENT_MIME_TYPES.includes(denied)
+      ? '不允许上传网页或脚本文件'
+      : `不允许上传该类型的文件: ${denied}`);
+  }
+
+  // 声明的类型只有是已知类型时才参与比较（浏览器可能给出 image/x-png 之类的别名）
+  const knownDeclared = declared && (ALLOWED_MIME_TYPES.includes(declared) || hasSignature(declared)) ? declared : null;
+  const claimed = extensionMimeType || knownDeclared;
+  const claimedText = Boolean(claimed && head && isTextMimeType(claimed) && looksLikeText(head));
+  const mismatchError = extensionMimeType ? '文件内容与扩展名不符' : '文件内容与声明的类型不符';
+
+  if (head && claimed && claimed !== 'application/octet-stream' && !claimedText) {
+    if (sniffed && claimed !== sniffed.mimeType && !sniffed.aliases.includes(claimed)) {
+      return reject(`${mismatchError}（实际为${sniffed.mimeType}）`);
+    }
+    if (!sniffed && hasSignature(claimed)) {
+      return reject(mismatchError);
+    }
+  }
+
+  let mimeType;
+  if (sniffed && !claimedText) {
+    // docx等容器格式识别为zip，保留更具体的类型
+    mimeType = claimed && sniffed.aliases.includes(claimed) ? claimed : sniffed.mimeType;
+  } else {
+    mimeType = declared || claimed || 'application/octet-stream';
+  }
+
+  if (!matchesMimeType(policy.allow, mimeType)) {
+    return reject(`不支持的文件类型: ${mimeType}`);
+  }
+
+  return { error: null, mimeType };
+};
+
+module.exports = {
+  SNIFF_BYTES,
+  checkContentPolicy,
+  getContentPolicy
+};
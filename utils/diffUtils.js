@@ -0,0 +1,177 @@
+// 基于行的文本差异比较（Myers 差分算法）
+
+// 编辑距离超过该值时不再计算最小差异，直接视为整体替换，避免大文件占用过多内存
+const MAX_EDIT_DISTANCE = 4000;
+
+/**
+ * 将文本拆分为行
+ * @param {string} text - 文本
+ * @returns {Array<string>} 行数组
+ */
+const splitLines = (text = '') => {
+  if (text === '') {
+    return [];
+  }
+  return text.replace(/\r\n/g, '\n').split('\n');
+};
+
+/**
+ * 计算两个行数组之间的编辑脚本
+ * @param {Array<string>} a - 旧行
+ * @param {Array<string>} b - 新行
+ * @returns {Array<{type: string, line: string}>|null} 编辑脚本，超过最大编辑距离时返回null
+ */
+const myersDiff = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if (d > MAX_EDIT_DISTANCE) {
+      return null;
+    }
+    // 第d步只会用到k在[-d-1, d+1]之间的值，只保存这一段，内存随编辑距离而不是行数增长
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return backtrack(trace, a, b);
+};
+
+// 根据每一步保存的V数组片段回溯出编辑脚本（第d步的片段从k = -d-1开始）
+const backtrack = (trace, a, b) => {
+  const script = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const offset = d + 1;
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      script.push({ type: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        script.push({ type: 'insert', line: b[y - 1] });
+      } else {
+        script.push({ type: 'delete', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return script.reverse();
+};
+
+/**
+ * 比较两段文本，返回按类型合并的差异块
+ * @param {string} oldText - 旧文本
+ * @param {string} newText - 新文本
+ * @returns {Object} 差异结果
+ *   - changes: [{type: 'equal'|'insert'|'delete', oldStart, newStart, lines}]（行号从1开始）
+ *   - stats: {added, removed, unchanged}
+ */
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // 先去掉公共前缀和后缀，减少计算量
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+
+  let middle = myersDiff(middleA, middleB);
+  if (middle === null) {
+    middle = [
+      ...middleA.map(line => ({ type: 'delete', line })),
+      ...middleB.map(line => ({ type: 'insert', line }))
+    ];
+  }
+
+  const script = [
+    ...a.slice(0, prefix).map(line => ({ type: 'equal', line })),
+    ...middle,
+    ...a.slice(a.length - suffix).map(line => ({ type: 'equal', line }))
+  ];
+
+  const changes = [];
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  let oldLine = 1;
+  let newLine = 1;
+
+  for (const op of script) {
+    const last = changes[changes.length - 1];
+    if (last && last.type === op.type) {
+      last.lines.push(op.line);
+    } else {
+      changes.push({ type: op.type, oldStart: oldLine, newStart: newLine, lines: [op.line] });
+    }
+
+    if (op.type === 'equal') {
+      oldLine++;
+      newLine++;
+      stats.unchanged++;
+    } else if (op.type === 'delete') {
+      oldLine++;
+      stats.removed++;
+    } else {
+      newLine++;
+      stats.added++;
+    }
+  }
+
+  return { changes, stats };
+};
+
+module.exports = {
+  splitLines,
+  diffLines
+};
@@ -0,0 +1,185 @@
+// 根据文件头（magic bytes）识别文件类型
+
+// 判断buffer在offset处是否以指定字节开头
+const matchesAt = (buffer, offset, bytes) => {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  if (buffer.length < offset + expected.length) {
+    return false;
+  }
+  return buffer.subarray(offset, offset + expected.length).equals(expected);
+};
+
+// Windows可执行文件：MZ头的0x3c处记录PE头的位置（只以MZ开头的文本不算）
+const isPortableExecutable = (buffer) => {
+  if (buffer.length < 0x40) {
+    return false;
+  }
+  return matchesAt(buffer, buffer.readUInt32LE(0x3c), [0x50, 0x45, 0x00, 0x00]);
+};
+
+// 以ZIP为容器的格式
+const ZIP_BASED_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/epub+zip',
+  'application/java-archive',
+  'application/vnd.android.package-archive'
+];
+
+// 旧版Office等使用的OLE复合文档
+const OLE_BASED_MIME_TYPES = [
+  'application/msword',
+  'application/vnd.ms-excel',
+  'application/vnd.ms-powerpoint',
+  'application/x-msi'
+];
+
+/**
+ * 已知文件格式的签名
+ * offset: 签名在文件中的起始位置；bytes: 签名内容（字符串按latin1比较）；test: 额外的校验
+ * compressed: 格式本身已经压缩过，存储时再做gzip没有收益
+ * executable: 可执行文件
+ * aliases: 使用同一种容器格式、签名相同的其他MIME类型
+ */
+const SIGNATURES = [
+  { mimeType: 'image/png', extension: '.png', compressed: true, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', extension: '.jpg', compressed: true, bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', extension: '.gif', compressed: true, bytes: 'GIF87a' },
+  { mimeType: 'image/gif', extension: '.gif', compressed: true, bytes: 'GIF89a' },
+  { mimeType: 'image/webp', extension: '.webp', compressed: true, bytes: 'RIFF', also: { offset: 8, bytes: 'WEBP' } },
+  { mimeType: 'audio/wav', extension: '.wav', compressed: false, bytes: 'RIFF', also: { offset: 8, bytes: 'WAVE' } },
+  { mimeType: 'application/pdf', extension: '.pdf', compressed: false, bytes: '%PDF-' },
+  { mimeType: 'application/zip', extension: '.zip', compressed: true, bytes: [0x50, 0x4b, 0x03, 0x04], aliases: ZIP_BASED_MIME_TYPES },
+  { mimeType: 'application/zip', extension: '.zip', compressed: true, bytes: [0x50, 0x4b, 0x05, 0x06], aliases: ZIP_BASED_MIME_TYPES },
+  { mimeType: 'application/x-ole-storage', extension: '.doc', compressed: false, bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1], aliases: OLE_BASED_MIME_TYPES },
+  { mimeType: 'application/gzip', extension: '.gz', compressed: true, bytes: [0x1f, 0x8b] },
+  { mimeType: 'application/x-7z-compressed', extension: '.7z', compressed: true, bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { mimeType: 'application/vnd.rar', extension: '.rar', compressed: true, bytes: 'Rar!\x1a\x07' },
+  { mimeType: 'application/x-bzip2', extension: '.bz2', compressed: true, bytes: 'BZh' },
+  { mimeType: 'application/x-xz', extension: '.xz', compressed: true, bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { mimeType: 'video/mp4', extension: '.mp4', compressed: true, offset: 4, bytes: 'ftyp', aliases: ['video/quicktime', 'audio/mp4'] },
+  { mimeType: 'video/webm', extension: '.webm', compressed: true, bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { mimeType: 'audio/ogg', extension: '.ogg', compressed: true, bytes: 'OggS' },
+  { mimeType: 'audio/flac', extension: '.flac', compressed: true, bytes: 'fLaC' },
+  { mimeType: 'audio/mpeg', extension: '.mp3', compressed: true, bytes: 'ID3' },
+  { mimeType: 'audio/mpeg', extension: '.mp3', compressed: true, bytes: [0xff, 0xfb] },
+  { mimeType: 'audio/mpeg', extension: '.mp3', compressed: true, bytes: [0xff, 0xf3] },
+  { mimeType: 'audio/mpeg', extension: '.mp3', compressed: true, bytes: [0xff, 0xf2] },
+  { mimeType: 'application/x-executable', extension: '', compressed: false, executable: true, bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { mimeType: 'application/x-msdownload', extension: '.exe', compressed: false, executable: true, bytes: 'MZ', test: isPortableExecutable },
+  { mimeType: 'application/x-mach-binary', extension: '', compressed: false, executable: true, bytes: [0xfe, 0xed, 0xfa, 0xce] },
+  { mimeType: 'application/x-mach-binary', extension: '', compressed: false, executable: true, bytes: [0xfe, 0xed, 0xfa, 0xcf] },
+  { mimeType: 'application/x-mach-binary', extension: '', compressed: false, executable: true, bytes: [0xce, 0xfa, 0xed, 0xfe] },
+  { mimeType: 'application/x-mach-binary', extension: '', compressed: false, executable: true, bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  // Mach-O通用二进制，Java class文件的签名相同
+  { mimeType: 'application/x-mach-binary', extension: '', compressed: false, executable: true, bytes: [0xca, 0xfe, 0xba, 0xbe] }
+];
+
+// 浏览器会当作网页或脚本处理的文本内容，按开头的标记识别
+const TEXT_MARKERS = [
+  { mimeType: 'text/html', pattern: /^<(!doctype\s+html|html|head|body|script|iframe|object|embed)[\s>/]/ },
+  { mimeType: 'image/svg+xml', pattern: /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype\s+svg[^>]*>\s*)?<svg[\s>]/ },
+  { mimeType: 'text/x-shellscript', pattern: /^#!/ }
+];
+
+// 只看文件开头的这部分内容
+const TEXT_MARKER_SCAN_BYTES = 1024;
+
+/**
+ * 识别文件类型
+ * @param {Buffer} buffer - 文件内容（至少包含文件头）
+ * @returns {{mimeType: string, extension: string, compressed: boolean}|null} 无法识别时返回null
+ */
+const sniffFileType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return null;
+  }
+
+  const signature = SIGNATURES.find(item =>
+    matchesAt(buffer, item.offset || 0, item.bytes) &&
+    (!item.also || matchesAt(buffer, item.also.offset, item.also.bytes)) &&
+    (!item.test || item.test(buffer))
+  );
+  if (!signature) {
+    return null;
+  }
+
+  return {
+    mimeType: signature.mimeType,
+    extension: signature.extension,
+    compressed: signature.compressed,
+    executable: Boolean(signature.executable),
+    aliases: signature.aliases || []
+  };
+};
+
+/**
+ * 判断内容是否像文本（没有NUL字节且是合法的UTF-8，末尾被截断的多字节字符不算错误）
+ * @param {Buffer} buffer - 文件开头的内容
+ * @returns {boolean} 是否为文本
+ */
+const looksLikeText = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * 识别文本内容中的网页、SVG和脚本（开头的空白、BOM和大小写不影响识别）
+ * @param {Buffer} buffer - 文件开头的内容
+ * @returns {{mimeType: string}|null} 无法识别时返回null
+ */
+const sniffTextType = (buffer) => {
+  if (!looksLikeText(buffer)) {
+    return null;
+  }
+
+  const head = buffer
+    .subarray(0, TEXT_MARKER_SCAN_BYTES)
+    .toString('utf8')
+    .replace(/^\uFEFF/, '')
+    .trimStart()
+    .toLowerCase();
+  const marker = TEXT_MARKERS.find(item => item.pattern.test(head));
+  return marker ? { mimeType: marker.mimeType } : null;
+};
+
+// 不带ID3标签的MP3只以帧头开头，帧头的写法很多，识别不到时不能说明内容不是MP3
+const UNRELIABLE_SIGNATURE_MIME_TYPES = ['audio/mpeg'];
+
+/**
+ * 判断某种MIME类型的文件是否一定能通过文件头识别
+ * @param {string} mimeType - MIME类型
+ * @returns {boolean} 是否有可靠的签名
+ */
+const hasSignature = (mimeType) => {
+  if (UNRELIABLE_SIGNATURE_MIME_TYPES.includes(mimeType)) {
+    return false;
+  }
+  return SIGNATURES.some(item => item.mimeType === mimeType || (item.aliases || []).includes(mimeType));
+};
+
+/**
+ * 判断内容是否为已压缩的格式（图片、音视频、压缩包等）
+ * @param {Buffer|string} content - 文件内容
+ * @returns {boolean} 是否已压缩
+ */
+const isCompressedContent = (content) => {
+  const fileType = sniffFileType(Buffer.isBuffer(content) ? content : null);
+  return Boolean(fileType && fileType.compressed);
+};
+
+module.exports = {
+  sniffFileType,
+  sniffTextType,
+  hasSignature,
+  looksLikeText,
+  isCompressedContent
+};
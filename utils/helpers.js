@@ -170,6 +170,28 @@ const formatDate = (date = new Date(), format = 'YYYY-MM-DD HH:mm:ss') => {
     .replace('ss', seconds);
 };
 
+/**
+ * 将文件哈希格式化为强ETag
+ * @param {string} fileHash - 文件哈希
+ * @returns {string} ETag
+ */
+const toETag = (fileHash) => `"${fileHash}"`;
+
+/**
+ * 解析If-Match/If-None-Match请求头（支持 "*"、弱ETag和逗号分隔的多个值）
+ * @param {string} header - 请求头的值
+ * @returns {Array<string>} 哈希列表
+ */
+const parseIfMatch = (header) => {
+  if (!header) {
+    return [];
+  }
+  return header
+    .split(',')
+    .map(value => value.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .filter(Boolean);
+};
+
 module.exports = {
   formatResponse,
   successResponse,
@@ -179,5 +201,7 @@ module.exports = {
   generateRandomString,
   delay,
   deepClone,
-  formatDate
+  formatDate,
+  toETag,
+  parseIfMatch
 };
\ No newline at end of file
@@ -0,0 +1,111 @@
+// ClamAV扫描器：通过clamd的INSTREAM命令把文件内容发送给守护进程扫描
+// 默认连接本地Unix socket，也可以配置TCP地址（clamd.conf中的LocalSocket / TCPSocket）
+
+const fs = require('fs');
+const net = require('net');
+
+// INSTREAM每个数据块的大小，总大小受clamd的StreamMaxLength限制
+const CHUNK_SIZE = 64 * 1024;
+
+class ClamAVScanner {
+  /**
+   * @param {Object} options - 扫描器配置
+   * @param {string} options.socket - clamd的Unix socket路径
+   * @param {string} options.host - clamd的TCP地址（设置后不再使用socket）
+   * @param {number} options.port - clamd的TCP端口
+   * @param {number} options.timeoutMs - 连接空闲超时（毫秒）
+   */
+  constructor({ socket, host, port, timeoutMs }) {
+    this.type = 'clamav';
+    this.socketPath = socket;
+    this.host = host;
+    this.port = port;
+    this.timeoutMs = timeoutMs;
+  }
+
+  // 私有方法：连接clamd
+  connect() {
+    return this.host
+      ? net.createConnection({ host: this.host, port: this.port })
+      : net.createConnection({ path: this.socketPath });
+  }
+
+  /**
+   * 扫描文件
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<{clean: boolean, signature: string|null}>} 扫描结果
+   */
+  scanFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const socket = this.connect();
+      const file = fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE });
+      const replies = [];
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        file.destroy();
+        socket.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      // clamd提前回复（如超出StreamMaxLength）后会关闭连接，以它的回复为准
+      const finishWithReply = (fallbackError) => {
+        if (replies.length === 0) {
+          return finish(fallbackError);
+        }
+        try {
+          finish(null, this.parseReply(Buffer.concat(replies).toString('utf8')));
+        } catch (error) {
+          finish(error);
+        }
+      };
+
+      socket.setTimeout(this.timeoutMs, () => finish(new Error('ClamAV扫描超时')));
+      socket.on('data', (data) => replies.push(data));
+      socket.on('end', () => finishWithReply(new Error('ClamAV没有返回扫描结果')));
+      socket.on('error', (error) => finishWithReply(new Error(`无法连接ClamAV: ${error.message}`)));
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+
+        // 每个数据块前是4字节的大端长度，长度为0的块表示结束
+        file.on('data', (chunk) => {
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          if (!socket.write(Buffer.concat([length, chunk]))) {
+            file.pause();
+            socket.once('drain', () => file.resume());
+          }
+        });
+        file.on('end', () => socket.end(Buffer.alloc(4)));
+        file.on('error', (error) => finish(error));
+      });
+    });
+  }
+
+  // 私有方法：解析clamd的回复，如 "stream: OK"、"stream: Eicar-Signature FOUND"
+  parseReply(reply) {
+    const text = reply.replace(/\0/g, '').trim();
+
+    if (/:\s*OK$/.test(text)) {
+      return { clean: true, signature: null };
+    }
+
+    const found = text.match(/:\s*(.+)\s+FOUND$/);
+    if (found) {
+      return { clean: false, signature: found[1] };
+    }
+
+    throw new Error(`ClamAV扫描失败: ${text || '没有返回扫描结果'}`);
+  }
+}
+
+module.exports = ClamAVScanner;
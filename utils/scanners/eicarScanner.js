@@ -0,0 +1,40 @@
+// EICAR测试扫描器：只识别EICAR标准测试字符串，用于在没有杀毒引擎的环境中测试隔离流程
+
+const fs = require('fs');
+
+// EICAR标准反病毒测试文件的内容
+const EICAR_STRING = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+const EICAR_SIGNATURE = 'Eicar-Test-Signature';
+
+class EicarScanner {
+  constructor() {
+    this.type = 'eicar';
+    this.pattern = Buffer.from(EICAR_STRING, 'latin1');
+  }
+
+  /**
+   * 扫描文件（流式读取，测试字符串跨越读取块时同样能识别）
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<{clean: boolean, signature: string|null}>} 扫描结果
+   */
+  scanFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const stream = fs.createReadStream(filePath);
+      let tail = Buffer.alloc(0);
+
+      stream.on('data', (chunk) => {
+        const data = Buffer.concat([tail, chunk]);
+        if (data.includes(this.pattern)) {
+          stream.destroy();
+          resolve({ clean: false, signature: EICAR_SIGNATURE });
+          return;
+        }
+        tail = data.subarray(Math.max(0, data.length - this.pattern.length + 1));
+      });
+      stream.on('end', () => resolve({ clean: true, signature: null }));
+      stream.on('error', reject);
+    });
+  }
+}
+
+module.exports = EicarScanner;
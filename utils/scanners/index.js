@@ -0,0 +1,46 @@
+// 上传文件扫描器
+//
+// 每个扫描器实现相同的接口：
+//   scanFile(filePath)   扫描磁盘上的文件，返回 { clean, signature }（signature为识别到的威胁名称）
+//                        扫描器不可用或扫描失败时抛出错误，文件保持隔离状态
+//
+// scanner.type 与 UPLOAD_SCANNER 配置的取值一致
+
+const config = require('../../config/config');
+const NoopScanner = require('./noopScanner');
+const ClamAVScanner = require('./clamavScanner');
+const EicarScanner = require('./eicarScanner');
+
+const SCANNER_TYPES = ['none', 'clamav', 'eicar'];
+
+const scanners = new Map();
+
+const createScanner = (type) => {
+  switch (type) {
+    case 'none':
+      return new NoopScanner();
+    case 'clamav':
+      return new ClamAVScanner(config.scanner.clamav);
+    case 'eicar':
+      return new EicarScanner();
+    default:
+      throw new Error(`不支持的扫描器类型: ${type}`);
+  }
+};
+
+/**
+ * 获取上传文件扫描器（同一类型只创建一个实例）
+ * @param {string} type - 扫描器类型，默认使用配置的扫描器
+ * @returns {Object} 扫描器
+ */
+const getScanner = (type = config.scanner.driver) => {
+  if (!scanners.has(type)) {
+    scanners.set(type, createScanner(type));
+  }
+  return scanners.get(type);
+};
+
+module.exports = {
+  SCANNER_TYPES,
+  getScanner
+};
@@ -0,0 +1,17 @@
+// 不做扫描：所有文件直接视为安全（未配置扫描器时使用）
+
+class NoopScanner {
+  constructor() {
+    this.type = 'none';
+  }
+
+  /**
+   * 扫描文件
+   * @returns {Promise<{clean: boolean, signature: null}>} 扫描结果
+   */
+  async scanFile() {
+    return { clean: true, signature: null };
+  }
+}
+
+module.exports = NoopScanner;
@@ -0,0 +1,134 @@
+// 全文搜索相关工具函数
+
+// ngram 分词的最小长度（MySQL ngram_token_size 默认值）
+const NGRAM_TOKEN_SIZE = 2;
+
+/**
+ * 将搜索关键词拆分为词项
+ * @param {string} keyword - 搜索关键词
+ * @returns {Array<string>} 去重后的词项
+ */
+const tokenizeQuery = (keyword = '') => {
+  const tokens = keyword
+    // 去掉 MySQL 布尔模式的运算符，避免用户输入改变查询语义
+    .replace(/[+\-<>()~*"@]/g, ' ')
+    .split(/\s+/)
+    .map(token => token.trim())
+    .filter(Boolean);
+
+  return [...new Set(tokens)];
+};
+
+/**
+ * 判断词项是否都能命中 ngram 全文索引
+ * @param {Array<string>} tokens - 词项
+ * @returns {boolean} 是否可以使用全文索引
+ */
+const canUseFullText = (tokens) => {
+  return tokens.length > 0 && tokens.every(token => token.length >= NGRAM_TOKEN_SIZE);
+};
+
+/**
+ * 构建布尔模式的全文检索表达式（所有词项都必须出现）
+ * @param {Array<string>} tokens - 词项
+ * @returns {string} AGAINST 表达式
+ */
+const buildBooleanQuery = (tokens) => {
+  return tokens.map(token => `+"${token}"`).join(' ');
+};
+
+/**
+ * 转义 LIKE 通配符
+ * @param {string} value - 原始字符串
+ * @returns {string} 转义后的字符串
+ */
+const escapeLike = (value) => {
+  return value.replace(/[\\%_]/g, char => `\\${char}`);
+};
+
+/**
+ * 转义HTML特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 高亮文本中的词项（先转义HTML，再用<mark>包裹命中部分）
+ * @param {string} text - 原始文本
+ * @param {Array<string>} tokens - 词项
+ * @returns {string} 高亮后的HTML片段
+ */
+const highlight = (text, tokens) => {
+  if (!text) {
+    return '';
+  }
+  if (tokens.length === 0) {
+    return escapeHtml(text);
+  }
+
+  const pattern = new RegExp(tokens.map(escapeRegExp).join('|'), 'gi');
+  let result = '';
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    result += escapeHtml(text.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  result += escapeHtml(text.slice(lastIndex));
+
+  return result;
+};
+
+/**
+ * 从文件内容中截取包含关键词的摘要片段
+ * @param {string} content - 文件内容
+ * @param {Array<string>} tokens - 词项
+ * @param {number} length - 摘要长度
+ * @returns {string|null} 高亮后的摘要，未命中时返回null
+ */
+const buildSnippet = (content, tokens, length = 160) => {
+  if (!content || tokens.length === 0) {
+    return null;
+  }
+
+  const lowerContent = content.toLowerCase();
+  let firstIndex = -1;
+  for (const token of tokens) {
+    const index = lowerContent.indexOf(token.toLowerCase());
+    if (index !== -1 && (firstIndex === -1 || index < firstIndex)) {
+      firstIndex = index;
+    }
+  }
+
+  if (firstIndex === -1) {
+    return null;
+  }
+
+  const start = Math.max(0, firstIndex - Math.floor(length / 3));
+  const end = Math.min(content.length, start + length);
+  const excerpt = content.slice(start, end).replace(/\s+/g, ' ');
+
+  return `${start > 0 ? '…' : ''}${highlight(excerpt, tokens)}${end < content.length ? '…' : ''}`;
+};
+
+module.exports = {
+  tokenizeQuery,
+  canUseFullText,
+  buildBooleanQuery,
+  escapeLike,
+  escapeHtml,
+  highlight,
+  buildSnippet
+};
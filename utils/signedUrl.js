@@ -0,0 +1,58 @@
+// 带有效期的下载链接签名（HMAC-SHA256）
+
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// 计算路径和过期时间的签名
+const computeSignature = (pathname, expires) => {
+  return crypto
+    .createHmac('sha256', config.downloads.signingSecret)
+    .update(`${pathname}:${expires}`)
+    .digest('base64url');
+};
+
+/**
+ * 为路径生成带签名的查询参数
+ * @param {string} pathname - 请求路径（不含查询参数），如 /upload/download/<uploadId>
+ * @param {number} expiresInSeconds - 有效期（秒），默认使用配置的有效期
+ * @returns {{path: string, expiresAt: Date}} 带签名的路径和过期时间
+ */
+const signPath = (pathname, expiresInSeconds = config.downloads.urlExpiresSeconds) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  const signature = computeSignature(pathname, expires);
+
+  return {
+    path: `${pathname}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+/**
+ * 校验签名和有效期
+ * @param {string} pathname - 请求路径（不含查询参数）
+ * @param {string} expires - 过期时间戳（秒）
+ * @param {string} signature - 签名
+ * @returns {string|null} 校验失败时返回错误信息，通过时返回null
+ */
+const checkSignature = (pathname, expires, signature) => {
+  if (!expires || !signature || !/^\d+$/.test(expires)) {
+    return '下载链接无效';
+  }
+
+  const expected = Buffer.from(computeSignature(pathname, expires));
+  const actual = Buffer.from(String(signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return '下载链接无效';
+  }
+
+  if (Number(expires) * 1000 < Date.now()) {
+    return '下载链接已过期';
+  }
+
+  return null;
+};
+
+module.exports = {
+  signPath,
+  checkSignature
+};
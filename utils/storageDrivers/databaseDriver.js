@@ -0,0 +1,96 @@
+// MySQL存储驱动：对象以LONGBLOB保存在file_blob_contents表中
+
+const { Readable } = require('stream');
+const { query } = require('../../config/database');
+const { escapeLike } = require('../searchUtils');
+
+class DatabaseDriver {
+  constructor() {
+    this.type = 'database';
+  }
+
+  /**
+   * 获取对象的存储位置（记录在file_path中）
+   * @param {string} key - 对象键
+   * @returns {string} 存储位置
+   */
+  locate(key) {
+    return `database:${key}`;
+  }
+
+  /**
+   * 写入对象
+   * @param {string} key - 对象键
+   * @param {Buffer} data - 内容
+   */
+  async put(key, data) {
+    await query(
+      `INSERT INTO file_blob_contents (blob_key, data, size) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE data = VALUES(data), size = VALUES(size), updated_at = CURRENT_TIMESTAMP`,
+      [key, data, data.length]
+    );
+  }
+
+  /**
+   * 读取对象
+   * @param {string} key - 对象键
+   * @returns {Promise<Buffer>} 内容
+   */
+  async get(key) {
+    const result = await query('SELECT data FROM file_blob_contents WHERE blob_key = ?', [key]);
+    if (result.length === 0) {
+      throw new Error('文件内容不存在');
+    }
+    return result[0].data;
+  }
+
+  /**
+   * 删除对象（不存在时忽略）
+   * @param {string} key - 对象键
+   */
+  async delete(key) {
+    await query('DELETE FROM file_blob_contents WHERE blob_key = ?', [key]);
+  }
+
+  /**
+   * 获取对象信息
+   * @param {string} key - 对象键
+   * @returns {Promise<{size: number, modifiedAt: Date}|null>} 对象不存在时返回null
+   */
+  async stat(key) {
+    const result = await query(
+      'SELECT size, updated_at FROM file_blob_contents WHERE blob_key = ?',
+      [key]
+    );
+    if (result.length === 0) {
+      return null;
+    }
+    return { size: Number(result[0].size), modifiedAt: result[0].updated_at };
+  }
+
+  /**
+   * 以流的方式读取对象（内容需要整体从数据库读出）
+   * @param {string} key - 对象键
+   * @param {Object} range - 字节范围 { start, end }（包含end），为空时读取全部
+   * @returns {Promise<Readable>} 可读流
+   */
+  async stream(key, { start = 0, end } = {}) {
+    const data = await this.get(key);
+    return Readable.from([data.subarray(start, end === undefined ? data.length : end + 1)]);
+  }
+
+  /**
+   * 列出指定前缀下的所有对象
+   * @param {string} prefix - 键前缀
+   * @returns {Promise<Array<{key: string, size: number, modifiedAt: Date}>>} 对象列表
+   */
+  async list(prefix) {
+    const result = await query(
+      'SELECT blob_key, size, updated_at FROM file_blob_contents WHERE blob_key LIKE ?',
+      [`${escapeLike(prefix)}%`]
+    );
+    return result.map(row => ({ key: row.blob_key, size: Number(row.size), modifiedAt: row.updated_at }));
+  }
+}
+
+module.exports = DatabaseDriver;
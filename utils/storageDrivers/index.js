@@ -0,0 +1,59 @@
+// 文件内容存储驱动
+//
+// 每个驱动实现相同的接口（对象键均为相对路径，如 blobs/ab/cd/<hash>.dat）：
+//   locate(key)              返回记录在file_path中的存储位置
+//   put(key, data)           写入对象
+//   get(key)                 读取对象，返回Buffer
+//   delete(key)              删除对象（不存在时忽略）
+//   stat(key)                返回 { size, modifiedAt }，不存在时返回null
+//   stream(key, range)       返回可读流，range为 { start, end }（包含end）
+//   list(prefix)             列出前缀下的对象 [{ key, size, modifiedAt }]
+//
+// driver.type 与 file_nodes.storage_type / file_blobs.storage_type 的取值一致
+
+const path = require('path');
+const config = require('../../config/config');
+const LocalDiskDriver = require('./localDiskDriver');
+const DatabaseDriver = require('./databaseDriver');
+const S3Driver = require('./s3Driver');
+
+const STORAGE_TYPES = ['filesystem', 'database', 's3'];
+
+const drivers = new Map();
+
+const createDriver = (type) => {
+  switch (type) {
+    case 'filesystem':
+      return new LocalDiskDriver({ root: path.resolve(process.cwd(), config.storage.localRoot) });
+    case 'database':
+      return new DatabaseDriver();
+    case 's3':
+      return new S3Driver(config.storage.s3);
+    default:
+      throw new Error(`不支持的存储类型: ${type}`);
+  }
+};
+
+/**
+ * 获取存储驱动（同一类型只创建一个实例）
+ * @param {string} type - 存储类型，默认使用配置的驱动
+ * @returns {Object} 存储驱动
+ */
+const getStorageDriver = (type = config.storage.driver) => {
+  if (!drivers.has(type)) {
+    drivers.set(type, createDriver(type));
+  }
+  return drivers.get(type);
+};
+
+/**
+ * 获取新写入内容使用的存储类型
+ * @returns {string} 存储类型
+ */
+const getDefaultStorageType = () => config.storage.driver;
+
+module.exports = {
+  STORAGE_TYPES,
+  getStorageDriver,
+  getDefaultStorageType
+};
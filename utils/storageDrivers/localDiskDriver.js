@@ -0,0 +1,126 @@
+// 本地磁盘存储驱动：对象保存在 <root>/<key>
+
+const fs = require('fs');
+const path = require('path');
+
+class LocalDiskDriver {
+  /**
+   * @param {Object} options - 驱动配置
+   * @param {string} options.root - 存储根目录
+   */
+  constructor({ root }) {
+    this.type = 'filesystem';
+    this.root = root;
+  }
+
+  // 私有方法：将对象键转换为磁盘路径，禁止越出根目录
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`非法的存储键: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * 获取对象的存储位置（记录在file_path中）
+   * @param {string} key - 对象键
+   * @returns {string} 磁盘路径
+   */
+  locate(key) {
+    return this.resolve(key);
+  }
+
+  /**
+   * 写入对象（先写临时文件再重命名，避免读到写了一半的内容）
+   * @param {string} key - 对象键
+   * @param {Buffer} data - 内容
+   */
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * 读取对象
+   * @param {string} key - 对象键
+   * @returns {Promise<Buffer>} 内容
+   */
+  async get(key) {
+    const filePath = this.resolve(key);
+    if (!fs.existsSync(filePath)) {
+      throw new Error('文件内容不存在');
+    }
+    return fs.readFileSync(filePath);
+  }
+
+  /**
+   * 删除对象（不存在时忽略）
+   * @param {string} key - 对象键
+   */
+  async delete(key) {
+    fs.rmSync(this.resolve(key), { force: true });
+  }
+
+  /**
+   * 获取对象信息
+   * @param {string} key - 对象键
+   * @returns {Promise<{size: number, modifiedAt: Date}|null>} 对象不存在时返回null
+   */
+  async stat(key) {
+    const filePath = this.resolve(key);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    const stats = fs.statSync(filePath);
+    return { size: stats.size, modifiedAt: stats.mtime };
+  }
+
+  /**
+   * 以流的方式读取对象
+   * @param {string} key - 对象键
+   * @param {Object} range - 字节范围 { start, end }（包含end），为空时读取全部
+   * @returns {Promise<Readable>} 可读流
+   */
+  async stream(key, range = {}) {
+    const filePath = this.resolve(key);
+    if (!fs.existsSync(filePath)) {
+      throw new Error('文件内容不存在');
+    }
+    return fs.createReadStream(filePath, range);
+  }
+
+  /**
+   * 列出指定前缀下的所有对象
+   * @param {string} prefix - 键前缀（目录）
+   * @returns {Promise<Array<{key: string, size: number, modifiedAt: Date}>>} 对象列表
+   */
+  async list(prefix) {
+    const objects = [];
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(entryPath);
+        } else {
+          const stats = fs.statSync(entryPath);
+          objects.push({
+            key: path.relative(this.root, entryPath).split(path.sep).join('/'),
+            size: stats.size,
+            modifiedAt: stats.mtime
+          });
+        }
+      }
+    };
+    walk(this.resolve(prefix));
+    return objects;
+  }
+}
+
+module.exports = LocalDiskDriver;
@@ -0,0 +1,296 @@
+// S3兼容存储驱动（AWS S3、MinIO等），使用AWS Signature V4签名
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 编码（S3要求对 !'()* 也进行编码）
+const encodeRfc3986 = (value) => {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+};
+
+const decodeXml = (value) => {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+const readBody = (response) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve(Buffer.concat(chunks)));
+    response.on('error', reject);
+  });
+};
+
+// 按SigV4规范排序并编码查询参数（签名与实际请求使用同一个字符串）
+const buildCanonicalQuery = (query) => {
+  return Object.keys(query)
+    .sort()
+    .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(String(query[key]))}`)
+    .join('&');
+};
+
+/**
+ * 计算AWS Signature V4的Authorization请求头
+ * @param {Object} params - 签名参数
+ * @param {string} params.method - 请求方法
+ * @param {string} params.canonicalUri - 已编码的请求路径
+ * @param {Object} params.query - 查询参数
+ * @param {Object} params.headers - 参与签名的请求头（需包含host、x-amz-date、x-amz-content-sha256）
+ * @param {string} params.payloadHash - 请求体的SHA256
+ * @param {string} params.region - 区域
+ * @param {string} params.accessKeyId - 访问密钥ID
+ * @param {string} params.secretAccessKey - 访问密钥
+ * @returns {string} Authorization请求头的值
+ */
+const signV4 = ({ method, canonicalUri, query = {}, headers, payloadHash, region, accessKeyId, secretAccessKey }) => {
+  const amzDate = headers['x-amz-date'];
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const canonicalQuery = buildCanonicalQuery(query);
+
+  const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+  );
+  const canonicalHeaders = headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest)
+  ].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+};
+
+class S3Driver {
+  /**
+   * @param {Object} options - 驱动配置
+   * @param {string} options.endpoint - 服务地址，如 http://localhost:9000
+   * @param {string} options.region - 区域
+   * @param {string} options.bucket - 存储桶
+   * @param {string} options.accessKeyId - 访问密钥ID
+   * @param {string} options.secretAccessKey - 访问密钥
+   * @param {boolean} options.forcePathStyle - 使用路径风格的URL（MinIO需要）
+   */
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3存储配置不完整');
+    }
+    this.type = 's3';
+    this.endpoint = new URL(endpoint);
+    this.region = region || 'us-east-1';
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+  }
+
+  /**
+   * 获取对象的存储位置（记录在file_path中）
+   * @param {string} key - 对象键
+   * @returns {string} 存储位置
+   */
+  locate(key) {
+    return `s3://${this.bucket}/${key}`;
+  }
+
+  // 私有方法：发送签名请求，返回响应流（调用方负责读取或丢弃响应体）
+  request(method, key, { query = {}, headers = {}, body = null } = {}) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    const basePath = this.endpoint.pathname.replace(/\/$/, '');
+    const host = this.forcePathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    const canonicalUri = this.forcePathStyle
+      ? `${basePath}/${encodeRfc3986(this.bucket)}/${encodedKey}`
+      : `${basePath}/${encodedKey}`;
+
+    const payloadHash = body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH;
+    const signedHeaders = {
+      ...headers,
+      host,
+      'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''),
+      'x-amz-content-sha256': payloadHash
+    };
+    const authorization = signV4({
+      method,
+      canonicalUri,
+      query,
+      headers: signedHeaders,
+      payloadHash,
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+
+    const search = buildCanonicalQuery(query);
+    const client = this.endpoint.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request({
+        protocol: this.endpoint.protocol,
+        hostname: this.forcePathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+        port: this.endpoint.port,
+        method,
+        path: `${canonicalUri}${search ? `?${search}` : ''}`,
+        headers: {
+          ...signedHeaders,
+          authorization,
+          ...(body ? { 'content-length': body.length } : {})
+        }
+      }, resolve);
+
+      request.on('error', reject);
+      request.end(body || undefined);
+    });
+  }
+
+  // 私有方法：非2xx响应转换为错误
+  async assertOk(response, notFoundMessage = null) {
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      return;
+    }
+    const body = (await readBody(response)).toString('utf8');
+    if (response.statusCode === 404 && notFoundMessage) {
+      throw new Error(notFoundMessage);
+    }
+    const code = (body.match(/<Code>([^<]*)<\/Code>/) || [])[1] || 'UnknownError';
+    throw new Error(`S3请求失败: ${response.statusCode} ${code}`);
+  }
+
+  /**
+   * 写入对象
+   * @param {string} key - 对象键
+   * @param {Buffer} data - 内容
+   */
+  async put(key, data) {
+    const response = await this.request('PUT', key, {
+      body: data,
+      headers: { 'content-type': 'application/octet-stream' }
+    });
+    await this.assertOk(response);
+    response.resume();
+  }
+
+  /**
+   * 读取对象
+   * @param {string} key - 对象键
+   * @returns {Promise<Buffer>} 内容
+   */
+  async get(key) {
+    const response = await this.request('GET', key);
+    await this.assertOk(response, '文件内容不存在');
+    return readBody(response);
+  }
+
+  /**
+   * 删除对象（不存在时S3同样返回成功）
+   * @param {string} key - 对象键
+   */
+  async delete(key) {
+    const response = await this.request('DELETE', key);
+    await this.assertOk(response);
+    response.resume();
+  }
+
+  /**
+   * 获取对象信息
+   * @param {string} key - 对象键
+   * @returns {Promise<{size: number, modifiedAt: Date}|null>} 对象不存在时返回null
+   */
+  async stat(key) {
+    const response = await this.request('HEAD', key);
+    // HEAD响应没有响应体，不能交给assertOk读取
+    response.resume();
+    if (response.statusCode === 404) {
+      return null;
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new Error(`S3请求失败: ${response.statusCode}`);
+    }
+    return {
+      size: parseInt(response.headers['content-length'], 10) || 0,
+      modifiedAt: new Date(response.headers['last-modified'])
+    };
+  }
+
+  /**
+   * 以流的方式读取对象
+   * @param {string} key - 对象键
+   * @param {Object} range - 字节范围 { start, end }（包含end），为空时读取全部
+   * @returns {Promise<Readable>} 可读流
+   */
+  async stream(key, { start, end } = {}) {
+    const headers = {};
+    if (start !== undefined || end !== undefined) {
+      headers.range = `bytes=${start || 0}-${end === undefined ? '' : end}`;
+    }
+    const response = await this.request('GET', key, { headers });
+    await this.assertOk(response, '文件内容不存在');
+    return response;
+  }
+
+  /**
+   * 列出指定前缀下的所有对象（ListObjectsV2，自动翻页）
+   * @param {string} prefix - 键前缀
+   * @returns {Promise<Array<{key: string, size: number, modifiedAt: Date}>>} 对象列表
+   */
+  async list(prefix) {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+
+      // 列出对象是对存储桶本身的请求，对象键为空
+      const response = await this.request('GET', '', { query });
+      await this.assertOk(response);
+      const xml = (await readBody(response)).toString('utf8');
+
+      for (const [, content] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const field = (name) => (content.match(new RegExp(`<${name}>([^<]*)</${name}>`)) || [])[1];
+        objects.push({
+          key: decodeXml(field('Key')),
+          size: parseInt(field('Size'), 10) || 0,
+          modifiedAt: new Date(field('LastModified'))
+        });
+      }
+
+      const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+      const nextToken = (xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/) || [])[1];
+      continuationToken = truncated && nextToken ? decodeXml(nextToken) : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+}
+
+module.exports = S3Driver;
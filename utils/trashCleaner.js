@@ -0,0 +1,119 @@
+// 回收站自动清理任务（同时回收不再被引用的内容blob和过期的分片上传会话，并重新扫描隔离中的上传）
+
+const config = require('../config/config');
+const FileSystemModel = require('../models/fileSystemModel');
+const FileBlobModel = require('../models/fileBlobModel');
+const UploadSessionModel = require('../models/uploadSessionModel');
+const FileUploadModel = require('../models/fileUploadModel');
+
+let cleanupTimer = null;
+
+/**
+ * 删除不再被引用的内容blob
+ * @returns {Promise<Object>} 回收结果
+ */
+const runBlobGarbageCollection = async () => {
+  try {
+    const result = await FileBlobModel.collectGarbage();
+    if (result.removedBlobs > 0 || result.orphanFiles > 0) {
+      console.log(`🧹 Blob GC removed ${result.removedBlobs} blobs (${result.freedBytes} bytes) and ${result.orphanFiles} orphan files`);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Blob garbage collection failed:', error.message);
+    return { removedBlobs: 0, freedBytes: 0, orphanFiles: 0 };
+  }
+};
+
+/**
+ * 清理过期未完成的分片上传会话
+ * @returns {Promise<Object>} 清理结果
+ */
+const runUploadSessionCleanup = async () => {
+  try {
+    const result = await UploadSessionModel.cleanupExpiredSessions();
+    if (result.removedSessions > 0 || result.freedBytes > 0) {
+      console.log(`🧹 Upload cleanup removed ${result.removedSessions} expired sessions (${result.freedBytes} bytes)`);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Upload session cleanup failed:', error.message);
+    return { removedSessions: 0, freedBytes: 0 };
+  }
+};
+
+/**
+ * 重新扫描仍处于隔离状态的上传文件
+ * @returns {Promise<Object>} 扫描结果
+ */
+const runUploadRescan = async () => {
+  try {
+    const result = await FileUploadModel.rescanQuarantined();
+    if (result.scanned > 0) {
+      console.log(`🔍 Upload rescan: ${result.clean} clean, ${result.infected} infected, ${result.error} failed`);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Upload rescan failed:', error.message);
+    return { scanned: 0, clean: 0, infected: 0, error: 0 };
+  }
+};
+
+/**
+ * 执行一次回收站清理，随后回收不再被引用的blob和过期的上传会话，并重新扫描隔离中的上传
+ * @returns {Promise<Object>} 清理结果
+ */
+const runTrashCleanup = async () => {
+  const { retentionDays } = config.trash;
+  let result = { purgedCount: 0 };
+
+  if (retentionDays && retentionDays > 0) {
+    try {
+      result = await FileSystemModel.purgeExpiredTrash(retentionDays);
+      if (result.purgedCount > 0) {
+        console.log(`🧹 Trash cleanup purged ${result.purgedCount} nodes older than ${retentionDays} days`);
+      }
+    } catch (error) {
+      console.error('❌ Trash cleanup failed:', error.message);
+    }
+  }
+
+  const blobs = await runBlobGarbageCollection();
+  const uploadSessions = await runUploadSessionCleanup();
+  const uploadScans = await runUploadRescan();
+  return { ...result, blobs, uploadSessions, uploadScans };
+};
+
+/**
+ * 启动定时清理任务（启动时执行一次，之后按配置的间隔执行）
+ */
+const startTrashCleaner = () => {
+  if (cleanupTimer) {
+    return;
+  }
+
+  const intervalMs = config.trash.cleanupIntervalHours * 60 * 60 * 1000;
+  runTrashCleanup();
+  cleanupTimer = setInterval(runTrashCleanup, intervalMs);
+  // 不阻止进程退出
+  cleanupTimer.unref();
+};
+
+/**
+ * 停止定时清理任务
+ */
+const stopTrashCleaner = () => {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+};
+
+module.exports = {
+  runBlobGarbageCollection,
+  runUploadSessionCleanup,
+  runUploadRescan,
+  runTrashCleanup,
+  startTrashCleaner,
+  stopTrashCleaner
+};
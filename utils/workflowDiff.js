@@ -0,0 +1,111 @@
+// 脑图/工作流的结构差异比较（按节点ID和连线ID对应）
+
+// 编辑器的选中、拖动等界面状态，比较时忽略
+const TRANSIENT_NODE_FIELDS = ['position', 'positionAbsolute', 'selected', 'dragging'];
+const TRANSIENT_EDGE_FIELDS = ['selected'];
+
+/**
+ * 键按字母顺序序列化，字段顺序不同的相同对象得到相同的结果
+ * @param {any} value - 任意JSON值
+ * @returns {string} 序列化结果
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const omitFields = (item, fields) => {
+  const result = { ...item };
+  fields.forEach(field => delete result[field]);
+  return result;
+};
+
+const getPosition = (node) => {
+  const position = node.position || {};
+  return { x: position.x ?? 0, y: position.y ?? 0 };
+};
+
+const indexById = (items) => new Map((items || []).map(item => [item.id, item]));
+
+/**
+ * 比较两份脑图数据
+ * 节点分为新增、删除、移动（只有坐标变化）和修改（坐标以外的内容变化），同时移动和修改的节点两处都会列出；
+ * 连线分为新增、删除和修改（端点或其他内容变化）。
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} from - 旧数据
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} to - 新数据
+ * @returns {Object} 差异结果 { nodes: {added, removed, moved, updated}, edges: {added, removed, changed}, stats }
+ */
+const diffWorkflows = (from, to) => {
+  const fromNodes = indexById(from.nodes);
+  const toNodes = indexById(to.nodes);
+  const fromEdges = indexById(from.edges);
+  const toEdges = indexById(to.edges);
+
+  const nodes = { added: [], removed: [], moved: [], updated: [] };
+  for (const [id, node] of toNodes) {
+    const previous = fromNodes.get(id);
+    if (!previous) {
+      nodes.added.push(node);
+      continue;
+    }
+
+    const fromPosition = getPosition(previous);
+    const toPosition = getPosition(node);
+    if (fromPosition.x !== toPosition.x || fromPosition.y !== toPosition.y) {
+      nodes.moved.push({ id, from: fromPosition, to: toPosition });
+    }
+    if (stableStringify(omitFields(previous, TRANSIENT_NODE_FIELDS)) !==
+        stableStringify(omitFields(node, TRANSIENT_NODE_FIELDS))) {
+      nodes.updated.push({ id, from: previous, to: node });
+    }
+  }
+  for (const [id, node] of fromNodes) {
+    if (!toNodes.has(id)) {
+      nodes.removed.push(node);
+    }
+  }
+
+  const edges = { added: [], removed: [], changed: [] };
+  for (const [id, edge] of toEdges) {
+    const previous = fromEdges.get(id);
+    if (!previous) {
+      edges.added.push(edge);
+    } else if (stableStringify(omitFields(previous, TRANSIENT_EDGE_FIELDS)) !==
+               stableStringify(omitFields(edge, TRANSIENT_EDGE_FIELDS))) {
+      edges.changed.push({ id, from: previous, to: edge });
+    }
+  }
+  for (const [id, edge] of fromEdges) {
+    if (!toEdges.has(id)) {
+      edges.removed.push(edge);
+    }
+  }
+
+  return {
+    nodes,
+    edges,
+    stats: {
+      nodesAdded: nodes.added.length,
+      nodesRemoved: nodes.removed.length,
+      nodesMoved: nodes.moved.length,
+      nodesUpdated: nodes.updated.length,
+      edgesAdded: edges.added.length,
+      edgesRemoved: edges.removed.length,
+      edgesChanged: edges.changed.length
+    }
+  };
+};
+
+module.exports = {
+  stableStringify,
+  diffWorkflows
+};
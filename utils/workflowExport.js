@@ -0,0 +1,302 @@
+// 将脑图/工作流导出为 Mermaid、OPML、FreeMind 和 GraphML
+
+/**
+ * 获取节点显示的文字
+ * @param {Object} node - 节点
+ * @returns {string} 文字，没有时使用节点ID
+ */
+const getNodeLabel = (node) => {
+  const data = node.data || {};
+  const label = [data.label, data.title, data.text].find(value => typeof value === 'string' && value.trim() !== '');
+  return label !== undefined ? label : String(node.id);
+};
+
+// XML属性和文本转义（换行写成字符引用，避免在属性中被替换为空格），并去掉XML 1.0不允许的控制字符
+const escapeXml = (value) => String(value)
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+  .replace(/\r/g, '&#13;')
+  .replace(/\n/g, '&#10;');
+
+// 按画布位置排序（从上到下、从左到右），使大纲顺序与画面一致
+const comparePosition = (a, b) => {
+  const pa = a.position || {};
+  const pb = b.position || {};
+  return (pa.y ?? 0) - (pb.y ?? 0) || (pa.x ?? 0) - (pb.x ?? 0);
+};
+
+/**
+ * 将图整理为树（大纲类格式使用）
+ * 没有入边的节点作为根；环上没有根能到达的部分，取出边最多（相同时位置最靠前）的节点作为额外的根。
+ * 每个节点只挂在第一条到达它的连线下，其余连线（交叉引用、回边）作为非树连线单独返回。
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} workflow - 脑图数据
+ * @returns {{roots: Array<Object>, links: Array<{source: string, target: string, edge: Object}>}}
+ *   roots为树节点 { node, children }，links为非树连线
+ */
+const buildTree = ({ nodes, edges }) => {
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  const hasIncoming = new Set();
+
+  for (const edge of edges) {
+    if (nodeById.has(edge.source) && nodeById.has(edge.target) && edge.source !== edge.target) {
+      outgoing.get(edge.source).push(edge);
+      hasIncoming.add(edge.target);
+    }
+  }
+  for (const list of outgoing.values()) {
+    list.sort((a, b) => comparePosition(nodeById.get(a.target), nodeById.get(b.target)));
+  }
+
+  const sorted = [...nodes].sort(comparePosition);
+  const visited = new Set();
+  const treeEdges = new Set();
+  const roots = [];
+
+  // 广度优先，离根更近的连线优先作为树连线
+  const grow = (rootNode) => {
+    const root = { node: rootNode, children: [] };
+    visited.add(rootNode.id);
+    const queue = [root];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const edge of outgoing.get(current.node.id)) {
+        if (visited.has(edge.target)) {
+          continue;
+        }
+        visited.add(edge.target);
+        treeEdges.add(edge);
+        const child = { node: nodeById.get(edge.target), children: [] };
+        current.children.push(child);
+        queue.push(child);
+      }
+    }
+    roots.push(root);
+  };
+
+  sorted.filter(node => !hasIncoming.has(node.id)).forEach(grow);
+  // 剩下的都在环上，优先选择出边最多的节点作为根
+  const byOutDegree = [...sorted].sort((a, b) => outgoing.get(b.id).length - outgoing.get(a.id).length);
+  for (const node of byOutDegree) {
+    if (!visited.has(node.id)) {
+      grow(node);
+    }
+  }
+
+  const links = edges
+    .filter(edge => !treeEdges.has(edge) && nodeById.has(edge.source) && nodeById.has(edge.target))
+    .map(edge => ({ source: edge.source, target: edge.target, edge }));
+
+  return { roots, links };
+};
+
+/**
+ * 导出为Mermaid流程图
+ * @param {Object} workflow - 脑图数据
+ * @returns {string} Mermaid文本
+ */
+const toMermaid = ({ nodes, edges }) => {
+  // Mermaid的节点ID只能使用简单字符，按顺序重新编号
+  const aliases = new Map(nodes.map((node, index) => [node.id, `n${index}`]));
+  // 标签中的HTML会被Mermaid渲染，尖括号和#都写成实体编码，只保留换行生成的<br/>
+  const escapeLabel = (text) => text
+    .replace(/[\x00-\x09\x0b-\x1f]/g, '')
+    .replace(/#/g, '#35;')
+    .replace(/"/g, '#quot;')
+    .replace(/</g, '#lt;')
+    .replace(/>/g, '#gt;')
+    .replace(/\n/g, '<br/>');
+
+  const lines = ['flowchart LR'];
+  for (const node of nodes) {
+    lines.push(`  ${aliases.get(node.id)}["${escapeLabel(getNodeLabel(node))}"]`);
+  }
+  for (const edge of edges) {
+    if (!aliases.has(edge.source) || !aliases.has(edge.target)) {
+      continue;
+    }
+    const label = typeof edge.label === 'string' && edge.label !== '' ? `|"${escapeLabel(edge.label)}"|` : '';
+    lines.push(`  ${aliases.get(edge.source)} -->${label} ${aliases.get(edge.target)}`);
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * 导出为OPML大纲，非树连线作为 type="link" 的子条目指向目标节点
+ * @param {Object} workflow - 脑图数据
+ * @param {string} title - 大纲标题
+ * @returns {string} OPML文本
+ */
+const toOpml = (workflow, title) => {
+  const { roots, links } = buildTree(workflow);
+  const nodeById = new Map(workflow.nodes.map(node => [node.id, node]));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(title)}</title>`,
+    '  </head>',
+    '  <body>'
+  ];
+
+  const writeOutline = (treeNode, depth) => {
+    const indent = '  '.repeat(depth);
+    const { node } = treeNode;
+    const nodeLinks = links.filter(link => link.source === node.id);
+    const attributes = `text="${escapeXml(getNodeLabel(node))}" id="${escapeXml(node.id)}"`;
+
+    if (treeNode.children.length === 0 && nodeLinks.length === 0) {
+      lines.push(`${indent}<outline ${attributes}/>`);
+      return;
+    }
+    lines.push(`${indent}<outline ${attributes}>`);
+    treeNode.children.forEach(child => writeOutline(child, depth + 1));
+    for (const link of nodeLinks) {
+      lines.push(`${indent}  <outline text="${escapeXml(getNodeLabel(nodeById.get(link.target)))}" type="link" url="#${escapeXml(link.target)}"/>`);
+    }
+    lines.push(`${indent}</outline>`);
+  };
+
+  roots.forEach(root => writeOutline(root, 2));
+  lines.push('  </body>', '</opml>');
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * 导出为FreeMind脑图，有多个根时以标题作为中心节点，非树连线导出为箭头连线（arrowlink）
+ * @param {Object} workflow - 脑图数据
+ * @param {string} title - 中心节点文字（有多个根时使用）
+ * @returns {string} FreeMind XML
+ */
+const toFreeMind = (workflow, title) => {
+  const { roots, links } = buildTree(workflow);
+  // FreeMind的节点ID需要以字母开头，按顺序重新编号
+  const aliases = new Map(workflow.nodes.map((node, index) => [node.id, `ID_${index + 1}`]));
+  const lines = ['<map version="1.0.1">'];
+
+  const writeNode = (treeNode, depth, side) => {
+    const indent = '  '.repeat(depth);
+    const { node } = treeNode;
+    const position = side ? ` POSITION="${side}"` : '';
+    const nodeLinks = links.filter(link => link.source === node.id);
+    const attributes = `ID="${aliases.get(node.id)}" TEXT="${escapeXml(getNodeLabel(node))}"${position}`;
+
+    if (treeNode.children.length === 0 && nodeLinks.length === 0) {
+      lines.push(`${indent}<node ${attributes}/>`);
+      return;
+    }
+    lines.push(`${indent}<node ${attributes}>`);
+    for (const link of nodeLinks) {
+      lines.push(`${indent}  <arrowlink DESTINATION="${aliases.get(link.target)}" ENDARROW="Default"/>`);
+    }
+    treeNode.children.forEach(child => writeNode(child, depth + 1, null));
+    lines.push(`${indent}</node>`);
+  };
+
+  // 中心节点的子节点交替分布在左右两侧
+  const writeCenter = (attributes, children, centerLinks) => {
+    lines.push(`  <node ${attributes}>`);
+    for (const link of centerLinks) {
+      lines.push(`    <arrowlink DESTINATION="${aliases.get(link.target)}" ENDARROW="Default"/>`);
+    }
+    children.forEach((child, index) => writeNode(child, 2, index % 2 === 0 ? 'right' : 'left'));
+    lines.push('  </node>');
+  };
+
+  if (roots.length === 1) {
+    const [root] = roots;
+    writeCenter(
+      `ID="${aliases.get(root.node.id)}" TEXT="${escapeXml(getNodeLabel(root.node))}"`,
+      root.children,
+      links.filter(link => link.source === root.node.id)
+    );
+  } else {
+    writeCenter(`ID="ID_0" TEXT="${escapeXml(title)}"`, roots, []);
+  }
+
+  lines.push('</map>');
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * 导出为GraphML，保留所有节点、连线和坐标
+ * @param {Object} workflow - 脑图数据
+ * @param {string} title - 图的ID
+ * @returns {string} GraphML文本
+ */
+const toGraphMl = ({ nodes, edges }, title) => {
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="x" for="node" attr.name="x" attr.type="double"/>',
+    '  <key id="y" for="node" attr.name="y" attr.type="double"/>',
+    '  <key id="edgeLabel" for="edge" attr.name="label" attr.type="string"/>',
+    `  <graph id="${escapeXml(title)}" edgedefault="directed">`
+  ];
+
+  for (const node of nodes) {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(`      <data key="label">${escapeXml(getNodeLabel(node))}</data>`);
+    if (node.position) {
+      lines.push(`      <data key="x">${node.position.x}</data>`);
+      lines.push(`      <data key="y">${node.position.y}</data>`);
+    }
+    lines.push('    </node>');
+  }
+  for (const edge of edges) {
+    if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) {
+      continue;
+    }
+    const attributes = `id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"`;
+    if (typeof edge.label === 'string' && edge.label !== '') {
+      lines.push(`    <edge ${attributes}>`);
+      lines.push(`      <data key="edgeLabel">${escapeXml(edge.label)}</data>`);
+      lines.push('    </edge>');
+    } else {
+      lines.push(`    <edge ${attributes}/>`);
+    }
+  }
+
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+};
+
+// 支持的导出格式
+const EXPORT_FORMATS = {
+  mermaid: { extension: '.mmd', contentType: 'text/plain; charset=utf-8', convert: toMermaid },
+  opml: { extension: '.opml', contentType: 'text/x-opml; charset=utf-8', convert: toOpml },
+  freemind: { extension: '.mm', contentType: 'application/x-freemind; charset=utf-8', convert: toFreeMind },
+  graphml: { extension: '.graphml', contentType: 'application/graphml+xml; charset=utf-8', convert: toGraphMl }
+};
+
+/**
+ * 将脑图导出为指定格式
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} workflow - 脑图数据
+ * @param {string} format - 导出格式（mermaid/opml/freemind/graphml）
+ * @param {string} title - 标题（文件夹名称）
+ * @returns {{content: string, extension: string, contentType: string}} 导出结果
+ */
+const exportWorkflow = (workflow, format, title) => {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`不支持的导出格式: ${format}`);
+  }
+  return {
+    content: exporter.convert(workflow, title),
+    extension: exporter.extension,
+    contentType: exporter.contentType
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  getNodeLabel,
+  buildTree,
+  exportWorkflow
+};
@@ -0,0 +1,347 @@
+// 将 OPML、FreeMind (.mm)、XMind 和 Markdown 大纲导入为脑图/工作流的 nodes、edges
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { v4: uuidv4 } = require('uuid');
+const { readZipEntry } = require('./zipUtils');
+
+// 自动布局：每一层向右缩进，每个叶子节点占一行
+const LAYOUT_COLUMN_WIDTH = 240;
+const LAYOUT_ROW_HEIGHT = 80;
+
+// 合并时导入的部分放在已有节点下方，留出的间距
+const MERGE_GAP = 160;
+
+// XMind文件（ZIP）中content.json的大小上限，防止压缩炸弹
+const MAX_XMIND_CONTENT_SIZE = 20 * 1024 * 1024;
+
+const IMPORT_EXTENSIONS = {
+  '.opml': 'opml',
+  '.mm': 'freemind',
+  '.xmind': 'xmind',
+  '.json': 'xmind',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'markdown'
+};
+
+const IMPORT_FORMATS = ['opml', 'freemind', 'xmind', 'markdown'];
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  htmlEntities: true,
+  isArray: (name) => ['outline', 'node', 'arrowlink'].includes(name)
+});
+
+/**
+ * 按文件扩展名判断导入格式
+ * @param {string} fileName - 文件名
+ * @returns {string|null} 格式，无法识别时返回null
+ */
+const detectImportFormat = (fileName) => IMPORT_EXTENSIONS[path.extname(fileName || '').toLowerCase()] || null;
+
+// 大纲条目：{ text, ref, children, links }，ref为原文件中的节点ID，links为非树连线指向的ref
+const createItem = (text, ref = null) => ({ text: String(text ?? '').trim(), ref, children: [], links: [] });
+
+const parseXml = (content) => {
+  const text = content.toString('utf8');
+  // 大纲文件不需要实体声明，拒绝以避免实体展开攻击
+  if (/<!ENTITY/i.test(text)) {
+    throw new Error('文件格式不正确: 不支持包含实体声明的XML');
+  }
+  // 解析器会容忍未闭合或不匹配的标签，先校验XML结构，避免导入残缺的内容
+  const validation = XMLValidator.validate(text);
+  if (validation !== true) {
+    throw new Error(`文件格式不正确: 第${validation.err.line}行 ${validation.err.msg}`);
+  }
+  try {
+    return xmlParser.parse(text);
+  } catch (error) {
+    throw new Error(`文件格式不正确: ${error.message}`);
+  }
+};
+
+/**
+ * 解析OPML，type="link" 且 url 为 #节点ID 的条目（本系统导出的非树连线）还原为连线
+ */
+const parseOpml = (content) => {
+  const document = parseXml(content);
+  // 空元素解析为空字符串，按是否存在判断
+  const opml = document.opml;
+  if (!opml || typeof opml !== 'object' || !('body' in opml)) {
+    throw new Error('文件格式不正确: 缺少opml/body');
+  }
+  const body = opml.body || {};
+
+  const convert = (outline) => {
+    const item = createItem(outline['@_text'] ?? outline['@_title'], outline['@_id'] ?? null);
+    for (const child of outline.outline || []) {
+      const url = child['@_url'];
+      if (child['@_type'] === 'link' && typeof url === 'string' && url.startsWith('#')) {
+        item.links.push(url.slice(1));
+      } else {
+        item.children.push(convert(child));
+      }
+    }
+    return item;
+  };
+
+  return (body.outline || []).map(convert);
+};
+
+/**
+ * 解析FreeMind，arrowlink 还原为连线
+ */
+const parseFreeMind = (content) => {
+  const document = parseXml(content);
+  if (!('map' in document)) {
+    throw new Error('文件格式不正确: 缺少map根元素');
+  }
+  const map = document.map || {};
+
+  const convert = (node) => {
+    const item = createItem(node['@_TEXT'], node['@_ID'] ?? null);
+    item.links = (node.arrowlink || []).map(link => link['@_DESTINATION']).filter(Boolean);
+    item.children = (node.node || []).map(convert);
+    return item;
+  };
+
+  return (map.node || []).map(convert);
+};
+
+/**
+ * 解析XMind：.xmind文件（ZIP中的content.json）或直接上传的content.json，每个画布的中心主题作为一个根，
+ * 画布上的联系（relationships）还原为连线
+ */
+const parseXMind = (content) => {
+  let json = content;
+  if (content.length >= 4 && content.readUInt32LE(0) === 0x04034b50) {
+    let entry;
+    try {
+      entry = new AdmZip(content).getEntry('content.json');
+    } catch (error) {
+      throw new Error('文件格式不正确: 不是有效的XMind文件');
+    }
+    if (!entry) {
+      throw new Error('文件格式不正确: 不支持旧版XMind文件（缺少content.json），请在XMind中另存为新版格式');
+    }
+    try {
+      json = readZipEntry(entry, MAX_XMIND_CONTENT_SIZE);
+    } catch (error) {
+      throw new Error(error.message.includes('超过大小限制')
+        ? '文件格式不正确: content.json过大'
+        : '文件格式不正确: 不是有效的XMind文件');
+    }
+  }
+
+  let sheets;
+  try {
+    sheets = JSON.parse(json.toString('utf8'));
+  } catch (error) {
+    throw new Error('文件格式不正确: 不是有效的JSON');
+  }
+  if (!Array.isArray(sheets) || !sheets.some(sheet => sheet && sheet.rootTopic)) {
+    throw new Error('文件格式不正确: 缺少rootTopic');
+  }
+
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const items = new Map();
+  const convert = (topic) => {
+    if (!isObject(topic)) {
+      throw new Error('文件格式不正确: XMind主题格式不正确');
+    }
+    const item = createItem(topic.title, topic.id ?? null);
+    if (topic.id) {
+      items.set(topic.id, item);
+    }
+    const children = topic.children ?? {};
+    const attached = isObject(children) ? children.attached ?? [] : null;
+    const detached = isObject(children) ? children.detached ?? [] : null;
+    if (!Array.isArray(attached) || !Array.isArray(detached)) {
+      throw new Error('文件格式不正确: XMind子主题格式不正确');
+    }
+    // attached为普通子主题，detached为自由主题
+    item.children = [...attached, ...detached].map(convert);
+    return item;
+  };
+
+  const roots = sheets.filter(sheet => sheet && sheet.rootTopic).map(sheet => convert(sheet.rootTopic));
+  for (const sheet of sheets) {
+    const relationships = (sheet && sheet.relationships) ?? [];
+    if (!Array.isArray(relationships) || !relationships.every(isObject)) {
+      throw new Error('文件格式不正确: XMind联系格式不正确');
+    }
+    for (const relationship of relationships) {
+      const source = items.get(relationship.end1Id);
+      if (source && relationship.end2Id) {
+        source.links.push(relationship.end2Id);
+      }
+    }
+  }
+  return roots;
+};
+
+// 去掉Markdown行内格式，保留文字
+const stripInlineMarkdown = (text) => text
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/(\*\*|__|\*|_|~~|`)(.+?)\1/g, '$2')
+  .trim();
+
+/**
+ * 解析Markdown大纲：标题按级别嵌套，列表项按缩进嵌套在最近的标题下，其他段落忽略
+ */
+const parseMarkdown = (content) => {
+  const roots = [];
+  const stack = [];
+  let inCodeBlock = false;
+
+  const append = (level, text) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+    const item = createItem(stripInlineMarkdown(text));
+    if (stack.length > 0) {
+      stack[stack.length - 1].item.children.push(item);
+    } else {
+      roots.push(item);
+    }
+    stack.push({ level, item });
+  };
+
+  for (const line of content.toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    if (inCodeBlock) {
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      append(heading[1].length, heading[2]);
+      continue;
+    }
+
+    // 列表项排在所有标题级别之后，缩进越深级别越大
+    const listItem = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/);
+    if (listItem && listItem[2].trim() !== '') {
+      const indent = listItem[1].replace(/\t/g, '    ').length;
+      append(7 + indent, listItem[2]);
+    }
+  }
+
+  if (roots.length === 0) {
+    throw new Error('文件格式不正确: 没有找到标题或列表项');
+  }
+  return roots;
+};
+
+const PARSERS = {
+  opml: parseOpml,
+  freemind: parseFreeMind,
+  xmind: parseXMind,
+  markdown: parseMarkdown
+};
+
+/**
+ * 将大纲转换为节点和连线，生成新的节点ID并自动计算位置
+ * @param {Array<Object>} roots - 大纲根条目
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}} 脑图数据
+ */
+const outlineToWorkflow = (roots) => {
+  const nodes = [];
+  const edges = [];
+  const idsByRef = new Map();
+  const pendingLinks = [];
+  let nextRow = 0;
+
+  // 后序遍历：叶子节点依次占一行，父节点位于子节点的垂直中间
+  const place = (item, depth) => {
+    const id = uuidv4();
+    if (item.ref !== null && item.ref !== undefined) {
+      idsByRef.set(String(item.ref), id);
+    }
+
+    const children = item.children.map(child => place(child, depth + 1));
+    const row = children.length === 0
+      ? nextRow++
+      : (children[0].row + children[children.length - 1].row) / 2;
+
+    nodes.push({
+      id,
+      position: { x: depth * LAYOUT_COLUMN_WIDTH, y: row * LAYOUT_ROW_HEIGHT },
+      data: { label: item.text }
+    });
+    for (const child of children) {
+      edges.push({ id: uuidv4(), source: id, target: child.id });
+    }
+    for (const ref of item.links) {
+      pendingLinks.push({ source: id, ref: String(ref) });
+    }
+    return { id, row };
+  };
+
+  roots.forEach(root => place(root, 0));
+
+  // 非树连线在所有节点生成后再解析，指向不存在的节点时忽略
+  for (const link of pendingLinks) {
+    const target = idsByRef.get(link.ref);
+    if (target && target !== link.source) {
+      edges.push({ id: uuidv4(), source: link.source, target });
+    }
+  }
+
+  return { nodes, edges };
+};
+
+/**
+ * 解析导入的文件
+ * @param {Buffer} content - 文件内容
+ * @param {string} format - 格式（opml/freemind/xmind/markdown）
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}} 脑图数据
+ */
+const parseWorkflowFile = (content, format) => {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw new Error(`不支持的导入格式: ${format}`);
+  }
+  const roots = parser(content);
+  if (roots.length === 0) {
+    throw new Error('文件格式不正确: 没有找到可导入的节点');
+  }
+  return outlineToWorkflow(roots);
+};
+
+/**
+ * 将导入的脑图合并到已有脑图中，导入的部分整体移动到已有节点的下方
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} current - 已有脑图
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} imported - 导入的脑图（节点ID为新生成的，不会冲突）
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}} 合并结果
+ */
+const mergeWorkflows = (current, imported) => {
+  const positioned = current.nodes.filter(node => node.position && Number.isFinite(node.position.y));
+  if (positioned.length === 0) {
+    return { nodes: [...current.nodes, ...imported.nodes], edges: [...current.edges, ...imported.edges] };
+  }
+
+  const offsetY = Math.max(...positioned.map(node => node.position.y)) + MERGE_GAP;
+  const offsetX = Math.min(...positioned.map(node => node.position.x ?? 0));
+  const shifted = imported.nodes.map(node => ({
+    ...node,
+    position: { x: node.position.x + offsetX, y: node.position.y + offsetY }
+  }));
+
+  return {
+    nodes: [...current.nodes, ...shifted],
+    edges: [...current.edges, ...imported.edges]
+  };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  parseWorkflowFile,
+  mergeWorkflows
+};
@@ -0,0 +1,102 @@
+// 脑图/工作流的增量操作
+
+// 单次请求最多包含的操作数
+const MAX_OPERATIONS = 10000;
+
+const OPERATION_TYPES = ['addNode', 'updateNode', 'removeNode', 'addEdge', 'removeEdge'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 按顺序应用一组操作，不修改传入的数据
+ * - addNode: { op, node } 新增节点，ID不能与已有节点重复
+ * - updateNode: { op, id, changes } 浅合并节点字段，不能修改ID
+ * - removeNode: { op, id } 删除节点以及连接它的连线
+ * - addEdge: { op, edge } 新增连线，ID不能与已有连线重复
+ * - removeEdge: { op, id } 删除连线
+ * 任何一个操作失败都不返回结果，应用后的数据还需要经过 validateWorkflow 校验。
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} workflow - 当前脑图数据
+ * @param {Array<Object>} operations - 操作列表
+ * @returns {{workflow: Object|null, errors: Array<{field: string, message: string}>}} 应用结果，失败时workflow为null
+ */
+const applyOperations = (workflow, operations) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return { workflow: null, errors: [{ field: 'operations', message: 'operations必须是非空数组' }] };
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    return { workflow: null, errors: [{ field: 'operations', message: `单次最多提交${MAX_OPERATIONS}个操作` }] };
+  }
+
+  let nodes = [...workflow.nodes];
+  let edges = [...workflow.edges];
+
+  for (let index = 0; index < operations.length; index++) {
+    const operation = operations[index];
+    const field = `operations[${index}]`;
+    const fail = (suffix, message) => ({ workflow: null, errors: [{ field: `${field}${suffix}`, message }] });
+
+    if (!isPlainObject(operation) || !OPERATION_TYPES.includes(operation.op)) {
+      return fail('.op', `op必须是 ${OPERATION_TYPES.join('/')} 之一`);
+    }
+
+    switch (operation.op) {
+      case 'addNode': {
+        if (!isPlainObject(operation.node)) {
+          return fail('.node', 'node必须是对象');
+        }
+        if (nodes.some(node => node.id === operation.node.id)) {
+          return fail('.node.id', `节点已存在: ${operation.node.id}`);
+        }
+        nodes.push(operation.node);
+        break;
+      }
+      case 'updateNode': {
+        const position = nodes.findIndex(node => node.id === operation.id);
+        if (position === -1) {
+          return fail('.id', `节点不存在: ${operation.id}`);
+        }
+        if (!isPlainObject(operation.changes)) {
+          return fail('.changes', 'changes必须是对象');
+        }
+        if (operation.changes.id !== undefined && operation.changes.id !== operation.id) {
+          return fail('.changes.id', '不能修改节点ID');
+        }
+        nodes[position] = { ...nodes[position], ...operation.changes };
+        break;
+      }
+      case 'removeNode': {
+        if (!nodes.some(node => node.id === operation.id)) {
+          return fail('.id', `节点不存在: ${operation.id}`);
+        }
+        nodes = nodes.filter(node => node.id !== operation.id);
+        edges = edges.filter(edge => edge.source !== operation.id && edge.target !== operation.id);
+        break;
+      }
+      case 'addEdge': {
+        if (!isPlainObject(operation.edge)) {
+          return fail('.edge', 'edge必须是对象');
+        }
+        if (edges.some(edge => edge.id === operation.edge.id)) {
+          return fail('.edge.id', `连线已存在: ${operation.edge.id}`);
+        }
+        edges.push(operation.edge);
+        break;
+      }
+      case 'removeEdge': {
+        if (!edges.some(edge => edge.id === operation.id)) {
+          return fail('.id', `连线不存在: ${operation.id}`);
+        }
+        edges = edges.filter(edge => edge.id !== operation.id);
+        break;
+      }
+    }
+  }
+
+  return { workflow: { nodes, edges }, errors: [] };
+};
+
+module.exports = {
+  MAX_OPERATIONS,
+  OPERATION_TYPES,
+  applyOperations
+};
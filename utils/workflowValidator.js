@@ -0,0 +1,118 @@
+// 文件夹脑图/工作流数据（nodes、edges）的校验
+
+const config = require('../config/config');
+
+// 节点和连线ID的最大长度
+const MAX_ID_LENGTH = 128;
+
+// 单次最多返回的错误数，数据严重损坏时避免响应过大
+const MAX_ERRORS = 100;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isValidId = (value) => typeof value === 'string' && value.trim() !== '' && value.length <= MAX_ID_LENGTH;
+
+/**
+ * 校验脑图数据
+ * 节点需要唯一的字符串ID，position（如有）为有限数值坐标，data（如有）为对象；
+ * 连线需要唯一的字符串ID，source/target必须指向已有节点；节点数、连线数和序列化后的大小受配置限制。
+ * 节点和连线上的其他字段（样式、尺寸等）由前端使用，原样保存。
+ * @param {Object} workflow - 脑图数据
+ * @param {Array<Object>} workflow.nodes - 节点列表
+ * @param {Array<Object>} workflow.edges - 连线列表
+ * @returns {Array<{field: string, message: string}>} 按字段列出的错误，合法时为空数组
+ */
+const validateWorkflow = ({ nodes, edges } = {}) => {
+  const { maxNodes, maxEdges, maxSizeKb } = config.workflows;
+  const errors = [];
+  const addError = (field, message) => {
+    if (errors.length < MAX_ERRORS) {
+      errors.push({ field, message });
+    }
+  };
+
+  if (!Array.isArray(nodes)) {
+    addError('nodes', 'nodes必须是数组');
+  } else if (nodes.length > maxNodes) {
+    addError('nodes', `节点数不能超过${maxNodes}个`);
+  }
+  if (!Array.isArray(edges)) {
+    addError('edges', 'edges必须是数组');
+  } else if (edges.length > maxEdges) {
+    addError('edges', `连线数不能超过${maxEdges}条`);
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const size = Buffer.byteLength(JSON.stringify({ nodes, edges }));
+  if (size > maxSizeKb * 1024) {
+    addError('', `脑图数据不能超过${maxSizeKb}KB`);
+    return errors;
+  }
+
+  const nodeIds = new Set();
+  nodes.forEach((node, index) => {
+    const field = `nodes[${index}]`;
+    if (!isPlainObject(node)) {
+      addError(field, '节点必须是对象');
+      return;
+    }
+
+    if (!isValidId(node.id)) {
+      addError(`${field}.id`, `节点ID必须是1-${MAX_ID_LENGTH}个字符的字符串`);
+    } else if (nodeIds.has(node.id)) {
+      addError(`${field}.id`, `节点ID重复: ${node.id}`);
+    } else {
+      nodeIds.add(node.id);
+    }
+
+    if (node.position !== undefined) {
+      if (!isPlainObject(node.position)) {
+        addError(`${field}.position`, 'position必须是包含x、y的对象');
+      } else {
+        ['x', 'y'].forEach(axis => {
+          if (typeof node.position[axis] !== 'number' || !Number.isFinite(node.position[axis])) {
+            addError(`${field}.position.${axis}`, '坐标必须是有限数值');
+          }
+        });
+      }
+    }
+
+    if (node.data !== undefined && !isPlainObject(node.data)) {
+      addError(`${field}.data`, 'data必须是对象');
+    }
+  });
+
+  const edgeIds = new Set();
+  edges.forEach((edge, index) => {
+    const field = `edges[${index}]`;
+    if (!isPlainObject(edge)) {
+      addError(field, '连线必须是对象');
+      return;
+    }
+
+    if (!isValidId(edge.id)) {
+      addError(`${field}.id`, `连线ID必须是1-${MAX_ID_LENGTH}个字符的字符串`);
+    } else if (edgeIds.has(edge.id)) {
+      addError(`${field}.id`, `连线ID重复: ${edge.id}`);
+    } else {
+      edgeIds.add(edge.id);
+    }
+
+    ['source', 'target'].forEach(end => {
+      if (!isValidId(edge[end])) {
+        addError(`${field}.${end}`, `${end}必须是节点ID`);
+      } else if (!nodeIds.has(edge[end])) {
+        addError(`${field}.${end}`, `连线指向不存在的节点: ${edge[end]}`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+module.exports = {
+  MAX_ID_LENGTH,
+  validateWorkflow
+};
@@ -0,0 +1,52 @@
+// 读取ZIP条目内容：按实际解压出的字节数限制大小，不信任条目头中声明的大小，防止压缩炸弹
+
+const zlib = require('zlib');
+
+// ZIP压缩方式
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * 读取压缩包条目的内容
+ * @param {Object} entry - adm-zip的条目
+ * @param {number} maxSize - 解压后允许的最大字节数
+ * @returns {Buffer} 条目内容
+ * @throws {Error} 解压后超过maxSize时抛出“解压后超过大小限制”，条目损坏或不支持时抛出相应错误
+ */
+const readZipEntry = (entry, maxSize) => {
+  if (entry.header.encrypted) {
+    throw new Error('不支持加密的条目');
+  }
+
+  const compressed = entry.getCompressedData();
+  let data;
+  if (compressed.length === 0) {
+    data = Buffer.alloc(0);
+  } else if (entry.header.method === METHOD_STORED) {
+    data = compressed;
+  } else if (entry.header.method === METHOD_DEFLATED) {
+    try {
+      // 多解压一个字节，用来区分恰好等于上限和超过上限
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: maxSize + 1 });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error('解压后超过大小限制');
+      }
+      throw new Error(`条目已损坏: ${error.message}`);
+    }
+  } else {
+    throw new Error('不支持的压缩方式');
+  }
+
+  if (data.length > maxSize) {
+    throw new Error('解压后超过大小限制');
+  }
+  if (data.length !== entry.header.size) {
+    throw new Error('条目已损坏: 解压后的大小与声明不一致');
+  }
+  return data;
+};
+
+module.exports = {
+  readZipEntry
+};